@@ -5,6 +5,8 @@ module.exports = {
     node: true
   },
   extends: ['eslint:recommended'],
+  // Generated by npm run build:validator
+  ignorePatterns: ['docs/js/*.bundle.js'],
   parserOptions: {
     ecmaVersion: 12,
     sourceType: 'module'
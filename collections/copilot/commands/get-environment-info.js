@@ -0,0 +1,37 @@
+// Command Name: Get Environment Info
+// Description: Retrieve detailed information about the current environment
+// Category: Development
+// Author: GitHub Copilot
+// Collection: Power Platform Utilities
+// Collection ID: 7856d1d0
+// Command ID: ec39ebb6
+// Version: 1.0.0
+// Source: 
+// Auto-approved: 
+// Processed: 
+
+/**
+ * Retrieve detailed information about the current environment
+ *
+ * Part of collection: Power Platform Utilities
+ *
+ * Usage: Run this command from Level Up for Dynamics 365
+ *
+ * For more commands from this collection, visit:
+ * https://rajyraman.github.io/level-up-community-commands/collections/level-up-community-commands
+ */
+
+// Get current environment details
+const envId = Xrm.Utility.getGlobalContext().getCurrentAppProperties().appId;
+const orgUrl = Xrm.Utility.getGlobalContext().getClientUrl();
+const userId = Xrm.Utility.getGlobalContext().getUserId();
+
+console.log('Environment ID:', envId);
+console.log('Organization URL:', orgUrl);
+console.log('Current User ID:', userId);
+
+// Show in alert
+Xrm.Navigation.openAlertDialog({
+  text: `Environment: ${orgUrl}\nUser: ${userId}`,
+  title: 'Environment Information'
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+// Command Name: Show All Field Names
+// Description: Display all fields in a dialog for easy access
+// Category: Development
+// Author: GitHub Copilot
+// Collection: Power Platform Utilities
+// Collection ID: 7856d1d0
+// Command ID: 9aa6e441
+// Version: 1.0.0
+// Source: 
+// Auto-approved: 
+// Processed: 
+
+/**
+ * Display all fields in a dialog for easy access
+ *
+ * Part of collection: Power Platform Utilities
+ *
+ * Usage: Run this command from Level Up for Dynamics 365
+ *
+ * For more commands from this collection, visit:
+ * https://rajyraman.github.io/level-up-community-commands/collections/level-up-community-commands
+ */
+
+// List all fields in the current form
+const formContext = Xrm.Page;
+const attributes = formContext.data.entity.attributes.get();
+
+let fieldList = 'Fields:';
+
+attributes.forEach(attr => {
+  fieldList += `- ${attr.getName()}\n`;
+});
+
+Xrm.Navigation.openAlertDialog({
+  text: fieldList,
+  title: 'All Fields'
+});
\ No newline at end of file
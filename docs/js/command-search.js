@@ -0,0 +1,240 @@
+/**
+ * Command Search
+ * Full-text search over command names, descriptions and code identifiers.
+ * Shared by scripts/search-index-builder.js (builds collections/search-index.json) and the gallery
+ * (queries it in the browser), so both sides tokenize text the same way.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CommandSearch = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const INDEX_VERSION = 1;
+
+  // A match in a command name counts more than one in its description or code
+  const FIELD_WEIGHTS = { name: 4, description: 2, code: 1 };
+
+  // Occurrences of one term in code beyond this add nothing
+  const MAX_CODE_TERM_FREQUENCY = 3;
+
+  // BM25 parameters
+  const K1 = 1.2;
+  const B = 0.75;
+
+  // Score multipliers for terms that only match the query approximately
+  const PREFIX_BOOST = 0.7;
+  const FUZZY_BOOST = 0.5;
+  const MAX_EXPANSIONS = 20;
+
+  const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or',
+    'the', 'that', 'this', 'to', 'with', 'all', 'var', 'let', 'const', 'function', 'return', 'new',
+    'if', 'else', 'true', 'false', 'null', 'undefined', 'await', 'async', 'typeof'
+  ]);
+
+  const vocabularies = new WeakMap();
+
+  /**
+   * Reduce simple plurals so "fields" matches "field" and "entities" matches "entity"
+   * @param {string} word - Lowercase word
+   * @returns {string} Normalized word
+   */
+  function normalize(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  }
+
+  /**
+   * Split text into search terms. Identifiers are indexed whole and by their camelCase or
+   * snake_case parts, so "setDisabled" yields "setdisabled", "set" and "disabled".
+   * @param {string} text - Text or code
+   * @returns {string[]} Terms, with repeats
+   */
+  function tokenize(text) {
+    const terms = [];
+    (String(text || '').match(/[A-Za-z0-9_$]+/g) || []).forEach(word => {
+      const parts = word
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[\s_$]+/)
+        .filter(Boolean);
+
+      const whole = word.replace(/[_$]/g, '').toLowerCase();
+      [whole, ...(parts.length > 1 ? parts.map(part => part.toLowerCase()) : [])].forEach(term => {
+        if (term.length >= 2 && !STOP_WORDS.has(term)) {
+          terms.push(normalize(term));
+        }
+      });
+    });
+    return terms;
+  }
+
+  /**
+   * Build a search index
+   * @param {Object[]} documents - [{ ref, fields: { name, description, code } }]. ref is returned with results.
+   * @returns {Object} { version, documents, lengths, terms } where terms maps term → [docIndex, weight, ...]
+   */
+  function buildIndex(documents) {
+    const postings = new Map();
+    const lengths = [];
+
+    documents.forEach((entry, docIndex) => {
+      const weights = new Map();
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        const counts = new Map();
+        tokenize(entry.fields[field]).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        counts.forEach((count, term) => {
+          const frequency = field === 'code' ? Math.min(count, MAX_CODE_TERM_FREQUENCY) : count;
+          weights.set(term, (weights.get(term) || 0) + frequency * FIELD_WEIGHTS[field]);
+        });
+      });
+
+      let length = 0;
+      weights.forEach((weight, term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(docIndex, weight);
+        length += weight;
+      });
+      lengths.push(length);
+    });
+
+    const terms = {};
+    [...postings.keys()].sort().forEach(term => {
+      terms[term] = postings.get(term);
+    });
+
+    return { version: INDEX_VERSION, documents: documents.map(entry => entry.ref), lengths, terms };
+  }
+
+  /**
+   * Edit distance with adjacent transpositions, giving up once it exceeds max
+   * @param {string} a - First term
+   * @param {string} b - Second term
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 when larger
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const next = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        next.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = next;
+    }
+    return row[b.length];
+  }
+
+  /**
+   * Postings of an index term. Indexes are parsed JSON, so inherited keys such as "constructor"
+   * must not be taken for terms.
+   * @param {Object} index - Search index
+   * @param {string} term - Index term
+   * @returns {number[]|null} [docIndex, weight, ...], or null for an unknown term
+   */
+  function postingsOf(index, term) {
+    return Object.prototype.hasOwnProperty.call(index.terms, term) ? index.terms[term] : null;
+  }
+
+  /**
+   * Index terms that match a query term exactly, by prefix or within a small edit distance
+   * @param {Object} index - Search index
+   * @param {string} queryTerm - Normalized query term
+   * @returns {Map<string, number>} Index term → boost
+   */
+  function expandTerm(index, queryTerm) {
+    if (!vocabularies.has(index)) {
+      vocabularies.set(index, Object.keys(index.terms));
+    }
+
+    const matches = new Map();
+    if (postingsOf(index, queryTerm)) matches.set(queryTerm, 1);
+
+    const maxEdits = queryTerm.length >= 8 ? 2 : (queryTerm.length >= 4 ? 1 : 0);
+    const candidates = [];
+    vocabularies.get(index).forEach(term => {
+      if (term === queryTerm) return;
+      if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+        candidates.push([term, PREFIX_BOOST]);
+      } else if (maxEdits > 0) {
+        const distance = editDistance(queryTerm, term, maxEdits);
+        if (distance <= maxEdits) candidates.push([term, FUZZY_BOOST / distance]);
+      }
+    });
+
+    candidates
+      .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+      .slice(0, MAX_EXPANSIONS)
+      .forEach(([term, boost]) => matches.set(term, boost));
+    return matches;
+  }
+
+  /**
+   * Ranked, typo-tolerant search
+   * @param {Object} index - Index from buildIndex
+   * @param {string} query - User query
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum results
+   * @returns {Object[]} [{ ref, score, matched: number of query terms found }] best first
+   */
+  function search(index, query, options = {}) {
+    const limit = options.limit || 20;
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!index || queryTerms.length === 0) return [];
+
+    const documentCount = index.documents.length;
+    const averageLength = index.lengths.reduce((sum, length) => sum + length, 0) / (documentCount || 1);
+    const scores = new Map();
+
+    queryTerms.forEach(queryTerm => {
+      const best = new Map();
+      expandTerm(index, queryTerm).forEach((boost, term) => {
+        const postings = postingsOf(index, term);
+        const documentFrequency = postings.length / 2;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        for (let i = 0; i < postings.length; i += 2) {
+          const docIndex = postings[i];
+          const weight = postings[i + 1];
+          const lengthRatio = index.lengths[docIndex] / (averageLength || 1);
+          const score = boost * idf * (weight * (K1 + 1)) / (weight + K1 * (1 - B + B * lengthRatio));
+          best.set(docIndex, Math.max(best.get(docIndex) || 0, score));
+        }
+      });
+
+      best.forEach((score, docIndex) => {
+        const entry = scores.get(docIndex) || { score: 0, matched: 0 };
+        entry.score += score;
+        entry.matched += 1;
+        scores.set(docIndex, entry);
+      });
+    });
+
+    // Documents matching more of the query rank above those matching one term strongly
+    return [...scores.entries()]
+      .map(([docIndex, entry]) => ({
+        ref: index.documents[docIndex],
+        score: entry.score * Math.pow(entry.matched / queryTerms.length, 2),
+        matched: entry.matched
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { INDEX_VERSION, tokenize, buildIndex, search, editDistance };
+});
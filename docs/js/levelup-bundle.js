@@ -0,0 +1,165 @@
+/**
+ * Level Up Bundle
+ * Builds a Level Up import file from commands picked across several collections. Command ids are
+ * the stable ids assigned by scripts/organize-collection.js, so importing a newer bundle updates
+ * commands in Level Up instead of duplicating them. Each command records the collection it came from.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./permalinks'));
+  } else {
+    root.LevelUpBundle = factory(root.Permalinks);
+  }
+})(typeof self !== 'undefined' ? self : this, Permalinks => {
+  const FORMAT_VERSION = '1.0.0';
+  const SOURCE = 'level-up-community-commands';
+
+  /**
+   * Stable id for a command
+   * @param {Object} command - Command from a collection file
+   * @param {string} username - Author username
+   * @param {string} fileName - Collection file name
+   * @param {number} index - 0-based position in the collection
+   * @returns {string} The published command id, or one derived from the command's permalink
+   */
+  function commandId(command, username, fileName, index) {
+    if (command && command.id) return String(command.id);
+    return `${username}-${Permalinks.collectionSlug(fileName)}-${index + 1}`;
+  }
+
+  /**
+   * Timestamp in milliseconds
+   * @param {string|number} value - ISO date or timestamp
+   * @param {number} fallback - Value when missing or invalid
+   * @returns {number} Milliseconds since the epoch
+   */
+  function toTimestamp(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? fallback : time;
+  }
+
+  /**
+   * First name not already taken. A clashing name is qualified with the author, then the collection.
+   * @param {string} name - Command name
+   * @param {Object} selection - Selection the command came from
+   * @param {Set<string>} taken - Lowercase names already in the bundle
+   * @returns {string} Unique name
+   */
+  function uniqueName(name, selection, taken) {
+    const author = selection.displayName || selection.username;
+    const candidates = [name, `${name} (${author})`, `${name} (${author}, ${selection.collection.name})`];
+    let unique = candidates.find(candidate => !taken.has(candidate.toLowerCase()));
+    for (let counter = 2; !unique; counter++) {
+      const candidate = `${candidates[2]} ${counter}`;
+      if (!taken.has(candidate.toLowerCase())) unique = candidate;
+    }
+    return unique;
+  }
+
+  /**
+   * Build a Level Up import file
+   * @param {Object[]} selections - [{ username, displayName, fileName, collection, commandIndex }]
+   * @param {Object} options - Build options
+   * @param {number} options.exportedAt - Export timestamp (defaults to now)
+   * @param {string} options.siteUrl - Absolute site URL used for provenance links (optional)
+   * @returns {Object} { bundle, renamed: [{ id, from, to }], duplicates: [{ id, name }] }
+   */
+  function buildBundle(selections, options = {}) {
+    const exportedAt = options.exportedAt || Date.now();
+    const siteUrl = options.siteUrl ? options.siteUrl.replace(/\/+$/, '') : null;
+
+    // Export in catalog order so the same selection always gives the same file
+    const ordered = selections
+      .filter(selection => selection.collection && (selection.collection.commands || [])[selection.commandIndex])
+      .sort((a, b) => a.username.localeCompare(b.username) ||
+        a.fileName.localeCompare(b.fileName) ||
+        a.commandIndex - b.commandIndex);
+
+    const ids = new Set();
+    const names = new Set();
+    const collections = new Map();
+    const commands = [];
+    const renamed = [];
+    const duplicates = [];
+
+    ordered.forEach(selection => {
+      const { username, fileName, collection, commandIndex } = selection;
+      const command = collection.commands[commandIndex];
+      const id = commandId(command, username, fileName, commandIndex);
+
+      // The same command published in two collections has the same id; Level Up keeps one per id
+      if (ids.has(id)) {
+        duplicates.push({ id, name: command.name });
+        return;
+      }
+      ids.add(id);
+
+      const originalName = command.name || `Command ${commandIndex + 1}`;
+      const name = uniqueName(originalName, selection, names);
+      names.add(name.toLowerCase());
+      if (name !== originalName) renamed.push({ id, from: originalName, to: name });
+
+      const key = Permalinks.commandKey(command, commandIndex);
+      const collectionKey = `${username}/${fileName}`;
+      if (!collections.has(collectionKey)) {
+        collections.set(collectionKey, {
+          id: collection.id || null,
+          name: collection.name,
+          username,
+          fileName,
+          version: collection.version || null,
+          url: siteUrl ? `${siteUrl}/${Permalinks.pagePath(username, fileName)}` : null
+        });
+      }
+
+      const createdAt = toTimestamp(command.createdAt || collection.submittedAt, exportedAt);
+      commands.push({
+        id,
+        name,
+        description: command.description || '',
+        code: command.code || '',
+        icon: command.icon || '',
+        createdAt,
+        updatedAt: toTimestamp(command.updatedAt || collection.updatedAt, createdAt),
+        provenance: {
+          username,
+          collectionId: collection.id || null,
+          collection: collection.name,
+          fileName,
+          collectionVersion: collection.version || null,
+          commandVersion: command.version || null,
+          originalName,
+          url: siteUrl ? `${siteUrl}/${Permalinks.pagePath(username, fileName, key)}` : null
+        }
+      });
+    });
+
+    return {
+      bundle: {
+        version: FORMAT_VERSION,
+        exportedAt,
+        source: SOURCE,
+        collections: [...collections.values()],
+        commands
+      },
+      renamed,
+      duplicates
+    };
+  }
+
+  /**
+   * Download file name for a bundle
+   * @param {Object} bundle - Bundle from buildBundle
+   * @returns {string} e.g. levelup-commands-2025-08-02.json
+   */
+  function bundleFileName(bundle) {
+    const date = new Date(bundle.exportedAt).toISOString().substring(0, 10);
+    const collections = bundle.collections || [];
+    const name = collections.length === 1 ? Permalinks.collectionSlug(collections[0].fileName) : 'levelup-commands';
+    return `${name}-${date}.json`;
+  }
+
+  return { FORMAT_VERSION, SOURCE, commandId, buildBundle, bundleFileName };
+});
@@ -0,0 +1,109 @@
+/**
+ * Permalinks
+ * Builds and parses command permalinks. The gallery routes #/u/{username}/{collection}/{command}
+ * and scripts/site-generator.js writes static pages at u/{username}/, u/{username}/{collection}/
+ * and u/{username}/{collection}/{command}/.
+ * {collection} is the collection file name without .json; {command} is the command id, or its
+ * 1-based position for commands published without an id.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Permalinks = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const HASH_PATTERN = /^#\/u\/([^/]+)(?:\/([^/]+))?(?:\/([^/]+))?\/?$/;
+
+  /**
+   * Collection segment for a collection file name
+   * @param {string} fileName - e.g. power-platform-utils.json
+   * @returns {string} e.g. power-platform-utils
+   */
+  function collectionSlug(fileName) {
+    return String(fileName || '').replace(/\.json$/, '');
+  }
+
+  /**
+   * Collection file name for a collection segment
+   * @param {string} slug - Collection segment
+   * @returns {string} File name
+   */
+  function collectionFileName(slug) {
+    return `${slug}.json`;
+  }
+
+  /**
+   * Command segment for a command
+   * @param {Object} command - Command from a collection file
+   * @param {number} index - 0-based position in the collection
+   * @returns {string} Command id, or 1-based position
+   */
+  function commandKey(command, index) {
+    return command && command.id ? String(command.id) : String(index + 1);
+  }
+
+  /**
+   * Position of the command a segment refers to
+   * @param {Object[]} commands - Collection commands
+   * @param {string} key - Command segment
+   * @returns {number} 0-based index, or -1 when not found
+   */
+  function findCommand(commands, key) {
+    return (commands || []).findIndex((command, index) => commandKey(command, index) === key);
+  }
+
+  /**
+   * Path segments, URI-encoded
+   * @param {string} username - GitHub username
+   * @param {string} fileName - Collection file name
+   * @param {string} key - Command segment (optional)
+   * @returns {string} u/{username}/{collection}[/{command}]
+   */
+  function routePath(username, fileName, key) {
+    const segments = ['u', username, fileName ? collectionSlug(fileName) : null, key]
+      .filter(segment => segment !== null && segment !== undefined && segment !== '');
+    return segments.map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Gallery hash route
+   * @param {string} username - GitHub username
+   * @param {string} fileName - Collection file name (optional)
+   * @param {string} key - Command segment (optional)
+   * @returns {string} #/u/...
+   */
+  function hashRoute(username, fileName, key) {
+    return `#/${routePath(username, fileName, key)}`;
+  }
+
+  /**
+   * Static page path, relative to the site root
+   * @param {string} username - GitHub username
+   * @param {string} fileName - Collection file name (optional)
+   * @param {string} key - Command segment (optional)
+   * @returns {string} u/{username}/[{collection}/[{command}/]]
+   */
+  function pagePath(username, fileName, key) {
+    return `${routePath(username, fileName, key)}/`;
+  }
+
+  /**
+   * Parse a gallery hash route
+   * @param {string} hash - location.hash
+   * @returns {Object|null} { username, fileName, command } (fileName and command may be null)
+   */
+  function parseHash(hash) {
+    const match = HASH_PATTERN.exec(hash || '');
+    if (!match) return null;
+    try {
+      const [username, slug, command] = match.slice(1).map(segment => (segment ? decodeURIComponent(segment) : null));
+      return { username, fileName: slug ? collectionFileName(slug) : null, command };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return { collectionSlug, collectionFileName, commandKey, findCommand, hashRoute, pagePath, parseHash };
+});
@@ -0,0 +1,206 @@
+/**
+ * AI Review Stub Server
+ * Offline stand-in for the chat completions endpoint used by ai-review.js.
+ * Reviews are derived from the static security analyzer so results are deterministic.
+ */
+
+const http = require('http');
+const SecurityAnalyzer = require('./security-analyzer');
+
+const DEFAULT_PORT = 8787;
+
+// Score deducted per finding of each severity
+const SEVERITY_PENALTIES = { CRITICAL: 40, HIGH: 25, MEDIUM: 10, LOW: 3 };
+
+// Response modes for exercising the reviewer's error handling
+const MODES = ['valid', 'fenced', 'invalid', 'partial', 'error'];
+
+class AiReviewStubServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.mode - One of MODES
+   */
+  constructor(options = {}) {
+    this.port = options.port === undefined ? DEFAULT_PORT : options.port;
+    this.mode = options.mode || 'valid';
+    this.analyzer = new SecurityAnalyzer();
+    this.requests = [];
+    this.server = null;
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown stub mode "${this.mode}". Use one of: ${MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Chat completions URL
+   */
+  start() {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/chat/completions`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>} Resolves when closed
+   */
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  handle(request, response) {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      if (request.method !== 'POST' || !request.url.endsWith('/chat/completions')) {
+        this.send(response, 404, { error: { message: 'Not found' } });
+        return;
+      }
+      if (this.mode === 'error') {
+        this.send(response, 500, { error: { message: 'Stub server error' } });
+        return;
+      }
+
+      try {
+        const payload = JSON.parse(body);
+        this.requests.push(payload);
+        this.send(response, 200, {
+          id: `stub-${this.requests.length}`,
+          object: 'chat.completion',
+          model: payload.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: this.createContent(payload) }, finish_reason: 'stop' }]
+        });
+      } catch (error) {
+        this.send(response, 400, { error: { message: error.message } });
+      }
+    });
+  }
+
+  /**
+   * Build the assistant message for a request
+   * @param {Object} payload - Chat completions request
+   * @returns {string} Message content
+   */
+  createContent(payload) {
+    if (this.mode === 'invalid') {
+      return '{"safetyScore": "high", "riskLevel": "SOMEWHAT"}';
+    }
+
+    const userMessage = payload.messages.find(message => message.role === 'user').content;
+    const batched = /_batch$/.test(payload.response_format?.json_schema?.name || '');
+    let result;
+
+    if (batched) {
+      const reviews = this.splitBatch(userMessage).map(section => ({
+        commandIndex: section.index,
+        ...this.reviewCode(section.code)
+      }));
+      // Partial mode drops the last review so the reviewer has to retry it on its own
+      result = { reviews: this.mode === 'partial' ? reviews.slice(0, -1) : reviews };
+    } else {
+      result = this.reviewCode(this.extractCode(userMessage));
+    }
+
+    const json = JSON.stringify(result, null, 2);
+    return this.mode === 'fenced' ? `Here is the analysis:\n\n\`\`\`json\n${json}\n\`\`\`` : json;
+  }
+
+  /**
+   * Split a batched prompt into its command sections
+   * @param {string} text - User message
+   * @returns {Object[]} [{ index, code }]
+   */
+  splitBatch(text) {
+    const parts = text.split(/^### Command (\d+)$/m);
+    const sections = [];
+    for (let i = 1; i < parts.length; i += 2) {
+      sections.push({ index: Number(parts[i]), code: this.extractCode(parts[i + 1]) });
+    }
+    return sections;
+  }
+
+  /**
+   * Extract the javascript code block from a rendered prompt
+   * @param {string} text - Prompt text
+   * @returns {string} Code
+   */
+  extractCode(text) {
+    const match = /```javascript\n([\s\S]*)\n```/.exec(text);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Review code with the static analyzer
+   * @param {string} code - Command code
+   * @returns {Object} Review in the prompt's response format
+   */
+  reviewCode(code) {
+    const { findings } = this.analyzer.analyzeCode(code);
+    const safetyScore = Math.max(0, findings.reduce((score, finding) => score - SEVERITY_PENALTIES[finding.severity], 100));
+    const riskLevel = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].find(severity =>
+      findings.some(finding => finding.severity === severity)
+    ) || 'LOW';
+
+    return {
+      safetyScore,
+      riskLevel,
+      issues: findings.map(finding => ({
+        severity: finding.severity,
+        category: finding.ruleId,
+        description: finding.message,
+        recommendation: 'Remove or justify this pattern',
+        lineNumber: finding.line
+      })),
+      summary: findings.length ? `${findings.length} issue(s) found by static analysis` : 'No issues found',
+      autoApprove: safetyScore >= 75 && !['HIGH', 'CRITICAL'].includes(riskLevel),
+      confidence: 100
+    };
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body
+   */
+  send(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const modeIndex = args.indexOf('--mode');
+  const mode = modeIndex >= 0 ? args[modeIndex + 1] : 'valid';
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? parseInt(args[portIndex + 1], 10) : DEFAULT_PORT;
+
+  try {
+    const stub = new AiReviewStubServer({ port, mode });
+    stub.start().then(url => {
+      console.error(`🧪 AI review stub (${mode}) listening on ${url}`);
+      console.error('Press Ctrl+C to stop');
+    });
+  } catch (error) {
+    console.error('❌ Stub server failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = AiReviewStubServer;
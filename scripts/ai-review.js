@@ -0,0 +1,418 @@
+/**
+ * AI Review
+ * Reviews every command of a collection with a chat-completions model and combines the results
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+
+const DEFAULT_PROMPT_PATH = path.join(__dirname, '..', '.github', 'prompts', 'security-analysis.prompt.yml');
+const DEFAULT_ENDPOINT = 'https://models.github.ai/inference/chat/completions';
+const DEFAULT_MAX_TOKENS = 4000;
+const DEFAULT_TIMEOUT = 60000;
+
+// Rough token estimate used for batching; models average about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Minimum shape every model response must have, whatever the prompt's own schema asks for
+const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['safetyScore', 'riskLevel', 'autoApprove', 'issues'],
+  properties: {
+    safetyScore: { type: 'number', minimum: 0, maximum: 100 },
+    riskLevel: { enum: RISK_LEVELS },
+    autoApprove: { type: 'boolean' },
+    summary: { type: 'string' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['severity', 'description'],
+        properties: {
+          severity: { enum: RISK_LEVELS },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+class AiReviewer {
+  /**
+   * @param {Object} options - Reviewer options
+   * @param {string} options.endpoint - Chat completions URL
+   * @param {string} options.token - Bearer token for the endpoint
+   * @param {string} options.model - Model name (defaults to the prompt file's model)
+   * @param {string} options.promptPath - Prompt file in GitHub Models .prompt.yml format
+   * @param {number} options.maxTokensPerRequest - Prompt token budget per request; 0 reviews one command per request
+   * @param {Function} options.transport - async (requestBody) => response text, replaces the HTTP call
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    const prompt = yaml.load(fs.readFileSync(options.promptPath || DEFAULT_PROMPT_PATH, 'utf8'));
+
+    this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+    this.token = options.token || '';
+    this.model = options.model || prompt.model;
+    this.maxTokensPerRequest = options.maxTokensPerRequest === undefined
+      ? DEFAULT_MAX_TOKENS
+      : options.maxTokensPerRequest;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.transport = options.transport || (body => this.postRequest(body));
+    this.systemPrompt = prompt.messages.find(message => message.role === 'system').content;
+    this.userTemplate = prompt.messages.find(message => message.role === 'user').content;
+    this.responseSchema = JSON.parse(prompt.jsonSchema);
+
+    const ajv = new Ajv({ allErrors: true });
+    this.validateReview = ajv.compile(REVIEW_SCHEMA);
+  }
+
+  /**
+   * Review all commands and combine the results into one verdict
+   * @param {Object[]} commands - Commands with name, description, category and code
+   * @param {Object} metadata - Collection metadata (used for the default category)
+   * @returns {Promise<Object>} Collection verdict
+   */
+  async reviewCollection(commands, metadata = {}) {
+    const items = (commands || []).map((command, index) => ({
+      index,
+      name: command.name || `Command ${index + 1}`,
+      prompt: this.renderCommand(command, metadata)
+    }));
+    const reviews = [];
+
+    for (const batch of this.createBatches(items)) {
+      const results = await this.reviewBatch(batch);
+      results.forEach(result => reviews.push(result));
+    }
+
+    reviews.sort((a, b) => a.index - b.index);
+    return this.combineReviews(reviews);
+  }
+
+  /**
+   * Render the prompt's user message for one command
+   * @param {Object} command - Command
+   * @param {Object} metadata - Collection metadata
+   * @returns {string} Prompt text
+   */
+  renderCommand(command, metadata) {
+    const values = {
+      commandName: command.name || '',
+      commandDescription: command.description || '',
+      commandCategory: command.category || metadata.category || '',
+      commandCode: command.code || ''
+    };
+    return this.userTemplate.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+
+  /**
+   * Group commands into requests that stay under the token budget.
+   * A command larger than the budget is sent on its own.
+   * @param {Object[]} items - { index, name, prompt }
+   * @returns {Object[][]} Batches
+   */
+  createBatches(items) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    items.forEach(item => {
+      const tokens = this.estimateTokens(item.prompt);
+      if (current.length > 0 && currentTokens + tokens > this.maxTokensPerRequest) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(item);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * Estimate the number of tokens in a prompt
+   * @param {string} text - Prompt text
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Review one batch. Commands missing from a batch response are retried one at a time.
+   * @param {Object[]} batch - Items to review
+   * @returns {Promise<Object[]>} Per-command reviews
+   */
+  async reviewBatch(batch) {
+    if (batch.length === 1) {
+      return [await this.reviewSingle(batch[0])];
+    }
+
+    let reviews = [];
+    try {
+      const text = await this.transport(this.buildRequest(this.renderBatch(batch), this.batchSchema()));
+      const parsed = this.parseResponse(text);
+      reviews = Array.isArray(parsed && parsed.reviews) ? parsed.reviews : [];
+    } catch (error) {
+      console.warn(`Batch review failed, reviewing commands individually: ${error.message}`);
+    }
+
+    const results = [];
+    for (const item of batch) {
+      const review = reviews.find(candidate => candidate && candidate.commandIndex === item.index);
+      results.push(review && this.validateReview(review)
+        ? this.reviewed(item, review)
+        : await this.reviewSingle(item));
+    }
+    return results;
+  }
+
+  /**
+   * Review a single command
+   * @param {Object} item - { index, name, prompt }
+   * @returns {Promise<Object>} Review
+   */
+  async reviewSingle(item) {
+    let text;
+    try {
+      text = await this.transport(this.buildRequest(item.prompt, this.responseSchema));
+    } catch (error) {
+      return { index: item.index, name: item.name, status: 'error', error: error.message };
+    }
+
+    let review;
+    try {
+      review = this.parseResponse(text);
+    } catch (error) {
+      return { index: item.index, name: item.name, status: 'invalid', error: `Response is not JSON: ${error.message}` };
+    }
+
+    if (!this.validateReview(review)) {
+      const problems = this.validateReview.errors
+        .map(error => `${error.instancePath || '/'} ${error.message}`)
+        .join('; ');
+      return { index: item.index, name: item.name, status: 'invalid', error: `Response does not match schema: ${problems}` };
+    }
+
+    return this.reviewed(item, review);
+  }
+
+  /**
+   * Normalize a valid review
+   * @param {Object} item - Reviewed item
+   * @param {Object} review - Model response
+   * @returns {Object} Review
+   */
+  reviewed(item, review) {
+    return {
+      index: item.index,
+      name: item.name,
+      status: 'reviewed',
+      safetyScore: review.safetyScore,
+      riskLevel: review.riskLevel,
+      autoApprove: review.autoApprove,
+      summary: review.summary || '',
+      issues: review.issues
+    };
+  }
+
+  /**
+   * Render a multi-command prompt
+   * @param {Object[]} batch - Items to review
+   * @returns {string} Prompt text
+   */
+  renderBatch(batch) {
+    const sections = batch.map(item => `### Command ${item.index}\n\n${item.prompt}`);
+    return [
+      `Analyze each of the following ${batch.length} JavaScript commands separately.`,
+      'Return {"reviews": [...]} with one entry per command, in the same order, and set "commandIndex" ' +
+        'to the number in the command\'s heading.',
+      '',
+      ...sections
+    ].join('\n\n');
+  }
+
+  /**
+   * Response schema for batched requests, derived from the prompt's single-command schema
+   * @returns {Object} json_schema response format
+   */
+  batchSchema() {
+    const single = this.responseSchema.schema;
+    return {
+      name: `${this.responseSchema.name}_batch`,
+      strict: this.responseSchema.strict,
+      schema: {
+        type: 'object',
+        properties: {
+          reviews: {
+            type: 'array',
+            items: {
+              ...single,
+              properties: { commandIndex: { type: 'integer' }, ...single.properties },
+              required: ['commandIndex', ...single.required]
+            }
+          }
+        },
+        required: ['reviews'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  /**
+   * Build a chat completions request body
+   * @param {string} userContent - User message
+   * @param {Object} schema - json_schema response format
+   * @returns {Object} Request body
+   */
+  buildRequest(userContent, schema) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: this.systemPrompt },
+        { role: 'user', content: userContent }
+      ],
+      response_format: { type: 'json_schema', json_schema: schema },
+      temperature: 0
+    };
+  }
+
+  /**
+   * Send a request to the model endpoint
+   * @param {Object} body - Request body
+   * @returns {Promise<string>} Message content of the first choice
+   */
+  async postRequest(body) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`Model endpoint returned ${response.status}: ${text.substring(0, 200)}`);
+    }
+
+    const data = JSON.parse(text);
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Parse model output, tolerating a surrounding markdown code fence
+   * @param {string} text - Model output
+   * @returns {Object} Parsed JSON
+   */
+  parseResponse(text) {
+    const fenced = /```(?:json)?\s*\n([\s\S]*?)\n\s*```/.exec(text || '');
+    return JSON.parse(fenced ? fenced[1] : text);
+  }
+
+  /**
+   * Combine per-command reviews into a collection verdict.
+   * The collection is as risky as its riskiest command; commands without a valid review
+   * count as HIGH risk with a score of 0 so they can never be auto-approved.
+   * @param {Object[]} reviews - Per-command reviews
+   * @returns {Object} Verdict
+   */
+  combineReviews(reviews) {
+    const reviewed = reviews.filter(review => review.status === 'reviewed');
+    const unreviewed = reviews.filter(review => review.status !== 'reviewed');
+    const rank = level => RISK_LEVELS.indexOf(level);
+    const worst = reviewed.reduce((current, review) =>
+      (!current || rank(review.riskLevel) > rank(current.riskLevel) ? review : current), null);
+
+    let riskLevel = worst ? worst.riskLevel : 'HIGH';
+    if (unreviewed.length > 0 && rank(riskLevel) < rank('HIGH')) {
+      riskLevel = 'HIGH';
+    }
+    const safetyScore = unreviewed.length > 0 || reviewed.length === 0
+      ? 0
+      : Math.min(...reviewed.map(review => review.safetyScore));
+    const autoApprove = reviewed.length > 0 &&
+      unreviewed.length === 0 &&
+      reviewed.every(review => review.autoApprove) &&
+      safetyScore >= 75 &&
+      !['HIGH', 'CRITICAL'].includes(riskLevel);
+
+    const summaryParts = [`${reviewed.length} of ${reviews.length} commands reviewed`];
+    if (worst) summaryParts.push(`highest reviewed risk ${worst.riskLevel} in "${worst.name}"`);
+    if (unreviewed.length) summaryParts.push(`no valid review for ${unreviewed.map(review => `"${review.name}"`).join(', ')}`);
+
+    return {
+      safetyScore,
+      riskLevel,
+      autoApprove,
+      summary: summaryParts.join('; '),
+      issues: reviewed.flatMap(review => review.issues.map(issue => ({
+        ...issue,
+        command: review.name,
+        commandIndex: review.index
+      }))),
+      commands: reviews,
+      model: this.model,
+      reviewedAt: new Date().toISOString()
+    };
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const perCommandIndex = args.indexOf('--per-command');
+  const perCommand = perCommandIndex >= 0 && Boolean(args.splice(perCommandIndex, 1));
+  const endpoint = option('--endpoint') || process.env.AI_REVIEW_ENDPOINT;
+  const model = option('--model');
+  const maxTokens = option('--max-tokens');
+  const inputPath = args[0];
+
+  if (!inputPath) {
+    console.error('Usage: node ai-review.js <issue-data.json|collection.json> [--endpoint url] [--model name] ' +
+      '[--max-tokens n] [--per-command]');
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const reviewer = new AiReviewer({
+    endpoint,
+    model,
+    token: process.env.GITHUB_TOKEN || process.env.GH_TOKEN,
+    maxTokensPerRequest: perCommand ? 0 : (maxTokens ? parseInt(maxTokens, 10) : undefined)
+  });
+
+  reviewer.reviewCollection(data.commands, data.metadata || data)
+    .then(verdict => {
+      console.log(JSON.stringify(verdict, null, 2));
+
+      console.error('\n🤖 AI Review:');
+      verdict.commands.forEach(review => {
+        const detail = review.status === 'reviewed'
+          ? `${review.safetyScore}/100, ${review.riskLevel}`
+          : `${review.status}: ${review.error}`;
+        console.error(`  • ${review.name}: ${detail}`);
+      });
+      console.error(`Verdict: ${verdict.safetyScore}/100, ${verdict.riskLevel} risk, ` +
+        `${verdict.autoApprove ? 'auto-approve' : 'manual review'}`);
+    })
+    .catch(error => {
+      console.error('❌ AI review failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = AiReviewer;
@@ -0,0 +1,337 @@
+/**
+ * Approval Policy Engine
+ * Combines the parser's validation result, static security findings, the AI review and the
+ * author's history into one APPROVE, MANUAL_REVIEW or REJECT decision using config/approval-policy.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RuleConditions = require('./rule-conditions');
+const SecurityAnalyzer = require('./security-analyzer');
+const XrmApiProfiler = require('./xrm-api-profiler');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'config', 'approval-policy.json');
+
+// Ordered from least to most strict; the strictest matching rule decides
+const DECISIONS = ['APPROVE', 'MANUAL_REVIEW', 'REJECT'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ApprovalPolicy {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.policy - Policy object (takes precedence over policyPath)
+   * @param {string} options.policyPath - Path to a policy JSON file
+   */
+  constructor(options = {}) {
+    this.conditions = new RuleConditions();
+    this.securityAnalyzer = new SecurityAnalyzer();
+    this.apiProfiler = new XrmApiProfiler();
+    this.policy = options.policy || this.loadPolicy(options.policyPath || DEFAULT_POLICY_PATH);
+    this.assertValidPolicy(this.policy);
+  }
+
+  /**
+   * Load a policy file
+   * @param {string} policyPath - Path to the policy JSON
+   * @returns {Object} Policy
+   */
+  loadPolicy(policyPath) {
+    try {
+      return JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load approval policy ${policyPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the policy structure so a typo fails loudly instead of silently approving
+   * @param {Object} policy - Policy to check
+   */
+  assertValidPolicy(policy) {
+    if (!Array.isArray(policy.rules)) {
+      throw new Error('Approval policy needs a "rules" array');
+    }
+
+    const ids = new Set();
+    policy.rules.forEach((rule, index) => {
+      const location = `rules[${index}]`;
+      if (!rule.id) {
+        throw new Error(`${location}: rule needs an "id"`);
+      }
+      if (ids.has(rule.id)) {
+        throw new Error(`${location}: duplicate rule id "${rule.id}"`);
+      }
+      ids.add(rule.id);
+      if (!DECISIONS.includes(rule.decision) || rule.decision === 'APPROVE') {
+        throw new Error(`${location} (${rule.id}): decision must be MANUAL_REVIEW or REJECT`);
+      }
+      this.conditions.assertValid(rule.when, `${location} (${rule.id}).when`);
+    });
+
+    if (policy.trust) {
+      this.conditions.assertValid(policy.trust.when, 'trust.when');
+    }
+  }
+
+  /**
+   * Evaluate a submission against the policy
+   * @param {Object} inputs - Evaluation inputs
+   * @param {Object} inputs.issueData - Parsed issue data from parse-collection-issue.js
+   * @param {Object} inputs.aiReport - Verdict from ai-review.js, or null when unavailable
+   * @param {Object} inputs.profile - Issue author's existing profile.json, or null for new authors
+   * @param {Object} inputs.securityReport - Output of security-analyzer.js, or null to use the parser's findings
+   * @param {Date} inputs.now - Evaluation time
+   * @returns {Object} Approval report
+   */
+  evaluate(inputs) {
+    const now = inputs.now || new Date();
+    const facts = this.buildFacts({ ...inputs, now });
+
+    const rules = this.policy.rules.map(rule => {
+      const result = this.conditions.evaluate(rule.when, facts);
+      return {
+        id: rule.id,
+        description: rule.description || '',
+        decision: rule.decision,
+        matched: result.matched,
+        message: result.matched ? this.conditions.interpolate(rule.message || rule.description || rule.id, facts) : null,
+        facts: result.facts
+      };
+    });
+
+    const matchedRules = rules.filter(rule => rule.matched);
+    const recommendation = matchedRules.reduce((decision, rule) =>
+      (DECISIONS.indexOf(rule.decision) > DECISIONS.indexOf(decision) ? rule.decision : decision), 'APPROVE');
+    const reasons = matchedRules.map(rule => `${rule.decision}: ${rule.message} [${rule.id}]`);
+
+    return {
+      overallScore: facts.score.overall,
+      autoApprove: recommendation === 'APPROVE',
+      recommendation,
+      feedback: reasons.length > 0
+        ? reasons.map(reason => `- ${reason}`).join('\n')
+        : 'Collection passed every approval policy rule',
+      reasons,
+      scores: {
+        validation: facts.validation.score,
+        aiSafety: facts.ai.available ? facts.ai.safetyScore : null,
+        riskLevel: facts.ai.riskLevel || null,
+        security: facts.security
+      },
+      author: facts.author,
+      rules,
+      policyVersion: this.policy.version || 1,
+      processedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Build the facts that rule conditions read
+   * @param {Object} inputs - Evaluation inputs (see evaluate)
+   * @returns {Object} Facts grouped as validation, security, ai, author, collection and score
+   */
+  buildFacts(inputs) {
+    const issueData = inputs.issueData || {};
+    const facts = {
+      validation: this.validationFacts(issueData.validation),
+      security: this.securityFacts(issueData, inputs.securityReport),
+      ai: this.aiFacts(inputs.aiReport),
+      author: this.authorFacts(issueData, inputs.profile, inputs.now),
+      collection: this.collectionFacts(issueData)
+    };
+
+    facts.author.trusted = this.policy.trust
+      ? this.conditions.evaluate(this.policy.trust.when, facts).matched
+      : false;
+    facts.score = { overall: this.calculateScore(facts) };
+
+    return facts;
+  }
+
+  /**
+   * Facts from the parser's validation result
+   * @param {Object} validation - issueData.validation
+   * @returns {Object} Validation facts
+   */
+  validationFacts(validation) {
+    const result = validation || {};
+    return {
+      isValid: Boolean(result.valid),
+      score: typeof result.score === 'number' ? result.score : 0,
+      errorCount: (result.errors || []).length,
+      warningCount: (result.warnings || []).length
+    };
+  }
+
+  /**
+   * Severity counts from a security-analyzer.js report, the parser's findings, or a fresh analysis
+   * @param {Object} issueData - Parsed issue data
+   * @param {Object} securityReport - security-analyzer.js output, if any
+   * @returns {Object} { total, CRITICAL, HIGH, MEDIUM, LOW }
+   */
+  securityFacts(issueData, securityReport) {
+    if (securityReport && securityReport.summary) {
+      return securityReport.summary;
+    }
+    if (issueData.validation && issueData.validation.security) {
+      return issueData.validation.security.summary;
+    }
+
+    const findings = (issueData.commands || []).flatMap(command =>
+      this.securityAnalyzer.analyzeCode(command.code || '').findings);
+    return this.securityAnalyzer.summarize(findings);
+  }
+
+  /**
+   * Facts from the ai-review.js verdict
+   * @param {Object} aiReport - AI verdict, or null
+   * @returns {Object} AI facts
+   */
+  aiFacts(aiReport) {
+    if (!aiReport) {
+      return { available: false, unreviewedCommands: 0 };
+    }
+
+    const commands = aiReport.commands || [];
+    return {
+      available: true,
+      safetyScore: typeof aiReport.safetyScore === 'number' ? aiReport.safetyScore : 0,
+      riskLevel: aiReport.riskLevel || 'HIGH',
+      autoApprove: aiReport.autoApprove === true,
+      reviewedCommands: commands.filter(command => command.status === 'reviewed').length,
+      unreviewedCommands: commands.filter(command => command.status !== 'reviewed').length
+    };
+  }
+
+  /**
+   * Facts about the author. The author is the GitHub account that opened the issue or pull
+   * request; the contact info is free text, so it only counts when it names the same account.
+   * @param {Object} issueData - Parsed issue data
+   * @param {Object} profile - The author's profile.json contents, or null for a first submission
+   * @param {Date} now - Evaluation time
+   * @returns {Object} Author facts
+   */
+  authorFacts(issueData, profile, now) {
+    const username = ((issueData.issueInfo && issueData.issueInfo.submittedBy) ||
+      (issueData.metadata && issueData.metadata.submittedBy) || '').toLowerCase() || null;
+    const contactInfo = issueData.contactInfo || null;
+    const identity = {
+      username,
+      contactInfo,
+      matchesContactInfo: Boolean(username) && username === String(contactInfo || '').toLowerCase()
+    };
+
+    // A profile of another account says nothing about this author
+    if (!profile || !username || String(profile.username || '').toLowerCase() !== username) {
+      return { ...identity, known: false, publishedCollections: 0, publishedCommands: 0, badges: 0, daysSinceJoined: 0 };
+    }
+
+    const joinedAt = Date.parse(profile.joinedAt);
+    return {
+      ...identity,
+      known: true,
+      publishedCollections: (profile.collections || []).length,
+      publishedCommands: profile.stats ? profile.stats.totalCommands || 0 : 0,
+      badges: (profile.badges || []).length,
+      daysSinceJoined: Number.isNaN(joinedAt) ? 0 : Math.max(0, Math.floor((now.getTime() - joinedAt) / DAY_MS))
+    };
+  }
+
+  /**
+   * Facts about the submitted commands
+   * @param {Object} issueData - Parsed issue data
+   * @returns {Object} Collection facts
+   */
+  collectionFacts(issueData) {
+    const commands = issueData.commands || [];
+    return {
+      commandCount: commands.length,
+      apiAccess: this.apiProfiler.profileCommands(commands).summary.access,
+      category: issueData.metadata ? issueData.metadata.category : null
+    };
+  }
+
+  /**
+   * Weighted average of the available scores
+   * @param {Object} facts - Facts without score
+   * @returns {number} Overall score 0-100
+   */
+  calculateScore(facts) {
+    const weights = (this.policy.score && this.policy.score.weights) || { validation: 0.3, ai: 0.7 };
+    const scores = { validation: facts.validation.score };
+    if (facts.ai.available) {
+      scores.ai = facts.ai.safetyScore;
+    }
+
+    let total = 0;
+    let weightSum = 0;
+    Object.keys(scores).forEach(key => {
+      const weight = weights[key] || 0;
+      total += scores[key] * weight;
+      weightSum += weight;
+    });
+
+    return weightSum > 0 ? Math.round(total / weightSum) : 0;
+  }
+}
+
+/**
+ * Read an optional JSON file
+ * @param {string} filePath - Path, or null
+ * @param {boolean} required - Throw when the file is missing
+ * @returns {Object|null} Parsed JSON
+ */
+function readJson(filePath, required) {
+  if (!filePath) return null;
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`File not found: ${filePath}`);
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const aiPath = option('--ai');
+  const profilePath = option('--profile');
+  const securityPath = option('--security');
+  const policyPath = option('--policy');
+  const issueDataPath = args[0];
+
+  if (!issueDataPath) {
+    console.error('Usage: node approval-policy.js <issue-data.json> [--ai ai-safety-report.json] ' +
+      '[--profile collections/<issue author>/profile.json] [--security security-report.json] [--policy policy.json]');
+    process.exit(1);
+  }
+
+  try {
+    const engine = new ApprovalPolicy({ policyPath });
+    const report = engine.evaluate({
+      issueData: readJson(issueDataPath, true),
+      aiReport: readJson(aiPath, true),
+      // A missing profile just means this is the author's first submission
+      profile: readJson(profilePath, false),
+      securityReport: readJson(securityPath, true)
+    });
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify(report, null, 2));
+
+    // Log decision to stderr for human readability
+    const icon = { APPROVE: '✅', MANUAL_REVIEW: '⚠️', REJECT: '❌' }[report.recommendation];
+    console.error(`\n${icon} ${report.recommendation} (overall score ${report.overallScore}/100, ` +
+      `author ${report.author.trusted ? 'trusted' : 'not yet trusted'})`);
+    report.reasons.forEach(reason => console.error(`  • ${reason}`));
+  } catch (error) {
+    console.error('❌ Approval policy failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = ApprovalPolicy;
@@ -0,0 +1,202 @@
+/**
+ * AST Utilities
+ * Shared helpers for parsing and inspecting command code with acorn
+ */
+
+const acorn = require('acorn');
+
+// Identifiers that refer to the global object in a browser
+const GLOBAL_ALIASES = ['window', 'self', 'globalThis', 'top', 'parent', 'frames'];
+
+/**
+ * Parse command code into an ESTree AST.
+ * Level Up runs commands inside an async wrapper, so top-level await and return are allowed.
+ * @param {string} code - Command JavaScript code
+ * @returns {Object} { ast, error } where error is { message, line, column } on failure
+ */
+function parseCode(code) {
+  try {
+    const ast = acorn.parse(code || '', {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      locations: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowHashBang: true
+    });
+    return { ast, error: null };
+  } catch (error) {
+    return {
+      ast: null,
+      error: {
+        message: error.message,
+        line: error.loc ? error.loc.line : 1,
+        column: error.loc ? error.loc.column + 1 : 1
+      }
+    };
+  }
+}
+
+/**
+ * Resolve an expression to a constant value when it can be computed statically.
+ * Handles literals, template literals, string concatenation and ['a','b'].join('').
+ * @param {Object} node - AST node
+ * @returns {*} The static value, or undefined if it cannot be resolved
+ */
+function staticValue(node) {
+  if (!node) return undefined;
+
+  switch (node.type) {
+  case 'Literal':
+    return node.regex ? undefined : node.value;
+  case 'TemplateLiteral': {
+    let result = node.quasis[0].value.cooked;
+    for (let i = 0; i < node.expressions.length; i++) {
+      const value = staticValue(node.expressions[i]);
+      if (value === undefined) return undefined;
+      result += String(value) + node.quasis[i + 1].value.cooked;
+    }
+    return result;
+  }
+  case 'BinaryExpression': {
+    if (node.operator !== '+') return undefined;
+    const left = staticValue(node.left);
+    const right = staticValue(node.right);
+    if (left === undefined || right === undefined) return undefined;
+    return left + right;
+  }
+  case 'CallExpression':
+    return staticJoin(node);
+  default:
+    return undefined;
+  }
+}
+
+/**
+ * Resolve ['ev', 'al'].join('') style expressions
+ * @param {Object} node - CallExpression node
+ * @returns {string|undefined} Joined string
+ */
+function staticJoin(node) {
+  const callee = node.callee;
+  if (
+    callee.type !== 'MemberExpression' ||
+    callee.object.type !== 'ArrayExpression' ||
+    propertyName(callee) !== 'join'
+  ) {
+    return undefined;
+  }
+
+  const parts = callee.object.elements.map(element => staticValue(element));
+  if (parts.some(part => part === undefined)) return undefined;
+
+  const separator = node.arguments.length > 0 ? staticValue(node.arguments[0]) : ',';
+  return separator === undefined ? undefined : parts.join(separator);
+}
+
+/**
+ * Resolve the leading constant part of a string expression.
+ * Used to decide where a URL points when only its prefix is known.
+ * @param {Object} node - AST node
+ * @returns {string} Static prefix (empty string when nothing is known)
+ */
+function staticPrefix(node) {
+  if (!node) return '';
+
+  const value = staticValue(node);
+  if (value !== undefined) return String(value);
+
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis[0].value.cooked;
+  }
+
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return staticPrefix(node.left);
+  }
+
+  return '';
+}
+
+/**
+ * Get the property name of a member expression, resolving static computed keys
+ * @param {Object} node - MemberExpression node
+ * @returns {string|undefined} Property name
+ */
+function propertyName(node) {
+  if (!node.computed) {
+    return node.property.name;
+  }
+  const value = staticValue(node.property);
+  return value === undefined ? undefined : String(value);
+}
+
+/**
+ * Flatten a member expression chain into its path segments.
+ * Calls inside the chain are kept as "name()" so `a.b().c` becomes ['a', 'b()', 'c'].
+ * @param {Object} node - Expression node
+ * @returns {string[]|null} Path segments, or null if any segment is dynamic
+ */
+function memberPath(node) {
+  switch (node.type) {
+  case 'Identifier':
+    return [node.name];
+  case 'ThisExpression':
+    return ['this'];
+  case 'ChainExpression':
+    return memberPath(node.expression);
+  case 'MemberExpression': {
+    const objectPath = memberPath(node.object);
+    const name = propertyName(node);
+    if (!objectPath || name === undefined) return null;
+    return [...objectPath, name];
+  }
+  case 'CallExpression': {
+    const calleePath = memberPath(node.callee);
+    if (!calleePath) return null;
+    const last = calleePath.length - 1;
+    return [...calleePath.slice(0, last), `${calleePath[last]}()`];
+  }
+  default:
+    return null;
+  }
+}
+
+/**
+ * Strip leading global object aliases so `window.top.eval` and `eval` compare equal
+ * @param {string[]|null} path - Member path
+ * @returns {string[]|null} Normalized path
+ */
+function normalizeGlobalPath(path) {
+  if (!path) return null;
+
+  let start = 0;
+  while (start < path.length - 1 && GLOBAL_ALIASES.includes(path[start])) {
+    start++;
+  }
+  return path.slice(start);
+}
+
+/**
+ * Resolve the callee of a call or new expression to a normalized path.
+ * Unwraps the `(0, eval)(...)` indirect call form.
+ * @param {Object} node - CallExpression or NewExpression node
+ * @returns {string[]|null} Normalized callee path
+ */
+function calleePath(node) {
+  let callee = node.callee;
+  if (callee.type === 'SequenceExpression') {
+    callee = callee.expressions[callee.expressions.length - 1];
+  }
+  return normalizeGlobalPath(memberPath(callee));
+}
+
+module.exports = {
+  GLOBAL_ALIASES,
+  parseCode,
+  staticValue,
+  staticPrefix,
+  propertyName,
+  memberPath,
+  normalizeGlobalPath,
+  calleePath
+};
@@ -0,0 +1,206 @@
+/**
+ * Badge Engine
+ * Awards and revokes author badges with the rules in config/badges.json. Conditions use the format
+ * of the approval policy (rule-conditions.js) and are evaluated over facts about the author: profile
+ * stats, the published collections, how they were approved and the audit log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RuleConditions = require('./rule-conditions');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'badges.json');
+
+// Badge IDs are used in page URLs
+const BADGE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BadgeEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.config - Badge config (takes precedence over configPath)
+   * @param {string} options.configPath - Path to a badge config JSON file
+   */
+  constructor(options = {}) {
+    this.conditions = new RuleConditions();
+    this.config = options.config || this.loadConfig(options.configPath || DEFAULT_CONFIG_PATH);
+    this.assertValidConfig(this.config);
+  }
+
+  /**
+   * Load a badge config file
+   * @param {string} configPath - Path to the config JSON
+   * @returns {Object} Config
+   */
+  loadConfig(configPath) {
+    try {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load badge config ${configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the config structure so a typo fails loudly instead of revoking badges
+   * @param {Object} config - Config to check
+   */
+  assertValidConfig(config) {
+    if (!Array.isArray(config.badges)) {
+      throw new Error('Badge config needs a "badges" array');
+    }
+
+    const ids = new Set();
+    config.badges.forEach((badge, index) => {
+      const location = `badges[${index}]`;
+      if (!BADGE_ID_PATTERN.test(badge.id || '')) {
+        throw new Error(`${location}: badge needs an "id" of lowercase letters, digits and hyphens`);
+      }
+      if (ids.has(badge.id)) {
+        throw new Error(`${location}: duplicate badge id "${badge.id}"`);
+      }
+      ids.add(badge.id);
+      if (!badge.name) {
+        throw new Error(`${location} (${badge.id}): badge needs a "name"`);
+      }
+      if (badge.when !== undefined) {
+        this.conditions.assertValid(badge.when, `${location} (${badge.id}).when`);
+      }
+    });
+  }
+
+  /**
+   * Badge definitions in config order
+   * @returns {Object[]} [{ id, name, description, icon, when }]
+   */
+  definitions() {
+    return this.config.badges;
+  }
+
+  /**
+   * Facts the badge conditions read
+   * @param {Object} profile - Author profile
+   * @param {Object[]} collections - The author's published collection files
+   * @param {Object[]} auditEntries - Entries of collections/audit-log.json
+   * @param {Date} now - Reference time for durations
+   * @returns {Object} { stats, author, collections, approvals, audit }
+   */
+  collectFacts(profile, collections, auditEntries, now = new Date()) {
+    const joined = Date.parse(profile.joinedAt);
+    const actions = auditEntries.filter(entry => entry.username === profile.username).map(entry => entry.action);
+    const approvedBy = method => collections.filter(collection => this.approvalMethod(collection) === method).length;
+
+    return {
+      stats: profile.stats || {},
+      author: {
+        username: profile.username,
+        joinedAt: profile.joinedAt || null,
+        daysSinceJoined: Number.isNaN(joined) ? 0 : Math.floor((now.getTime() - joined) / DAY_MS)
+      },
+      collections: {
+        published: collections.length,
+        categories: new Set(collections.map(collection => collection.category).filter(Boolean)).size,
+        deprecated: collections.filter(collection => collection.status === 'deprecated').length,
+        updated: collections.filter(collection => (collection.changelog || []).length > 1).length,
+        readOnly: collections.filter(collection => collection.apiProfile && collection.apiProfile.access === 'read-only').length,
+        smokeTested: collections.filter(collection => (collection.commands || []).length > 0 &&
+          collection.commands.every(command => command.smokeTest && command.smokeTest.status === 'passed')).length
+      },
+      approvals: {
+        policy: approvedBy('policy'),
+        maintainer: approvedBy('maintainer')
+      },
+      audit: {
+        withdrawals: actions.filter(action => action === 'withdraw').length,
+        deprecations: actions.filter(action => action === 'deprecate').length,
+        takedowns: actions.filter(action => action === 'takedown').length
+      }
+    };
+  }
+
+  /**
+   * How a collection was approved
+   * @param {Object} collection - Collection file contents
+   * @returns {string} policy | maintainer; collections published before approvals were recorded count as policy
+   */
+  approvalMethod(collection) {
+    if (collection.approval) return collection.approval.method;
+    return collection.autoApproved === false ? 'maintainer' : 'policy';
+  }
+
+  /**
+   * Award the badges whose condition holds and revoke those whose condition no longer does.
+   * Badges saved without an id are matched to a definition by name, and a badge held twice is
+   * kept once. Badges that are not in the config were given by hand and are kept as they are.
+   * @param {Object} profile - Author profile (badges are updated in place)
+   * @param {Object} facts - From collectFacts
+   * @param {string} awardedAt - Timestamp for newly awarded badges
+   * @returns {Object} { awarded: string[], revoked: string[] } badge IDs
+   */
+  apply(profile, facts, awardedAt) {
+    const held = new Map();
+    (profile.badges || []).map(badge => this.normalize(badge)).forEach(badge => {
+      if (!held.has(badge.id)) held.set(badge.id, badge);
+    });
+
+    const awarded = [];
+    const revoked = [];
+    const badges = [];
+    this.config.badges.forEach(definition => {
+      const existing = held.get(definition.id);
+      held.delete(definition.id);
+
+      const qualifies = definition.when ? this.conditions.evaluate(definition.when, facts).matched : Boolean(existing);
+      if (!qualifies) {
+        if (existing) revoked.push(definition.id);
+        return;
+      }
+      if (!existing) awarded.push(definition.id);
+
+      badges.push({
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        icon: definition.icon,
+        awardedAt: (existing && existing.awardedAt) || awardedAt
+      });
+    });
+
+    profile.badges = [...badges, ...held.values()];
+    return { awarded, revoked };
+  }
+
+  /**
+   * Give a saved badge its id and move earnedAt to awardedAt
+   * @param {Object} badge - Badge from a profile
+   * @returns {Object} Badge with an id
+   */
+  normalize(badge) {
+    const { earnedAt, ...rest } = badge;
+    const name = String(badge.name || '').trim().toLowerCase();
+    const definition = badge.id ? null : this.config.badges.find(candidate => candidate.name.toLowerCase() === name);
+    const id = badge.id || (definition ? definition.id : name.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'badge');
+    const normalized = { ...rest, id, awardedAt: badge.awardedAt || earnedAt };
+    if (!normalized.awardedAt) delete normalized.awardedAt;
+    return normalized;
+  }
+
+  /**
+   * Holders of every defined badge
+   * @param {Object[]} profiles - Author profiles
+   * @returns {Object[]} [{ badge, holders: [{ profile, awardedAt }] }] in config order, earliest holder first
+   */
+  holders(profiles) {
+    return this.config.badges.map(badge => ({
+      badge,
+      holders: profiles
+        .map(profile => ({ profile, held: (profile.badges || []).find(candidate => candidate.id === badge.id) }))
+        .filter(entry => entry.held)
+        .map(({ profile, held }) => ({ profile, awardedAt: held.awardedAt || null }))
+        .sort((a, b) => String(a.awardedAt || '').localeCompare(String(b.awardedAt || '')) ||
+          a.profile.username.localeCompare(b.profile.username))
+    }));
+  }
+}
+
+module.exports = BadgeEngine;
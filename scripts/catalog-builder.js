@@ -0,0 +1,221 @@
+/**
+ * Catalog Builder
+ * Splits the complete collection catalog into paginated shards (all collections and one set per
+ * category) plus a small manifest. Shard file names carry a content hash so the site can cache them
+ * indefinitely; only the manifest has to be fetched fresh.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CollectionTransaction = require('./collection-transaction');
+
+const CATALOG_VERSION = 1;
+const DEFAULT_PAGE_SIZE = 24;
+const HASH_LENGTH = 12;
+
+// Shard file names look like all-0001.3f2a9c1d0b7e.json or category-development-0001.<hash>.json;
+// the groups of similar commands are published as similar-commands.<hash>.json
+const SHARD_FILE_PATTERN = /^((all|category-[a-z0-9-]+)-\d{4}|similar-commands)\.[0-9a-f]+\.json$/;
+
+class CatalogBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {number} options.pageSize - Collections per shard
+   */
+  constructor(options = {}) {
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  }
+
+  /**
+   * Build the manifest and shards for a list of collection entries
+   * @param {Object[]} collections - Index entries (profile collectionRef plus username/displayName)
+   * @param {string} generatedAt - ISO timestamp recorded in the manifest
+   * @param {Object} similarCommands - Groups of similar commands from DuplicateDetector.buildGroups, if any
+   * @returns {Object} { manifest, shards: [{ fileName, content, schema }] }
+   */
+  build(collections, generatedAt, similarCommands) {
+    const sorted = this.sortCollections(collections);
+    const shards = [];
+
+    const all = this.buildShardSet(sorted, { shard: 'all' }, 'all', shards);
+
+    const categories = {};
+    [...new Set(sorted.map(collection => collection.category))].sort().forEach(category => {
+      const members = sorted.filter(collection => collection.category === category);
+      categories[category] = this.buildShardSet(members, { shard: 'category', category },
+        `category-${this.slugify(category)}`, shards);
+    });
+
+    const manifest = {
+      version: CATALOG_VERSION,
+      generatedAt,
+      pageSize: this.pageSize,
+      sortedBy: 'submittedAt:desc',
+      totalCollections: sorted.length,
+      autoApprovedCollections: sorted.filter(collection => collection.autoApproved !== false).length,
+      all,
+      categories
+    };
+
+    if (similarCommands) {
+      const content = JSON.stringify(similarCommands, null, 2);
+      const hash = this.hashContent(content);
+      const fileName = `similar-commands.${hash}.json`;
+      shards.push({ fileName, content, schema: 'similar-commands' });
+      manifest.similarCommands = { file: fileName, hash, groups: similarCommands.groups.length };
+    }
+
+    return { manifest, shards };
+  }
+
+  /**
+   * Page a list of collections into shards
+   * @param {Object[]} collections - Sorted collections
+   * @param {Object} header - Fields copied into every shard (shard, category)
+   * @param {string} prefix - File name prefix
+   * @param {Object[]} shards - Output list of { fileName, content, schema }
+   * @returns {Object} Manifest entry: { totalCollections, pages: [{ file, hash, count }] }
+   */
+  buildShardSet(collections, header, prefix, shards) {
+    const totalPages = Math.max(1, Math.ceil(collections.length / this.pageSize));
+    const pages = [];
+
+    for (let page = 1; page <= totalPages; page++) {
+      const members = collections.slice((page - 1) * this.pageSize, page * this.pageSize);
+      const content = JSON.stringify({
+        version: CATALOG_VERSION,
+        ...header,
+        page,
+        totalPages,
+        collections: members
+      }, null, 2);
+      const hash = this.hashContent(content);
+      const fileName = `${prefix}-${String(page).padStart(4, '0')}.${hash}.json`;
+
+      shards.push({ fileName, content, schema: 'catalog-shard' });
+      pages.push({ file: fileName, hash, count: members.length });
+    }
+
+    return { totalCollections: collections.length, pages };
+  }
+
+  /**
+   * Sort newest first, with stable tie-breakers so unchanged data produces identical shards
+   * @param {Object[]} collections - Collections to sort
+   * @returns {Object[]} Sorted copy
+   */
+  sortCollections(collections) {
+    return [...collections].sort((a, b) =>
+      (Date.parse(b.submittedAt) || 0) - (Date.parse(a.submittedAt) || 0) ||
+      (a.username || '').localeCompare(b.username || '') ||
+      (a.fileName || '').localeCompare(b.fileName || ''));
+  }
+
+  /**
+   * Short SHA-256 of shard content
+   * @param {string} content - Serialized shard
+   * @returns {string} Hex hash
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').substring(0, HASH_LENGTH);
+  }
+
+  /**
+   * File-name-safe form of a category name
+   * @param {string} value - Category name
+   * @returns {string} Slug, falling back to a hash for names without letters or digits
+   */
+  slugify(value) {
+    const slug = String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || this.hashContent(String(value)).substring(0, 8);
+  }
+
+  /**
+   * Shard files in a catalog directory that the manifest no longer references
+   * @param {string} catalogDir - Catalog directory
+   * @param {Object} manifest - Current manifest
+   * @returns {string[]} File paths to delete
+   */
+  findStaleShards(catalogDir, manifest) {
+    if (!fs.existsSync(catalogDir)) return [];
+
+    const current = new Set(this.listShardFiles(manifest));
+    return fs.readdirSync(catalogDir)
+      .filter(fileName => SHARD_FILE_PATTERN.test(fileName) && !current.has(fileName))
+      .map(fileName => path.join(catalogDir, fileName));
+  }
+
+  /**
+   * Every shard file referenced by a manifest
+   * @param {Object} manifest - Catalog manifest
+   * @returns {string[]} File names
+   */
+  listShardFiles(manifest) {
+    return [manifest.all, ...Object.values(manifest.categories || {})]
+      .flatMap(set => set.pages.map(page => page.file))
+      .concat(manifest.similarCommands ? [manifest.similarCommands.file] : []);
+  }
+
+  /**
+   * Check that every shard referenced by a manifest exists and matches its hash
+   * @param {string} catalogDir - Catalog directory
+   * @returns {Object} { manifest, problems: string[] }
+   */
+  verify(catalogDir) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(catalogDir, 'manifest.json'), 'utf8'));
+    const problems = [];
+
+    const files = [manifest.all, ...Object.values(manifest.categories || {})].flatMap(set => set.pages);
+    if (manifest.similarCommands) files.push(manifest.similarCommands);
+
+    files.forEach(page => {
+      const filePath = path.join(catalogDir, page.file);
+      if (!fs.existsSync(filePath)) {
+        problems.push(`${page.file}: missing`);
+        return;
+      }
+      const hash = this.hashContent(fs.readFileSync(filePath, 'utf8'));
+      if (hash !== page.hash) {
+        problems.push(`${page.file}: content hash ${hash} does not match manifest hash ${page.hash}`);
+      }
+    });
+
+    this.findStaleShards(catalogDir, manifest).forEach(filePath => {
+      problems.push(`${path.basename(filePath)}: not referenced by the manifest`);
+    });
+
+    return { manifest, problems };
+  }
+}
+
+CatalogBuilder.CATALOG_DIR = '_catalog';
+
+// CLI usage
+if (require.main === module) {
+  const collectionsDir = process.argv[2] || './collections';
+  const catalogDir = path.join(collectionsDir, CatalogBuilder.CATALOG_DIR);
+
+  try {
+    const builder = new CatalogBuilder();
+    // The manifest and its shards must be from the same organizer run
+    const { manifest, problems } = CollectionTransaction.whileLocked(collectionsDir, () => builder.verify(catalogDir));
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify({ catalogDir, totalCollections: manifest.totalCollections, problems }, null, 2));
+
+    // Log summary to stderr for human readability
+    console.error(`\n🗂️  Catalog: ${manifest.totalCollections} collections, ` +
+      `${manifest.all.pages.length} page(s), ${Object.keys(manifest.categories).length} categories`);
+    problems.forEach(problem => console.error(`  ❌ ${problem}`));
+
+    if (problems.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Catalog verification failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = CatalogBuilder;
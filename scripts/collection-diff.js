@@ -0,0 +1,504 @@
+/**
+ * Collection Diff
+ * Per-command diff report between two versions of a collection for reviewers
+ */
+
+const fs = require('fs');
+const SecurityAnalyzer = require('./security-analyzer');
+
+// Collection fields shown in the metadata section of the report
+const METADATA_FIELDS = ['name', 'description', 'category', 'tags', 'author', 'dynamicsVersion', 'version'];
+
+// Command fields compared besides the code
+const COMMAND_FIELDS = ['name', 'description', 'category', 'icon', 'tags'];
+
+// Lines of unchanged code shown around each change
+const CONTEXT_LINES = 3;
+
+// Above this many LCS cells the code is shown as fully replaced instead of diffed
+const MAX_DIFF_CELLS = 4000000;
+
+class CollectionDiff {
+  /**
+   * @param {Object} options - Diff options
+   * @param {SecurityAnalyzer} options.securityAnalyzer - Analyzer used to spot new findings
+   * @param {number} options.contextLines - Unchanged lines around each hunk
+   */
+  constructor(options = {}) {
+    this.securityAnalyzer = options.securityAnalyzer || new SecurityAnalyzer();
+    this.contextLines = options.contextLines === undefined ? CONTEXT_LINES : options.contextLines;
+  }
+
+  /**
+   * Compare two collections in the generateCollectionFiles format
+   * @param {Object} previous - Published collection
+   * @param {Object} next - New collection
+   * @returns {Object} Diff report
+   */
+  compare(previous, next) {
+    const { pairs, added, removed } = this.matchCommands(previous.commands || [], next.commands || []);
+    const changed = [];
+    const unchanged = [];
+
+    pairs.forEach(pair => {
+      const commandDiff = this.compareCommand(pair.previous, pair.next, pair.matchedBy);
+      if (commandDiff.fields.length > 0 || commandDiff.apiAccess) {
+        changed.push(commandDiff);
+      } else {
+        unchanged.push(pair.next.name);
+      }
+    });
+
+    const report = {
+      collection: {
+        id: next.id || previous.id || null,
+        name: next.name || previous.name,
+        previousVersion: previous.version || null,
+        version: next.version || null
+      },
+      metadata: this.compareFields(previous, next, METADATA_FIELDS),
+      added: added.map(command => ({
+        id: command.id || null,
+        name: command.name,
+        code: command.code || '',
+        newFindings: this.findNewFindings('', command.code)
+      })),
+      removed: removed.map(command => ({ id: command.id || null, name: command.name })),
+      changed,
+      unchanged
+    };
+
+    report.summary = {
+      added: report.added.length,
+      removed: report.removed.length,
+      changed: changed.length,
+      unchanged: unchanged.length,
+      newFindings: [...report.added, ...changed].reduce((sum, item) => sum + item.newFindings.length, 0)
+    };
+
+    return report;
+  }
+
+  /**
+   * Pair commands of both versions, first by id and then by name
+   * @param {Object[]} previousCommands - Commands of the published version
+   * @param {Object[]} nextCommands - Commands of the new version
+   * @returns {Object} { pairs, added, removed }
+   */
+  matchCommands(previousCommands, nextCommands) {
+    const unmatched = new Set(previousCommands);
+    const pairs = [];
+    const added = [];
+    const nameKey = command => (command.name || '').trim().toLowerCase();
+
+    const pending = nextCommands.filter(command => {
+      const match = command.id && previousCommands.find(candidate =>
+        unmatched.has(candidate) && candidate.id === command.id
+      );
+      if (!match) return true;
+
+      unmatched.delete(match);
+      pairs.push({ previous: match, next: command, matchedBy: 'id' });
+      return false;
+    });
+
+    pending.forEach(command => {
+      const match = previousCommands.find(candidate =>
+        unmatched.has(candidate) && nameKey(candidate) === nameKey(command)
+      );
+      if (!match) {
+        added.push(command);
+        return;
+      }
+
+      unmatched.delete(match);
+      pairs.push({ previous: match, next: command, matchedBy: 'name' });
+    });
+
+    // Report pairs in the order of the new collection
+    pairs.sort((a, b) => nextCommands.indexOf(a.next) - nextCommands.indexOf(b.next));
+
+    return { pairs, added, removed: previousCommands.filter(command => unmatched.has(command)) };
+  }
+
+  /**
+   * Compare a matched pair of commands
+   * @param {Object} previous - Published command
+   * @param {Object} next - New command
+   * @param {string} matchedBy - 'id' or 'name'
+   * @returns {Object} Command diff
+   */
+  compareCommand(previous, next, matchedBy) {
+    const fields = this.compareFields(previous, next, COMMAND_FIELDS);
+    const previousCode = previous.code || '';
+    const nextCode = next.code || '';
+    const newFindings = this.findNewFindings(previousCode, nextCode);
+    const hunks = [];
+
+    if (previousCode !== nextCode) {
+      fields.push({ field: 'code', before: null, after: null });
+      const findingLines = new Map();
+      newFindings.forEach(finding => {
+        if (!findingLines.has(finding.line)) findingLines.set(finding.line, []);
+        findingLines.get(finding.line).push(finding.ruleId);
+      });
+
+      this.buildHunks(this.diffLines(previousCode, nextCode)).forEach(hunk => {
+        hunk.lines.forEach(line => {
+          if (line.type === '+' && findingLines.has(line.newLine)) {
+            line.findings = findingLines.get(line.newLine);
+          }
+        });
+        hunks.push(hunk);
+      });
+    }
+
+    const beforeAccess = previous.apiProfile && previous.apiProfile.access;
+    const afterAccess = next.apiProfile && next.apiProfile.access;
+
+    return {
+      id: next.id || null,
+      previousId: previous.id || null,
+      name: next.name,
+      matchedBy,
+      fields,
+      apiAccess: beforeAccess && afterAccess && beforeAccess !== afterAccess
+        ? { before: beforeAccess, after: afterAccess }
+        : null,
+      newFindings,
+      hunks
+    };
+  }
+
+  /**
+   * List fields whose values differ
+   * @param {Object} previous - Previous object
+   * @param {Object} next - New object
+   * @param {string[]} fieldNames - Fields to compare
+   * @returns {Object[]} [{ field, before, after }]
+   */
+  compareFields(previous, next, fieldNames) {
+    return fieldNames
+      .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+      .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+  }
+
+  /**
+   * Security findings present in the new code but not in the previous code.
+   * Findings are compared by rule and source line text so moved code is not reported again.
+   * @param {string} previousCode - Published code
+   * @param {string} nextCode - New code
+   * @returns {Object[]} New findings
+   */
+  findNewFindings(previousCode, nextCode) {
+    if (!nextCode) return [];
+
+    const key = finding => `${finding.ruleId}|${(finding.snippet || '').trim()}`;
+    const existing = new Set(
+      previousCode ? this.securityAnalyzer.analyzeCode(previousCode).findings.map(key) : []
+    );
+
+    return this.securityAnalyzer.analyzeCode(nextCode).findings
+      .filter(finding => !existing.has(key(finding)));
+  }
+
+  /**
+   * Line diff based on the longest common subsequence
+   * @param {string} previousText - Old text
+   * @param {string} nextText - New text
+   * @returns {Object[]} [{ type: ' '|'-'|'+', text, oldLine, newLine }]
+   */
+  diffLines(previousText, nextText) {
+    const a = previousText.replace(/\r\n?/g, '\n').split('\n');
+    const b = nextText.replace(/\r\n?/g, '\n').split('\n');
+    const ops = [];
+
+    // Common prefix and suffix need no LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    for (let i = 0; i < start; i++) {
+      ops.push({ type: ' ', text: a[i], oldLine: i + 1, newLine: i + 1 });
+    }
+
+    this.diffMiddle(a, b, start, endA, endB).forEach(op => ops.push(op));
+
+    for (let i = endA, j = endB; i < a.length; i++, j++) {
+      ops.push({ type: ' ', text: a[i], oldLine: i + 1, newLine: j + 1 });
+    }
+
+    return ops;
+  }
+
+  /**
+   * LCS diff of the differing middle part of two line arrays
+   * @param {string[]} a - Old lines
+   * @param {string[]} b - New lines
+   * @param {number} start - First differing index in both arrays
+   * @param {number} endA - End of the differing part in a
+   * @param {number} endB - End of the differing part in b
+   * @returns {Object[]} Diff operations
+   */
+  diffMiddle(a, b, start, endA, endB) {
+    const n = endA - start;
+    const m = endB - start;
+    const ops = [];
+    const removeAll = () => {
+      for (let i = start; i < endA; i++) ops.push({ type: '-', text: a[i], oldLine: i + 1, newLine: null });
+      for (let j = start; j < endB; j++) ops.push({ type: '+', text: b[j], oldLine: null, newLine: j + 1 });
+      return ops;
+    };
+
+    if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+      return removeAll();
+    }
+
+    // lengths[i][j] = LCS length of a[start + i..] and b[start + j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push({ type: ' ', text: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        // On a tie the removal comes first, so a replaced line reads as - then +
+        ops.push({ type: '-', text: a[start + i], oldLine: start + i + 1, newLine: null });
+        i++;
+      } else {
+        ops.push({ type: '+', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+        j++;
+      }
+    }
+
+    return ops;
+  }
+
+  /**
+   * Group diff operations into unified diff hunks
+   * @param {Object[]} ops - Diff operations
+   * @returns {Object[]} [{ oldStart, oldLines, newStart, newLines, lines }]
+   */
+  buildHunks(ops) {
+    const hunks = [];
+    let current = null;
+    let lastChange = -Infinity;
+
+    ops.forEach((op, index) => {
+      if (op.type === ' ') return;
+
+      const from = Math.max(0, index - this.contextLines);
+      if (current && from <= lastChange + this.contextLines + 1) {
+        current.end = index;
+      } else {
+        current = { start: from, end: index };
+        hunks.push(current);
+      }
+      lastChange = index;
+    });
+
+    return hunks.map(range => {
+      const lines = ops.slice(range.start, Math.min(ops.length, range.end + this.contextLines + 1));
+      const first = lines.find(line => line.oldLine !== null);
+      const firstNew = lines.find(line => line.newLine !== null);
+      const oldLines = lines.filter(line => line.type !== '+').length;
+      const newLines = lines.filter(line => line.type !== '-').length;
+
+      return {
+        oldStart: first ? first.oldLine : this.lineBefore(ops, range.start, 'oldLine'),
+        oldLines,
+        newStart: firstNew ? firstNew.newLine : this.lineBefore(ops, range.start, 'newLine'),
+        newLines,
+        lines
+      };
+    });
+  }
+
+  /**
+   * Line number preceding a hunk that has no lines on one side
+   * @param {Object[]} ops - Diff operations
+   * @param {number} index - Hunk start index
+   * @param {string} key - 'oldLine' or 'newLine'
+   * @returns {number} Line number, 0 when the hunk is at the start of the file
+   */
+  lineBefore(ops, index, key) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (ops[i][key] !== null) return ops[i][key];
+    }
+    return 0;
+  }
+
+  /**
+   * Render a report as markdown suitable for an issue comment
+   * @param {Object} report - Result of compare
+   * @returns {string} Markdown
+   */
+  toMarkdown(report) {
+    const lines = [];
+    const { collection, summary } = report;
+
+    lines.push(`## 🔍 Collection Changes: ${collection.name}`, '');
+    if (collection.previousVersion || collection.version) {
+      lines.push(`**Version:** ${collection.previousVersion || 'n/a'} → ${collection.version || 'n/a'}`, '');
+    }
+    lines.push(
+      `**${summary.added}** added · **${summary.removed}** removed · ` +
+      `**${summary.changed}** changed · ${summary.unchanged} unchanged`,
+      ''
+    );
+    if (summary.newFindings > 0) {
+      lines.push(`> ⚠️ **${summary.newFindings} new security finding(s).** ` +
+        'Added lines that trigger a security rule end with `// ⚠️ <rule>` in the diffs below.', '');
+    }
+
+    if (report.metadata.length > 0) {
+      lines.push('### 📝 Collection Details', '', '| Field | Before | After |', '| --- | --- | --- |');
+      report.metadata.forEach(change => {
+        lines.push(`| ${change.field} | ${this.formatValue(change.before)} | ${this.formatValue(change.after)} |`);
+      });
+      lines.push('');
+    }
+
+    if (report.added.length > 0) {
+      lines.push('### ➕ Added Commands', '');
+      report.added.forEach(command => {
+        lines.push(`#### ${command.name}`, '');
+        this.pushFindings(lines, command.newFindings);
+        lines.push(this.fence(command.code, 'javascript'), '');
+      });
+    }
+
+    if (report.removed.length > 0) {
+      lines.push('### ➖ Removed Commands', '');
+      report.removed.forEach(command => lines.push(`- ${command.name}`));
+      lines.push('');
+    }
+
+    if (report.changed.length > 0) {
+      lines.push('### ✏️ Changed Commands', '');
+      report.changed.forEach(command => this.pushChangedCommand(lines, command));
+    }
+
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * Append the markdown for one changed command
+   * @param {string[]} lines - Output lines
+   * @param {Object} command - Command diff
+   */
+  pushChangedCommand(lines, command) {
+    lines.push(`#### ${command.name}`, '');
+
+    command.fields
+      .filter(change => change.field !== 'code')
+      .forEach(change => {
+        lines.push(`- **${change.field}:** ${this.formatValue(change.before)} → ${this.formatValue(change.after)}`);
+      });
+    if (command.apiAccess) {
+      lines.push(`- **Xrm API access:** ${command.apiAccess.before} → ${command.apiAccess.after}`);
+    }
+    lines.push('');
+
+    this.pushFindings(lines, command.newFindings);
+
+    if (command.hunks.length > 0) {
+      const diff = command.hunks.map(hunk => [
+        `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        ...hunk.lines.map(line => this.diffLine(line))
+      ].join('\n')).join('\n');
+      lines.push(this.fence(diff, 'diff'), '');
+    }
+  }
+
+  /**
+   * Render one diff line, naming the rules an added line triggers after its text
+   * @param {Object} line - Hunk line
+   * @returns {string} Unified diff line
+   */
+  diffLine(line) {
+    const note = line.findings ? `  // ⚠️ ${line.findings.join(', ')}` : '';
+    return `${line.type}${line.text}${note}`;
+  }
+
+  /**
+   * Append a list of new security findings
+   * @param {string[]} lines - Output lines
+   * @param {Object[]} findings - New findings
+   */
+  pushFindings(lines, findings) {
+    if (findings.length === 0) return;
+
+    lines.push('**⚠️ New security findings:**');
+    findings.forEach(finding => {
+      lines.push(`- **${finding.severity}** \`${finding.ruleId}\`: ${finding.message} (line ${finding.line})`);
+    });
+    lines.push('');
+  }
+
+  /**
+   * Format a field value for a markdown table cell
+   * @param {*} value - Field value
+   * @returns {string} Cell text
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return '_empty_';
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    return text.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Wrap text in a code fence longer than any backtick run inside it
+   * @param {string} text - Code
+   * @param {string} language - Fence language
+   * @returns {string} Fenced code block
+   */
+  fence(text, language) {
+    const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    const marker = '`'.repeat(Math.max(3, longest + 1));
+    return `${marker}${language}\n${text}\n${marker}`;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex >= 0 ? args.splice(formatIndex, 2)[1] : 'markdown';
+  const [previousPath, nextPath] = args;
+
+  if (!previousPath || !nextPath || !['markdown', 'json'].includes(format)) {
+    console.error('Usage: node collection-diff.js <previous.json> <new.json> [--format markdown|json]');
+    process.exit(1);
+  }
+
+  try {
+    const differ = new CollectionDiff();
+    const report = differ.compare(
+      JSON.parse(fs.readFileSync(previousPath, 'utf8')),
+      JSON.parse(fs.readFileSync(nextPath, 'utf8'))
+    );
+
+    console.log(format === 'json' ? JSON.stringify(report, null, 2) : differ.toMarkdown(report));
+  } catch (error) {
+    console.error('❌ Collection diff failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = CollectionDiff;
@@ -0,0 +1,457 @@
+/**
+ * Collection Transaction
+ * Makes an organizer run all-or-nothing and keeps two runs from writing the collections folder at
+ * the same time. While a transaction is open it holds a lock file, and every write goes through it:
+ * the new content is staged in .transaction/staged/ and renamed over the target, so a file is never
+ * seen half written. Before a file is first touched, its original is kept in .transaction/backup/
+ * and recorded in an undo journal. A failed run is rolled back from the journal, and a run that was
+ * interrupted (the journal is still there, no commit recorded) is rolled back by the next one.
+ *
+ * Each file is replaced atomically, but a run changes many files one after the other, so the tree
+ * as a whole is only consistent while no run is active. Staging the whole run and swapping it in at
+ * commit would not change that: there is no way to rename many files at once, so the swap would
+ * itself be a series of renames that a crash can stop halfway, and it would need the same journal.
+ * Writing through keeps one code path for undo and recovery. What readers see is covered instead:
+ * scripts that read several files of the tree run inside CollectionTransaction.whileLocked, and the
+ * workflows only commit and publish the tree after the run has ended.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TRANSACTION_DIR = '.transaction';
+const LOCK_FILE = 'lock';
+const JOURNAL_FILE = 'journal.jsonl';
+const DEFAULT_LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+// A lock older than this is left over from a run that can no longer be running
+const DEFAULT_STALE_LOCK_MS = 30 * 60 * 1000;
+const LOCK_POLL_MS = 250;
+
+class CollectionTransaction {
+  /**
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object} options - Transaction options
+   * @param {number} options.lockTimeoutMs - How long to wait for another run to finish
+   * @param {number} options.staleLockMs - Age after which a lock is broken
+   */
+  constructor(collectionsBaseDir, options = {}) {
+    this.baseDir = path.resolve(collectionsBaseDir);
+    this.dir = path.join(this.baseDir, TRANSACTION_DIR);
+    this.lockPath = path.join(this.dir, LOCK_FILE);
+    this.journalPath = path.join(this.dir, JOURNAL_FILE);
+    this.lockTimeoutMs = options.lockTimeoutMs || DEFAULT_LOCK_TIMEOUT_MS;
+    this.staleLockMs = options.staleLockMs || DEFAULT_STALE_LOCK_MS;
+    this.owner = null;
+    this.journalFd = null;
+    this.entries = 0;
+    this.touched = new Set();
+  }
+
+  /**
+   * Take the lock, roll back an interrupted run and start a journal
+   * @returns {Object} { recovered, restored } from recover
+   */
+  begin() {
+    this.lock();
+    try {
+      const recovery = this.recover();
+      fs.mkdirSync(path.join(this.dir, 'staged'), { recursive: true });
+      fs.mkdirSync(path.join(this.dir, 'backup'), { recursive: true });
+      this.journalFd = fs.openSync(this.journalPath, 'a');
+      this.append({ startedAt: new Date().toISOString(), pid: process.pid });
+      return recovery;
+    } catch (error) {
+      this.unlock();
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the changes: record the commit, drop the backups and release the lock
+   */
+  commit() {
+    this.assertLocked();
+    this.append({ committed: true });
+    this.closeJournal();
+    this.cleanUp();
+    this.unlock();
+  }
+
+  /**
+   * Undo every change of this transaction and release the lock
+   * @returns {number} Paths restored
+   */
+  rollback() {
+    this.closeJournal();
+    const restored = this.undo(this.readJournal().entries);
+    this.cleanUp();
+    this.unlock();
+    return restored;
+  }
+
+  /**
+   * Roll back a run that stopped before it committed. Needs the lock.
+   * @returns {Object} { recovered: boolean, restored: number }
+   */
+  recover() {
+    if (!fs.existsSync(this.journalPath)) {
+      return { recovered: false, restored: 0 };
+    }
+
+    const journal = this.readJournal();
+    const restored = journal.committed ? 0 : this.undo(journal.entries);
+    this.cleanUp();
+    return { recovered: !journal.committed, restored };
+  }
+
+  /**
+   * Write a file
+   * @param {string} filePath - Target path
+   * @param {string|Buffer} content - New content
+   */
+  write(filePath, content) {
+    const staged = path.join(this.dir, 'staged', String(this.entries));
+    const fd = fs.openSync(staged, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.mkdir(path.dirname(filePath));
+    this.keepOriginal(filePath, false);
+    fs.renameSync(staged, filePath);
+  }
+
+  /**
+   * Delete a file or directory
+   * @param {string} targetPath - Path to delete
+   */
+  remove(targetPath) {
+    if (!fs.existsSync(targetPath)) return;
+    if (!this.keepOriginal(targetPath, true)) {
+      fs.rmSync(targetPath, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Copy a file or directory
+   * @param {string} source - Path to copy
+   * @param {string} target - Path of the copy
+   */
+  copy(source, target) {
+    if (fs.statSync(source).isDirectory()) {
+      this.mkdir(target);
+      fs.readdirSync(source).forEach(name => this.copy(path.join(source, name), path.join(target, name)));
+    } else {
+      this.write(target, fs.readFileSync(source));
+    }
+  }
+
+  /**
+   * Move a file or directory
+   * @param {string} source - Path to move
+   * @param {string} target - New path
+   */
+  move(source, target) {
+    this.copy(source, target);
+    this.remove(source);
+  }
+
+  /**
+   * Create a directory and its missing parents
+   * @param {string} dirPath - Directory path
+   */
+  mkdir(dirPath) {
+    const missing = [];
+    for (let dir = path.resolve(dirPath); !fs.existsSync(dir); dir = path.dirname(dir)) {
+      missing.unshift(dir);
+    }
+    if (missing.length === 0) return;
+
+    // Removing the outermost new directory on rollback removes the rest
+    this.keepOriginal(missing[0], false);
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+
+  /**
+   * Record how a path looked before this transaction first changed it. The journal line is written
+   * before the change, so an interrupted run can always be undone.
+   * @param {string} targetPath - Path about to change
+   * @param {boolean} moveAway - Move the original into the backup instead of linking it (for deletes)
+   * @returns {boolean} True if the original was moved away
+   */
+  keepOriginal(targetPath, moveAway) {
+    const resolved = path.resolve(targetPath);
+    if (this.touched.has(resolved)) return false;
+    this.touched.add(resolved);
+
+    const relative = path.relative(this.baseDir, resolved);
+    if (!fs.existsSync(resolved)) {
+      this.append({ path: relative, backup: null });
+      return false;
+    }
+
+    const backup = String(this.entries);
+    const backupPath = path.join(this.dir, 'backup', backup);
+    if (moveAway) {
+      this.append({ path: relative, backup });
+      fs.renameSync(resolved, backupPath);
+      return true;
+    }
+
+    // A hard link keeps the original while the staged file is renamed over the target
+    try {
+      fs.linkSync(resolved, backupPath);
+    } catch (error) {
+      fs.copyFileSync(resolved, backupPath);
+    }
+    this.append({ path: relative, backup });
+    return false;
+  }
+
+  /**
+   * Restore journal entries, newest first
+   * @param {Object[]} entries - { path, backup } journal entries
+   * @returns {number} Paths restored
+   */
+  undo(entries) {
+    entries.slice().reverse().forEach(entry => {
+      const targetPath = path.resolve(this.baseDir, entry.path);
+      const backupPath = entry.backup === null ? null : path.join(this.dir, 'backup', entry.backup);
+
+      // Interrupted before a delete moved the original away: it is still in place
+      if (backupPath && !fs.existsSync(backupPath)) return;
+
+      fs.rmSync(targetPath, { recursive: true, force: true });
+      if (backupPath) {
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.renameSync(backupPath, targetPath);
+      }
+    });
+    return entries.length;
+  }
+
+  /**
+   * Append a line to the journal and flush it to disk
+   * @param {Object} record - Journal record
+   */
+  append(record) {
+    fs.writeSync(this.journalFd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(this.journalFd);
+    if ('path' in record) this.entries++;
+  }
+
+  /**
+   * Read the journal. A line cut off by a crash is ignored; its change never happened.
+   * @returns {Object} { entries: [{ path, backup }], committed }
+   */
+  readJournal() {
+    const records = fs.readFileSync(this.journalPath, 'utf8').split('\n')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    return {
+      entries: records.filter(record => 'path' in record),
+      committed: records.some(record => record.committed)
+    };
+  }
+
+  closeJournal() {
+    if (this.journalFd !== null) {
+      fs.closeSync(this.journalFd);
+      this.journalFd = null;
+    }
+  }
+
+  cleanUp() {
+    ['staged', 'backup', JOURNAL_FILE].forEach(name => fs.rmSync(path.join(this.dir, name), { recursive: true, force: true }));
+    this.entries = 0;
+    this.touched.clear();
+  }
+
+  /**
+   * Take the lock, waiting for another run to release it. A lock whose process is gone, or that
+   * is older than staleLockMs, is broken.
+   */
+  lock() {
+    const owner = JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() });
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        // Created again each time, because a run releasing the lock removes the folder
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.lockPath, owner, { flag: 'wx' });
+        this.owner = owner;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST' && error.code !== 'ENOENT') throw error;
+      }
+
+      const current = this.readLock();
+      if (this.isStale(current)) {
+        this.breakLock(current);
+      } else if (Date.now() >= deadline) {
+        throw new Error(`${this.baseDir} is locked by another run (${this.lockPath}); try again later or delete the lock if no run is active`);
+      } else {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_POLL_MS);
+      }
+    }
+  }
+
+  /**
+   * Remove a stale lock. Another run may break the same lock and take a new one between reading the
+   * owner and removing it, so the lock is first renamed to a name only this run uses, and removed
+   * only if it still holds the owner that was found stale. Otherwise it is put back.
+   * @param {Object} owner - Stale owner from readLock
+   */
+  breakLock(owner) {
+    const asidePath = `${this.lockPath}.${process.pid}.${Date.now()}`;
+    try {
+      fs.renameSync(this.lockPath, asidePath);
+    } catch (error) {
+      // Already broken or released by another run
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (JSON.stringify(this.readLock(asidePath)) !== JSON.stringify(owner)) {
+      try {
+        // A link never replaces a lock that a third run took in the meantime
+        fs.linkSync(asidePath, this.lockPath);
+      } catch (error) {
+        // The moved owner notices when it commits (see assertLocked)
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    fs.rmSync(asidePath, { force: true });
+  }
+
+  /**
+   * Whether the lock taken by lock() is still this run's
+   * @returns {boolean} True if the lock file holds this run's owner
+   */
+  holdsLock() {
+    try {
+      return this.owner !== null && fs.readFileSync(this.lockPath, 'utf8') === this.owner;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  assertLocked() {
+    if (!this.holdsLock()) {
+      throw new Error(`Lost the lock on ${this.baseDir} to another run; changes were not committed`);
+    }
+  }
+
+  unlock() {
+    // A lock that was broken as stale may belong to another run by now
+    if (this.holdsLock()) {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+    this.owner = null;
+    try {
+      fs.rmdirSync(this.dir);
+    } catch (error) {
+      // Another run is waiting to take the lock
+    }
+  }
+
+  /**
+   * Read the owner of the lock
+   * @param {string} lockPath - Lock file (defaults to the lock of this folder)
+   * @returns {Object|null} { pid, hostname, acquiredAt }; only acquiredAt if the lock is unreadable,
+   * null if it was released
+   */
+  readLock(lockPath = this.lockPath) {
+    try {
+      return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+      try {
+        return { acquiredAt: fs.statSync(lockPath).mtime.toISOString() };
+      } catch (statError) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Whether a lock was left behind
+   * @param {Object|null} owner - From readLock
+   * @returns {boolean} True if it can be broken
+   */
+  isStale(owner) {
+    if (!owner) {
+      // Released in between; try again
+      return false;
+    }
+    if (Date.now() - Date.parse(owner.acquiredAt) > this.staleLockMs) {
+      return true;
+    }
+    if (!owner.pid || owner.hostname !== os.hostname()) {
+      return false;
+    }
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+}
+
+/**
+ * Run work that reads several files of the tree while no organizer run is changing it. An
+ * interrupted run is rolled back first.
+ * @param {string} collectionsBaseDir - Base collections directory
+ * @param {Function} work - Synchronous work
+ * @param {Object} options - Transaction options (see constructor)
+ * @returns {*} Result of work
+ */
+CollectionTransaction.whileLocked = (collectionsBaseDir, work, options) => {
+  // Nothing to wait for, and the lock would create the folder
+  if (!fs.existsSync(collectionsBaseDir)) return work();
+
+  const transaction = new CollectionTransaction(collectionsBaseDir, options);
+  transaction.lock();
+  try {
+    transaction.recover();
+    return work();
+  } finally {
+    transaction.unlock();
+  }
+};
+
+CollectionTransaction.TRANSACTION_DIR = TRANSACTION_DIR;
+
+// CLI usage
+if (require.main === module) {
+  const collectionsDir = process.argv[2] || './collections';
+  const transaction = new CollectionTransaction(collectionsDir);
+
+  try {
+    transaction.lock();
+    const result = transaction.recover();
+    transaction.unlock();
+
+    console.log(JSON.stringify(result, null, 2));
+    console.error(result.recovered
+      ? `↩️  Rolled back an interrupted run (${result.restored} path(s) restored)`
+      : '✅ No interrupted run to recover');
+  } catch (error) {
+    console.error('❌ Recovery failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = CollectionTransaction;
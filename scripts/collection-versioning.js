@@ -0,0 +1,261 @@
+/**
+ * Collection Versioning
+ * Matches resubmitted collections to existing ones and computes semver bumps from command changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fields that make a command "changed" when they differ between versions
+const COMMAND_FIELDS = ['code', 'description', 'icon', 'category'];
+
+// Collection metadata that produces a patch release on its own
+const METADATA_FIELDS = ['name', 'description', 'category', 'tags', 'dynamicsVersion'];
+
+class CollectionVersioning {
+  /**
+   * Find a previously published collection in a user's collections folder.
+   * An explicit id always wins; otherwise the collection name is matched case-insensitively.
+   * @param {string} collectionsDir - User collections directory
+   * @param {Object} criteria - { id, name }
+   * @returns {Object|null} { filePath, data } of the existing collection
+   */
+  findExistingCollection(collectionsDir, criteria) {
+    if (!fs.existsSync(collectionsDir)) {
+      return null;
+    }
+
+    const candidates = fs.readdirSync(collectionsDir)
+      .filter(file => file.endsWith('.json') && !file.endsWith('-levelup.json'))
+      .map(file => {
+        const filePath = path.join(collectionsDir, file);
+        try {
+          return { filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch (error) {
+          console.warn(`Skipping unreadable collection ${filePath}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    if (criteria.id) {
+      const byId = candidates.find(candidate => candidate.data.id === criteria.id);
+      if (!byId) {
+        throw new Error(`No existing collection with ID ${criteria.id} found in ${collectionsDir}`);
+      }
+      return byId;
+    }
+
+    const name = (criteria.name || '').trim().toLowerCase();
+    return candidates.find(candidate => (candidate.data.name || '').trim().toLowerCase() === name) || null;
+  }
+
+  /**
+   * Compare the commands of two collection versions by name
+   * @param {Object[]} previousCommands - Commands of the published version
+   * @param {Object[]} nextCommands - Commands of the resubmission
+   * @returns {Object} { added, removed, changed, unchanged } command name lists
+   */
+  compareCommands(previousCommands, nextCommands) {
+    const key = command => (command.name || '').trim().toLowerCase();
+    const previousByName = new Map(previousCommands.map(command => [key(command), command]));
+    const nextNames = new Set(nextCommands.map(key));
+    const changes = { added: [], removed: [], changed: [], unchanged: [] };
+
+    nextCommands.forEach(command => {
+      const previous = previousByName.get(key(command));
+      if (!previous) {
+        changes.added.push(command.name);
+      } else if (this.commandChanged(previous, command)) {
+        changes.changed.push(command.name);
+      } else {
+        changes.unchanged.push(command.name);
+      }
+    });
+
+    previousCommands
+      .filter(command => !nextNames.has(key(command)))
+      .forEach(command => changes.removed.push(command.name));
+
+    return changes;
+  }
+
+  /**
+   * Check whether a command differs between versions
+   * @param {Object} previous - Published command
+   * @param {Object} next - Resubmitted command
+   * @returns {boolean} True if any tracked field changed
+   */
+  commandChanged(previous, next) {
+    return COMMAND_FIELDS.some(field =>
+      next[field] !== undefined && (previous[field] || '') !== (next[field] || '')
+    );
+  }
+
+  /**
+   * List collection metadata fields that changed
+   * @param {Object} previous - Published collection
+   * @param {Object} next - Resubmitted collection
+   * @returns {string[]} Changed field names
+   */
+  compareMetadata(previous, next) {
+    return METADATA_FIELDS.filter(field =>
+      JSON.stringify(previous[field] || null) !== JSON.stringify(next[field] || null)
+    );
+  }
+
+  /**
+   * Decide the semver bump for a set of changes.
+   * Removing a command breaks anyone relying on it, adding one is a feature,
+   * and anything else is a fix.
+   * @param {Object} changes - Result of compareCommands
+   * @param {string[]} metadataChanges - Result of compareMetadata
+   * @returns {string} 'major', 'minor', 'patch' or 'none'
+   */
+  determineBump(changes, metadataChanges = []) {
+    if (changes.removed.length > 0) return 'major';
+    if (changes.added.length > 0) return 'minor';
+    if (changes.changed.length > 0 || metadataChanges.length > 0) return 'patch';
+    return 'none';
+  }
+
+  /**
+   * Apply a semver bump
+   * @param {string} version - Current version
+   * @param {string} bump - 'major', 'minor', 'patch' or 'none'
+   * @returns {string} New version
+   */
+  bumpVersion(version, bump) {
+    const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+    const [major, minor, patch] = match ? match.slice(1).map(Number) : [1, 0, 0];
+
+    switch (bump) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    case 'patch':
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      return `${major}.${minor}.${patch}`;
+    }
+  }
+
+  /**
+   * Plan an update of an existing collection
+   * @param {Object} previous - Published collection data
+   * @param {Object} next - New collection data (name, description, category, tags, commands, ...)
+   * @returns {Object} { previousVersion, version, bump, changes, metadataChanges }
+   */
+  planUpdate(previous, next) {
+    const changes = this.compareCommands(previous.commands || [], next.commands || []);
+    const metadataChanges = this.compareMetadata(previous, next);
+    const bump = this.determineBump(changes, metadataChanges);
+
+    return {
+      previousVersion: previous.version,
+      version: this.bumpVersion(previous.version, bump),
+      bump,
+      changes,
+      metadataChanges
+    };
+  }
+
+  /**
+   * Build a changelog entry for a new version
+   * @param {Object} plan - Result of planUpdate, or null for the first version
+   * @param {Object} details - { version, date, issueNumber, issueUrl }
+   * @returns {Object} Changelog entry
+   */
+  createChangelogEntry(plan, details) {
+    const entry = {
+      version: details.version,
+      date: details.date,
+      bump: plan ? plan.bump : 'initial',
+      issueNumber: details.issueNumber || null,
+      issueUrl: details.issueUrl || null,
+      added: plan ? plan.changes.added : [],
+      removed: plan ? plan.changes.removed : [],
+      changed: plan ? plan.changes.changed : [],
+      metadata: plan ? plan.metadataChanges : []
+    };
+
+    entry.summary = this.summarizeEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Describe a changelog entry in one line
+   * @param {Object} entry - Changelog entry
+   * @returns {string} Summary text
+   */
+  summarizeEntry(entry) {
+    if (entry.bump === 'initial') {
+      return 'Initial release';
+    }
+
+    const parts = [];
+    if (entry.added.length) parts.push(`added ${entry.added.join(', ')}`);
+    if (entry.removed.length) parts.push(`removed ${entry.removed.join(', ')}`);
+    if (entry.changed.length) parts.push(`updated ${entry.changed.join(', ')}`);
+    if (entry.metadata.length) parts.push(`changed ${entry.metadata.join(', ')}`);
+
+    const text = parts.length ? parts.join('; ') : 'resubmitted without changes';
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Where the published version of a collection is kept in the history folder
+   * @param {Object} existing - { filePath, data } from findExistingCollection
+   * @param {string} historyDir - User history directory
+   * @returns {string} history/<collection-id>/<version>.json
+   */
+  archivePath(existing, historyDir) {
+    const baseName = path.basename(existing.filePath, '.json');
+    return path.join(historyDir, existing.data.id || baseName, `${existing.data.version || '1.0.0'}.json`);
+  }
+
+  /**
+   * Copy the published version of a collection into the history folder
+   * @param {Object} existing - { filePath, data } from findExistingCollection
+   * @param {string} historyDir - User history directory
+   * @returns {string} Path of the archived file
+   */
+  archiveVersion(existing, historyDir) {
+    const archivePath = this.archivePath(existing, historyDir);
+    const targetDir = path.dirname(archivePath);
+
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+    fs.copyFileSync(existing.filePath, archivePath);
+
+    return archivePath;
+  }
+
+}
+
+// CLI usage
+if (require.main === module) {
+  const [previousPath, nextPath] = process.argv.slice(2);
+
+  if (!previousPath || !nextPath) {
+    console.error('Usage: node collection-versioning.js <published.json> <resubmitted.json>');
+    process.exit(1);
+  }
+
+  try {
+    const versioning = new CollectionVersioning();
+    const previous = JSON.parse(fs.readFileSync(previousPath, 'utf8'));
+    const next = JSON.parse(fs.readFileSync(nextPath, 'utf8'));
+    const plan = versioning.planUpdate(previous, next);
+
+    console.log(JSON.stringify(plan, null, 2));
+    console.error(`\n🔖 ${previous.version} → ${plan.version} (${plan.bump})`);
+  } catch (error) {
+    console.error('❌ Version planning failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = CollectionVersioning;
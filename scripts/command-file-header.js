@@ -0,0 +1,194 @@
+/**
+ * Command File Header
+ * Writes and reads the `// Label: value` header and doc comment at the top of every command .js
+ * file, so command files can be submitted, edited by hand and read back as commands.
+ * Header values are escaped so a newline cannot end the header early (`\n`, `\r`, `\\`), and the
+ * doc comment escapes `*\/` so a description cannot close it.
+ */
+
+// Header label to command property, in the order the organizer writes them
+const HEADER_FIELDS = [
+  ['Command Name', 'name'],
+  ['Description', 'description'],
+  ['Category', 'category'],
+  ['Author', 'author'],
+  ['Collection', 'collection'],
+  ['Collection ID', 'collectionId'],
+  ['Command ID', 'id'],
+  ['Version', 'version'],
+  ['Source', 'source'],
+  ['Auto-approved', 'autoApproved'],
+  ['Processed', 'processedAt']
+];
+
+// Written by the organizer when a command has no description
+const NO_DESCRIPTION = 'No description provided';
+
+// The generated JSDoc block after the header; an author's own doc comment is kept as code
+const GENERATED_DOC_MARKER = 'Usage: Run this command from Level Up for Dynamics 365';
+
+const SITE_URL = 'https://rajyraman.github.io/level-up-community-commands';
+
+class CommandFileHeader {
+  constructor() {
+    this.labels = new Map(HEADER_FIELDS.map(([label, key]) => [label.toLowerCase(), key]));
+  }
+
+  /**
+   * Command file content: header, doc comment and code
+   * @param {Object} command - Command object
+   * @param {Object} collectionMetadata - Collection metadata
+   * @param {string} commandId - Command ID
+   * @returns {string} Command file content
+   */
+  format(command, collectionMetadata, commandId) {
+    const description = command.description || NO_DESCRIPTION;
+    const values = {
+      name: command.name,
+      description,
+      category: command.category || collectionMetadata.category,
+      author: command.author || collectionMetadata.author,
+      collection: collectionMetadata.name,
+      collectionId: collectionMetadata.id,
+      id: commandId,
+      version: command.version || '1.0.0',
+      source: collectionMetadata.source.issueUrl,
+      autoApproved: collectionMetadata.autoApproved,
+      processedAt: collectionMetadata.processedAt
+    };
+
+    const header = HEADER_FIELDS.map(([label, key]) => `// ${label}: ${this.escapeValue(values[key])}`);
+    const doc = [
+      '/**',
+      ...this.docLines(description),
+      ' *',
+      ...this.docLines(`Part of collection: ${collectionMetadata.name}`),
+      ' *',
+      ` * ${GENERATED_DOC_MARKER}`,
+      ' *',
+      ' * For more commands from this collection, visit:',
+      ` * ${SITE_URL}/collections/${collectionMetadata.source.repository}`,
+      ' */'
+    ];
+
+    return `${header.join('\n')}\n\n${doc.join('\n')}\n\n${command.code || ''}`;
+  }
+
+  /**
+   * Split a command file into its header values and code
+   * @param {string} content - Command file contents
+   * @returns {Object} { header, code, hasHeader, unknown: [labels not in the header format] }
+   */
+  parse(content) {
+    const lines = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const header = {};
+    const unknown = [];
+    let index = 0;
+
+    for (; index < lines.length; index++) {
+      const match = /^\/\/\s*([^:]+?)\s*:\s?(.*)$/.exec(lines[index]);
+      if (!match) break;
+
+      const key = this.labels.get(match[1].toLowerCase());
+      if (key) {
+        header[key] = this.unescapeValue(match[2].trim());
+      } else {
+        unknown.push(match[1]);
+      }
+    }
+
+    // Leading comments without a single known label are the author's own code
+    if (Object.keys(header).length === 0) {
+      index = 0;
+      unknown.length = 0;
+    }
+
+    if (header.description === NO_DESCRIPTION) {
+      header.description = '';
+    }
+
+    return {
+      header,
+      code: this.stripGeneratedDoc(lines.slice(index)).join('\n'),
+      hasHeader: Object.keys(header).length > 0,
+      unknown
+    };
+  }
+
+  /**
+   * Turn a command file into a command as it appears in a Level Up export
+   * @param {string} content - Command file contents
+   * @returns {Object} Command ({ name, description, code } plus any other header values)
+   */
+  toCommand(content) {
+    const { header, code } = this.parse(content);
+    const command = { name: header.name || '', description: header.description || '', code: code.trim() };
+
+    ['id', 'category', 'author', 'version'].forEach(key => {
+      if (header[key]) command[key] = header[key];
+    });
+    return command;
+  }
+
+  /**
+   * Escape a header value so it stays on one line
+   * @param {*} value - Value
+   * @returns {string} Escaped value
+   */
+  escapeValue(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n');
+  }
+
+  /**
+   * Reverse escapeValue
+   * @param {string} value - Escaped value
+   * @returns {string} Value
+   */
+  unescapeValue(value) {
+    return value.replace(/\\([\\nr])/g, (match, character) => {
+      if (character === 'n') return '\n';
+      if (character === 'r') return '\r';
+      return '\\';
+    });
+  }
+
+  /**
+   * Doc comment lines for text that may span lines or contain `*\/`
+   * @param {string} text - Text
+   * @returns {string[]} Lines starting with ` * `
+   */
+  docLines(text) {
+    return String(text)
+      .replace(/\*\//g, '*\\/')
+      .split(/\r\n?|\n/)
+      .map(line => ` * ${line}`.trimEnd());
+  }
+
+  /**
+   * Remove the generated doc comment that follows the header, and the blank lines around it
+   * @param {string[]} lines - Lines after the header
+   * @returns {string[]} Code lines
+   */
+  stripGeneratedDoc(lines) {
+    const start = lines.findIndex(line => line.trim() !== '');
+    if (start < 0) return [];
+    if (lines[start].trim() !== '/**') return lines.slice(start);
+
+    const end = lines.findIndex((line, index) => index > start && line.trim() === '*/');
+    if (end < 0) return lines.slice(start);
+
+    const block = lines.slice(start, end + 1).join('\n');
+    if (!block.includes(GENERATED_DOC_MARKER)) return lines.slice(start);
+
+    // format() leaves one blank line between the doc comment and the code
+    const code = lines.slice(end + 1);
+    return code[0] === '' ? code.slice(1) : code;
+  }
+}
+
+CommandFileHeader.HEADER_FIELDS = HEADER_FIELDS;
+
+module.exports = CommandFileHeader;
@@ -0,0 +1,426 @@
+/**
+ * Duplicate Detector
+ * Finds commands whose code is the same as, or a close variant of, a command already published in
+ * another collection. Code is compared as a normalized token stream: comments and whitespace are
+ * dropped and local identifiers are renamed in order of first use, so reformatting or renaming
+ * variables does not hide a copy. Near-duplicates are scored by the Jaccard similarity of token
+ * shingles.
+ *
+ * Used at ingest time to warn on a submission and link to the likely original, and by the
+ * organizer to publish the groups of similar commands in the catalog.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const acorn = require('acorn');
+const Permalinks = require('../docs/js/permalinks');
+const CollectionTransaction = require('./collection-transaction');
+
+const SITE_URL = 'https://rajyraman.github.io/level-up-community-commands';
+
+// Similarity at or above which two commands count as variants of each other
+const DEFAULT_THRESHOLD = 0.7;
+// Tokens per shingle
+const SHINGLE_SIZE = 5;
+// One-liners are not compared at all, and short commands only count when they are exact duplicates;
+// small snippets look alike by nature
+const MIN_DUPLICATE_TOKENS = 10;
+const MIN_NEAR_DUPLICATE_TOKENS = 20;
+// Matches reported per submitted command
+const MAX_MATCHES = 3;
+
+// Identifiers kept as written: contextual keywords and the platform API, which are not local bindings
+const GLOBALS = new Set([
+  'async', 'await', 'of', 'let', 'static', 'yield', 'get', 'set', 'arguments',
+  'Xrm', 'window', 'document', 'console', 'alert', 'confirm', 'prompt', 'fetch', 'navigator', 'location',
+  'JSON', 'Math', 'Object', 'Array', 'String', 'Number', 'Boolean', 'Date', 'Promise', 'RegExp', 'Error',
+  'Map', 'Set', 'parseInt', 'parseFloat', 'encodeURIComponent', 'decodeURIComponent', 'setTimeout',
+  'setInterval', 'clearTimeout', 'clearInterval', 'localStorage', 'sessionStorage', 'XMLHttpRequest',
+  'undefined', 'NaN', 'Infinity', 'GetGlobalContext'
+]);
+
+class DuplicateDetector {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.threshold - Minimum similarity (0-1) of a near-duplicate
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+  }
+
+  /**
+   * Normalized tokens of command code
+   * @param {string} code - Command JavaScript code
+   * @returns {string[]} Tokens
+   */
+  normalize(code) {
+    const source = String(code || '');
+    try {
+      return this.tokenize(source);
+    } catch (error) {
+      // Code that does not tokenize is still compared, on a rougher split
+      return source
+        .replace(/\/\*[\s\S]*?\*\//g, ' ')
+        .replace(/(^|[^:\\])\/\/.*$/gm, '$1')
+        .match(/[A-Za-z_$][\w$]*|\d+|[^\s\w]/g) || [];
+    }
+  }
+
+  /**
+   * Tokenize code with acorn, renaming local identifiers to v0, v1, ... in order of first use
+   * @param {string} source - Command JavaScript code
+   * @returns {string[]} Tokens
+   */
+  tokenize(source) {
+    const names = new Map();
+    const tokens = [];
+    let previous = null;
+
+    for (const token of acorn.tokenizer(source, { ecmaVersion: 'latest', allowHashBang: true })) {
+      const label = token.type.label;
+      let value = label;
+
+      if (label === 'name') {
+        const isProperty = previous === '.' || previous === '?.';
+        if (isProperty || GLOBALS.has(token.value)) {
+          value = token.value;
+        } else {
+          if (!names.has(token.value)) names.set(token.value, `v${names.size}`);
+          value = names.get(token.value);
+        }
+      } else if (label === 'string' || label === 'template') {
+        value = JSON.stringify(token.value);
+      } else if (label === 'num') {
+        value = String(token.value);
+      } else if (label === 'regexp') {
+        value = `/${token.value.pattern}/${token.value.flags}`;
+      }
+
+      tokens.push(value);
+      previous = label;
+    }
+    return tokens;
+  }
+
+  /**
+   * Fingerprint of command code
+   * @param {string} code - Command JavaScript code
+   * @returns {Object} { hash, tokenCount, shingles: Set<string> }
+   */
+  fingerprint(code) {
+    const tokens = this.normalize(code);
+    const shingles = new Set();
+    for (let index = 0; index + SHINGLE_SIZE <= tokens.length; index++) {
+      shingles.add(tokens.slice(index, index + SHINGLE_SIZE).join(' '));
+    }
+    if (shingles.size === 0 && tokens.length > 0) {
+      shingles.add(tokens.join(' '));
+    }
+
+    return {
+      hash: crypto.createHash('sha256').update(tokens.join(' ')).digest('hex').substring(0, 16),
+      tokenCount: tokens.length,
+      shingles
+    };
+  }
+
+  /**
+   * Fingerprint every command of the published collections
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object[]} entries - Index entries (profile collectionRef plus username)
+   * @returns {Object[]} Corpus: [{ ref, fingerprint }]
+   */
+  loadCorpus(collectionsBaseDir, entries) {
+    return entries.flatMap(entry => {
+      const filePath = path.join(collectionsBaseDir, entry.username, 'collections', entry.fileName);
+      let collection;
+      try {
+        collection = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.warn(`Skipping unreadable collection ${filePath}: ${error.message}`);
+        return [];
+      }
+
+      return (collection.commands || []).map((command, commandIndex) => ({
+        ref: {
+          username: entry.username,
+          fileName: entry.fileName,
+          collectionId: collection.id || entry.id || null,
+          collectionName: collection.name || entry.name,
+          commandId: command.id || null,
+          commandIndex,
+          name: command.name,
+          submittedAt: command.createdAt || collection.submittedAt || entry.submittedAt || null
+        },
+        fingerprint: this.fingerprint(command.code)
+      }));
+    });
+  }
+
+  /**
+   * Read the index entries of every published collection
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @returns {Object[]} Profile collectionRefs plus username
+   */
+  readEntries(collectionsBaseDir) {
+    if (!fs.existsSync(collectionsBaseDir)) return [];
+
+    return fs.readdirSync(collectionsBaseDir, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('_') && !dirent.name.startsWith('.'))
+      .flatMap(dirent => {
+        const profilePath = path.join(collectionsBaseDir, dirent.name, 'profile.json');
+        if (!fs.existsSync(profilePath)) return [];
+        const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+        return (profile.collections || []).map(ref => ({ ...ref, username: profile.username || dirent.name }));
+      });
+  }
+
+  /**
+   * Similarity of two fingerprints
+   * @param {Object} a - Fingerprint
+   * @param {Object} b - Fingerprint
+   * @returns {number} 1 for the same normalized code, otherwise the shingle Jaccard similarity
+   */
+  similarity(a, b) {
+    if (a.tokenCount < MIN_DUPLICATE_TOKENS || b.tokenCount < MIN_DUPLICATE_TOKENS) return 0;
+    if (a.hash === b.hash) return 1;
+    if (a.tokenCount < MIN_NEAR_DUPLICATE_TOKENS || b.tokenCount < MIN_NEAR_DUPLICATE_TOKENS) return 0;
+
+    let shared = 0;
+    a.shingles.forEach(shingle => {
+      if (b.shingles.has(shingle)) shared++;
+    });
+    return shared / (a.shingles.size + b.shingles.size - shared);
+  }
+
+  /**
+   * Corpus members similar to a fingerprint, most similar first
+   * @param {Object} fingerprint - Fingerprint to look up
+   * @param {Object[]} corpus - Corpus from loadCorpus
+   * @param {Function} include - Filter on corpus members
+   * @returns {Object[]} [{ ref, similarity }]
+   */
+  findSimilar(fingerprint, corpus, include = () => true) {
+    return corpus
+      .filter(include)
+      .map(member => ({ ref: member.ref, similarity: this.similarity(fingerprint, member.fingerprint) }))
+      .filter(match => match.similarity >= this.threshold)
+      .sort((a, b) => b.similarity - a.similarity || this.compareRefs(a.ref, b.ref));
+  }
+
+  /**
+   * Check the commands of a submission against the published collections
+   * @param {Object} issueData - Parsed issue data
+   * @param {Object[]} corpus - Corpus from loadCorpus
+   * @returns {Object[]} [{ commandIndex, name, matches: [{ ...ref, similarity, url }] }]
+   */
+  checkSubmission(issueData, corpus) {
+    const metadata = issueData.metadata || {};
+    // The organizer publishes under the contact username
+    const username = (issueData.contactInfo || metadata.submittedBy || '').toLowerCase();
+    const name = (metadata.name || '').trim().toLowerCase();
+
+    // An update is not a copy of its own previous version
+    const isOwnCollection = ref => (metadata.collectionId && ref.collectionId === metadata.collectionId) ||
+      (ref.username.toLowerCase() === username && (ref.collectionName || '').trim().toLowerCase() === name);
+
+    return (issueData.commands || [])
+      .map((command, commandIndex) => ({
+        commandIndex,
+        name: command.name,
+        matches: this.findSimilar(this.fingerprint(command.code), corpus, member => !isOwnCollection(member.ref))
+          .slice(0, MAX_MATCHES)
+          .map(match => ({ ...match.ref, similarity: this.round(match.similarity), url: this.url(match.ref) }))
+      }))
+      .filter(result => result.matches.length > 0);
+  }
+
+  /**
+   * Validation warnings for the duplicates of a submission
+   * @param {Object[]} duplicates - Result of checkSubmission
+   * @returns {string[]} Warnings
+   */
+  warnings(duplicates) {
+    return duplicates.map(({ name, matches }) => {
+      const original = this.likelyOriginal(matches);
+      const relation = original.similarity === 1 ? 'a copy of' : `${Math.round(original.similarity * 100)}% similar to`;
+      return `Command "${name}" is ${relation} "${original.name}" in ` +
+        `"${original.collectionName}" by @${original.username}: ${original.url}`;
+    });
+  }
+
+  /**
+   * The match most likely to be the original: the earliest published of the closest matches
+   * @param {Object[]} matches - Matches of one command
+   * @returns {Object} Match
+   */
+  likelyOriginal(matches) {
+    const best = matches[0].similarity;
+    return matches
+      .filter(match => match.similarity === best)
+      .sort((a, b) => this.compareRefs(a, b))[0];
+  }
+
+  /**
+   * Group published commands that are variants of each other across collections
+   * @param {Object[]} corpus - Corpus from loadCorpus
+   * @returns {Object} { version, threshold, groups: [{ id, original, variants: [{ ...ref, similarity }] }] }
+   */
+  buildGroups(corpus) {
+    const parent = corpus.map((member, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const collectionOf = member => `${member.ref.username}/${member.ref.fileName}`;
+
+    // Only compare commands that share a shingle
+    const postings = new Map();
+    corpus.forEach((member, index) => {
+      member.fingerprint.shingles.forEach(shingle => {
+        if (!postings.has(shingle)) postings.set(shingle, []);
+        postings.get(shingle).push(index);
+      });
+    });
+
+    corpus.forEach((member, index) => {
+      const candidates = new Set();
+      member.fingerprint.shingles.forEach(shingle => {
+        postings.get(shingle).forEach(other => {
+          if (other > index) candidates.add(other);
+        });
+      });
+
+      candidates.forEach(other => {
+        if (collectionOf(member) === collectionOf(corpus[other])) return;
+        if (this.similarity(member.fingerprint, corpus[other].fingerprint) >= this.threshold) {
+          parent[find(other)] = find(index);
+        }
+      });
+    });
+
+    const clusters = new Map();
+    corpus.forEach((member, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(member);
+    });
+
+    const groups = [...clusters.values()]
+      .filter(members => members.length > 1)
+      .map(members => {
+        const [original, ...rest] = [...members].sort((a, b) => this.compareRefs(a.ref, b.ref));
+        return {
+          id: original.fingerprint.hash,
+          original: original.ref,
+          variants: rest.map(member => ({
+            ...member.ref,
+            similarity: this.round(this.similarity(original.fingerprint, member.fingerprint))
+          }))
+        };
+      })
+      .sort((a, b) => b.variants.length - a.variants.length || this.compareRefs(a.original, b.original));
+
+    return { version: 1, threshold: this.threshold, groups };
+  }
+
+  /**
+   * Order commands by publication date, then by location, so the result is stable
+   * @param {Object} a - Command ref
+   * @param {Object} b - Command ref
+   * @returns {number} Sort order
+   */
+  compareRefs(a, b) {
+    return (Date.parse(a.submittedAt) || 0) - (Date.parse(b.submittedAt) || 0) ||
+      a.username.localeCompare(b.username) ||
+      a.fileName.localeCompare(b.fileName) ||
+      a.commandIndex - b.commandIndex;
+  }
+
+  /**
+   * Gallery link of a published command
+   * @param {Object} ref - Command ref
+   * @returns {string} URL
+   */
+  url(ref) {
+    return `${SITE_URL}/${Permalinks.hashRoute(ref.username, ref.fileName,
+      Permalinks.commandKey({ id: ref.commandId }, ref.commandIndex))}`;
+  }
+
+  /**
+   * Round a similarity for output
+   * @param {number} value - Similarity
+   * @returns {number} Value with two decimals
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Issue comment listing the duplicates of a submission
+   * @param {Object[]} duplicates - Result of checkSubmission
+   * @returns {string} Markdown, or an empty string when there are none
+   */
+  formatMarkdown(duplicates) {
+    if (duplicates.length === 0) return '';
+
+    const rows = duplicates.flatMap(({ name, matches }) => matches.map(match =>
+      `| ${name} | [${match.name}](${match.url}) in ${match.collectionName} by @${match.username} | ${Math.round(match.similarity * 100)}% |`));
+
+    return [
+      '## 🧬 Similar Commands Found',
+      '',
+      'Some commands in this submission match commands that are already published. If you based them on these, consider crediting the original or improving it instead.',
+      '',
+      '| Command | Published command | Similarity |',
+      '| --- | --- | --- |',
+      ...rows,
+      ''
+    ].join('\n');
+  }
+}
+
+DuplicateDetector.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const outputPath = option('--output');
+  const format = option('--format') || 'json';
+  const threshold = parseFloat(option('--threshold')) || undefined;
+  const [issueDataPath, collectionsDir = './collections'] = args;
+
+  if (!issueDataPath) {
+    console.error('Usage: node duplicate-detector.js <issue-data.json> [collections-dir] [--output file] [--format json|markdown] [--threshold 0.7]');
+    process.exit(1);
+  }
+
+  try {
+    const detector = new DuplicateDetector({ threshold });
+    const issueData = JSON.parse(fs.readFileSync(issueDataPath, 'utf8'));
+    const corpus = CollectionTransaction.whileLocked(collectionsDir,
+      () => detector.loadCorpus(collectionsDir, detector.readEntries(collectionsDir)));
+    const duplicates = detector.checkSubmission(issueData, corpus);
+
+    if (outputPath) {
+      // Attach the matches and warnings to the input so the issue comment and approval see them
+      issueData.duplicates = duplicates;
+      if (issueData.validation) {
+        issueData.validation.warnings = [...(issueData.validation.warnings || []), ...detector.warnings(duplicates)];
+      }
+      fs.writeFileSync(outputPath, JSON.stringify(issueData, null, 2), 'utf8');
+    }
+
+    console.log(format === 'markdown' ? detector.formatMarkdown(duplicates) : JSON.stringify(duplicates, null, 2));
+
+    console.error(`\n🧬 Compared ${(issueData.commands || []).length} command(s) with ${corpus.length} published command(s)`);
+    detector.warnings(duplicates).forEach(warning => console.error(`  ⚠️  ${warning}`));
+  } catch (error) {
+    console.error('❌ Duplicate check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,200 @@
+/**
+ * File Naming
+ * Names the files published for a collection: collections/<user>/collections/<name>.json, its
+ * -levelup.json import and commands/<name>.js. Names are transliterated to ASCII slugs, are unique
+ * within the user's folders (a clash gets the collection or command ID as suffix) and are recorded
+ * in collections/<user>/file-names.json, so later versions keep their file names and files of
+ * renamed or removed commands can be found and removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAP_FILE = 'file-names.json';
+const MAX_SLUG_LENGTH = 50;
+
+// GitHub logins: alphanumerics and single hyphens, not at the start or end, at most 39 characters
+const USERNAME_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+// Letters that Unicode normalization does not reduce to ASCII
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i', ħ: 'h', ŋ: 'ng',
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+  ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'yo', є: 'ye', ж: 'zh', з: 'z', и: 'i',
+  і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e',
+  ю: 'yu', я: 'ya'
+};
+
+class FileNaming {
+  /**
+   * ASCII approximation of a name
+   * @param {string} text - Name in any script
+   * @returns {string} Lowercase text; characters without an ASCII equivalent are dropped
+   */
+  transliterate(text) {
+    return [...String(text || '').toLowerCase()]
+      .map(character => (character in TRANSLITERATIONS ? TRANSLITERATIONS[character] : character))
+      .join('')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\x20-\x7e]/g, ' ');
+  }
+
+  /**
+   * File name slug for a name
+   * @param {string} name - Collection or command name
+   * @returns {string} Slug of a-z, 0-9 and single hyphens, or '' when nothing is left
+   */
+  slugify(name) {
+    const slug = this.transliterate(name)
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return slug.length > MAX_SLUG_LENGTH
+      ? slug.substring(0, MAX_SLUG_LENGTH).replace(/-+$/, '')
+      : slug;
+  }
+
+  /**
+   * Check that a username is a GitHub login, so it is safe as a directory name
+   * @param {string} username - Submitter username
+   * @returns {boolean} True if valid
+   */
+  isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username);
+  }
+
+  /**
+   * Resolve a path and make sure it stays inside a base directory
+   * @param {string} baseDir - Base directory
+   * @param {...string} segments - Path segments below the base directory
+   * @returns {string} Resolved path
+   */
+  resolveInside(baseDir, ...segments) {
+    const base = path.resolve(baseDir);
+    const target = path.resolve(base, ...segments);
+    if (target !== base && !target.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`Path ${segments.join('/')} is outside ${baseDir}`);
+    }
+    return target;
+  }
+
+  /**
+   * Key a command is tracked by in the map; the versioning matches commands by name the same way
+   * @param {string} name - Command name
+   * @returns {string} Key
+   */
+  commandKey(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  /**
+   * Read a user's file name map
+   * @param {string} userDir - User directory
+   * @returns {Object} { version, collections: { [collectionId]: { slug, fileName, commands: { [key]: fileName } } } }
+   */
+  loadMap(userDir) {
+    const mapPath = this.mapPath(userDir);
+    if (!fs.existsSync(mapPath)) {
+      return { version: 1, collections: {} };
+    }
+    return JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+  }
+
+  /**
+   * Path of a user's file name map
+   * @param {string} userDir - User directory
+   * @returns {string} Map file path
+   */
+  mapPath(userDir) {
+    return path.join(userDir, MAP_FILE);
+  }
+
+  /**
+   * Assign file names to a collection and its commands.
+   * Names recorded for the collection are kept; new names avoid every file of the user's other
+   * collections and every file on disk that this collection does not own.
+   * @param {Object} map - File name map from loadMap (updated in place)
+   * @param {Object} collection - { id, name, commands: [{ id, name }] }
+   * @param {Object} existing - Files on disk: { collections: string[], commands: string[] }
+   * @returns {Object} { fileName, importFileName, commandFiles: string[], obsolete: { collections, commands } }
+   */
+  assign(map, collection, existing) {
+    const previous = map.collections[collection.id] || { slug: null, fileName: null, commands: {} };
+    const others = Object.entries(map.collections).filter(([id]) => id !== collection.id).map(([, entry]) => entry);
+    const ownCollectionFiles = previous.fileName ? [previous.fileName, this.importFileName(previous.fileName)] : [];
+    const ownCommandFiles = Object.values(previous.commands);
+
+    const takenCollections = new Set([
+      ...existing.collections.filter(fileName => !ownCollectionFiles.includes(fileName)),
+      ...others.flatMap(entry => [entry.fileName, this.importFileName(entry.fileName)])
+    ]);
+    const takenCommands = new Set([
+      ...existing.commands.filter(fileName => !ownCommandFiles.includes(fileName)),
+      ...others.flatMap(entry => Object.values(entry.commands))
+    ]);
+
+    const slug = this.slugify(collection.name) || 'collection';
+    const fileName = previous.fileName && previous.slug === slug
+      ? previous.fileName
+      : this.unique(slug, collection.id, '.json', name => takenCollections.has(name) || takenCollections.has(this.importFileName(name)));
+
+    const commands = {};
+    const commandFiles = collection.commands.map((command, index) => {
+      const key = this.commandKey(command.name) || `#${index + 1}`;
+      const kept = previous.commands[key];
+      const assigned = kept && !Object.values(commands).includes(kept)
+        ? kept
+        : this.unique(this.slugify(command.name) || 'command', command.id, '.js',
+          name => takenCommands.has(name) || Object.values(commands).includes(name));
+      commands[key] = assigned;
+      return assigned;
+    });
+
+    map.collections[collection.id] = { slug, fileName, commands };
+
+    return {
+      fileName,
+      importFileName: this.importFileName(fileName),
+      commandFiles,
+      obsolete: {
+        collections: ownCollectionFiles.filter(name => name !== fileName && name !== this.importFileName(fileName)),
+        commands: ownCommandFiles.filter(name => !commandFiles.includes(name))
+      }
+    };
+  }
+
+  /**
+   * First free file name: the slug, then the slug with the stable ID, then a counter
+   * @param {string} slug - Base slug
+   * @param {string} id - Collection or command ID
+   * @param {string} extension - File extension
+   * @param {Function} isTaken - Returns true for a name in use
+   * @returns {string} File name
+   */
+  unique(slug, id, extension, isTaken) {
+    const candidates = [`${slug}${extension}`];
+    if (id) candidates.push(`${slug}-${id}${extension}`);
+
+    let fileName = candidates.find(candidate => !isTaken(candidate));
+    for (let counter = 2; !fileName; counter++) {
+      const candidate = `${slug}-${id ? `${id}-` : ''}${counter}${extension}`;
+      if (!isTaken(candidate)) fileName = candidate;
+    }
+    return fileName;
+  }
+
+  /**
+   * Level Up import file published next to a collection file
+   * @param {string} fileName - Collection file name
+   * @returns {string} Import file name
+   */
+  importFileName(fileName) {
+    return fileName.replace(/\.json$/, '-levelup.json');
+  }
+}
+
+FileNaming.MAP_FILE = MAP_FILE;
+
+module.exports = FileNaming;
@@ -0,0 +1,24 @@
+/**
+ * Import Validator – browser entry
+ * Bundled by `npm run build:validator` into docs/js/import-validator.bundle.js, which exposes
+ * `LevelUpImportValidator.create()` to the gallery. The issue template and schema are embedded at
+ * build time because the browser cannot read them from disk; this file is not meant for Node.
+ */
+
+const yaml = require('js-yaml');
+const ImportValidator = require('./import-validator');
+const issueTemplate = require('../.github/ISSUE_TEMPLATE/share-command-collection.yml');
+const levelUpImportSchema = require('../schemas/v1/levelup-import.schema.json');
+
+/**
+ * Create a validator configured with the embedded template and schema
+ * @returns {ImportValidator} Validator
+ */
+function create() {
+  return new ImportValidator({
+    template: yaml.load(issueTemplate),
+    schemas: { 'levelup-import': levelUpImportSchema }
+  });
+}
+
+module.exports = { create };
@@ -0,0 +1,223 @@
+/**
+ * Import Validator
+ * Checks a Level Up export file ({ version, exportedAt, commands[] }) before it is shared: the file
+ * must match the levelup-import schema, and the submission it would become must pass
+ * CollectionIssueParser.validateCollection. The gallery runs the same checks in the browser through
+ * docs/js/import-validator.bundle.js (built from scripts/import-validator-browser.js).
+ */
+
+const fs = require('fs');
+const CollectionIssueParser = require('./parse-collection-issue');
+const CollectionSchemaValidator = require('./validate-collections');
+
+const REPOSITORY_URL = 'https://github.com/rajyraman/level-up-community-commands';
+const ISSUE_TEMPLATE = 'share-command-collection.yml';
+
+// Browsers and GitHub reject longer URLs; larger exports are left out of the pre-filled link
+const MAX_ISSUE_URL_LENGTH = 8000;
+
+class ImportValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {Object} options.template - Parsed issue template (required in the browser)
+   * @param {Object} options.schemas - Schema name to loaded schema (required in the browser)
+   * @param {string} options.repositoryUrl - Repository that receives submissions
+   */
+  constructor(options = {}) {
+    this.parser = new CollectionIssueParser({ template: options.template });
+    this.schemaValidator = new CollectionSchemaValidator({ schemas: options.schemas });
+    this.repositoryUrl = options.repositoryUrl || REPOSITORY_URL;
+  }
+
+  /**
+   * Collection categories offered by the issue template
+   * @returns {string[]} Categories
+   */
+  categories() {
+    return this.parser.supportedCategories;
+  }
+
+  /**
+   * Parse the text of an export file
+   * @param {string} text - File contents
+   * @returns {Object} Export data
+   */
+  parseExport(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate an export as the collection submission it would become
+   * @param {Object} exportData - Level Up export
+   * @param {Object} metadata - Submission details the export does not carry
+   * @param {string} metadata.name - Collection name (defaults to the export's collection name)
+   * @param {string} metadata.description - Collection description
+   * @param {string} metadata.category - Primary category
+   * @param {string[]} metadata.tags - Tags
+   * @param {string} metadata.username - GitHub username of the submitter
+   * @param {string} metadata.author - Author attribution
+   * @param {string} metadata.collectionId - Published collection ID, for updates
+   * @param {string} metadata.dynamicsVersion - Tested Dynamics 365 version
+   * @returns {Object} { valid, score, format, errors, warnings, diagnostics, security, commands, issue }
+   */
+  validate(exportData, metadata = {}) {
+    const format = this.schemaValidator.validate('levelup-import', exportData);
+    const values = this.issueValues(exportData, metadata);
+    const issue = this.buildIssue(values);
+    const issueData = { title: issue.title, body: issue.body, user: { login: values['contact-info'] || undefined } };
+    const validation = this.parser.validateCollection(issueData, issue.body);
+
+    const commands = this.exportCommands(exportData).map((command, index) => {
+      const byCommand = message => this.commandNumber(message) === index + 1;
+      return {
+        index: index + 1,
+        name: command && command.name ? command.name : `Command ${index + 1}`,
+        errors: validation.errors.filter(byCommand),
+        warnings: validation.warnings.filter(byCommand),
+        findings: validation.security.findings.filter(finding => finding.command === index + 1)
+      };
+    });
+
+    return {
+      valid: format.valid && validation.valid,
+      score: validation.score,
+      format,
+      errors: validation.errors.filter(message => this.commandNumber(message) === null),
+      warnings: validation.warnings.filter(message => this.commandNumber(message) === null),
+      diagnostics: validation.diagnostics,
+      security: validation.security.summary,
+      commands,
+      issue
+    };
+  }
+
+  /**
+   * Issue form values for an export
+   * @param {Object} exportData - Level Up export
+   * @param {Object} metadata - Submission details (see validate)
+   * @returns {Object} Template field id to value
+   */
+  issueValues(exportData, metadata) {
+    const collection = (exportData && exportData.collection) || {};
+    const username = String(metadata.username || '').replace(/^@/, '').trim();
+
+    return {
+      'collection-name': metadata.name || collection.name || '',
+      'collection-id': metadata.collectionId || '',
+      description: metadata.description || collection.description || '',
+      category: metadata.category || null,
+      tags: (metadata.tags || []).join(', '),
+      'commands-json': JSON.stringify(exportData, null, 2),
+      'command-count': String(this.exportCommands(exportData).length),
+      'dynamics-version': metadata.dynamicsVersion || '',
+      // The author confirms the checklist on GitHub
+      'safety-checklist': [],
+      'author-attribution': metadata.author || collection.author || '',
+      'contact-info': username
+    };
+  }
+
+  /**
+   * Issue title, body and a link to the pre-filled issue form
+   * @param {Object} values - Template field id to value
+   * @returns {Object} { title, body, url, commandsInUrl }
+   */
+  buildIssue(values) {
+    const title = `[COLLECTION] ${values['collection-name']}`.trim();
+    const body = this.parser.formParser.render(values);
+
+    const url = this.issueUrl(title, values, true);
+    const commandsInUrl = url.length <= MAX_ISSUE_URL_LENGTH;
+    return { title, body, url: commandsInUrl ? url : this.issueUrl(title, values, false), commandsInUrl };
+  }
+
+  /**
+   * Link to the issue form with its fields filled in
+   * @param {string} title - Issue title
+   * @param {Object} values - Template field id to value
+   * @param {boolean} includeCommands - Whether to include the commands JSON
+   * @returns {string} URL
+   */
+  issueUrl(title, values, includeCommands) {
+    const params = new URLSearchParams({ template: ISSUE_TEMPLATE, title });
+    Object.entries(values).forEach(([fieldId, value]) => {
+      if (Array.isArray(value) || value === null || value === '') return;
+      if (fieldId === 'commands-json' && !includeCommands) return;
+      params.set(fieldId, value);
+    });
+    return `${this.repositoryUrl}/issues/new?${params.toString()}`;
+  }
+
+  /**
+   * Commands array of an export, tolerating malformed files
+   * @param {Object} exportData - Level Up export
+   * @returns {Object[]} Commands
+   */
+  exportCommands(exportData) {
+    return exportData && Array.isArray(exportData.commands) ? exportData.commands : [];
+  }
+
+  /**
+   * Command a validation message refers to
+   * @param {string} message - Validation error or warning
+   * @returns {number|null} 1-based command number, or null for collection-level messages
+   */
+  commandNumber(message) {
+    const match = /^Command (\d+)\b/.exec(message);
+    return match ? parseInt(match[1], 10) : null;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const metadata = {
+    name: option('--name'),
+    description: option('--description'),
+    category: option('--category'),
+    tags: (option('--tags') || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    username: option('--username')
+  };
+  const exportPath = args[0];
+
+  if (!exportPath) {
+    console.error('Usage: node import-validator.js <levelup-export.json> [--name] [--description] [--category] [--tags] [--username]');
+    process.exit(1);
+  }
+
+  try {
+    const validator = new ImportValidator();
+    const exportData = validator.parseExport(fs.readFileSync(exportPath, 'utf8'));
+    const report = validator.validate(exportData, metadata);
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify(report, null, 2));
+
+    // Log summary to stderr for human readability
+    console.error(`\n${report.valid ? '✅' : '❌'} ${exportPath}: score ${report.score}/100`);
+    report.format.errors.forEach(error => console.error(`  • ${error.pointer} ${error.message}`));
+    report.errors.forEach(error => console.error(`  ❌ ${error}`));
+    report.warnings.forEach(warning => console.error(`  ⚠️  ${warning}`));
+    report.commands.forEach(command => {
+      if (command.errors.length === 0 && command.warnings.length === 0) return;
+      console.error(`\n  ${command.index}. ${command.name}`);
+      command.errors.forEach(error => console.error(`     ❌ ${error}`));
+      command.warnings.forEach(warning => console.error(`     ⚠️  ${warning}`));
+    });
+
+    process.exit(report.valid ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Import validation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = ImportValidator;
@@ -0,0 +1,404 @@
+/**
+ * Issue Form Parser
+ * Parses rendered GitHub issue form bodies using the issue template as the field definition
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_TEMPLATE_FILE = ['.github', 'ISSUE_TEMPLATE', 'share-command-collection.yml'];
+
+// GitHub renders empty optional fields with this placeholder
+const NO_RESPONSE = '_No response_';
+
+const FIELD_TYPES = ['input', 'textarea', 'dropdown', 'checkboxes'];
+
+class IssueFormParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {Object} options.template - Parsed issue template (takes precedence; the browser bundle
+   *   has no file system to read it from)
+   * @param {string} options.templatePath - Path to the issue template YAML
+   */
+  constructor(options = {}) {
+    const template =
+      options.template ||
+      yaml.load(fs.readFileSync(options.templatePath || path.join(__dirname, '..', ...DEFAULT_TEMPLATE_FILE), 'utf8'));
+
+    this.fields = this.loadFields(template);
+  }
+
+  /**
+   * Extract form field definitions from an issue template
+   * @param {Object} template - Parsed issue template
+   * @returns {Object[]} Field definitions in template order
+   */
+  loadFields(template) {
+    return (template.body || [])
+      .filter(element => FIELD_TYPES.includes(element.type))
+      .map(element => {
+        const attributes = element.attributes || {};
+        return {
+          id: element.id,
+          type: element.type,
+          label: attributes.label,
+          required: Boolean(element.validations && element.validations.required),
+          render: attributes.render || null,
+          multiple: Boolean(attributes.multiple),
+          options: (attributes.options || []).map(option =>
+            typeof option === 'string' ? { label: option, required: false } : option
+          )
+        };
+      });
+  }
+
+  /**
+   * Find a field definition by id or label
+   * @param {string} key - Field id or label
+   * @returns {Object|undefined} Field definition
+   */
+  findField(key) {
+    const normalized = this.normalizeHeading(key);
+    return this.fields.find(
+      field =>
+        this.normalizeHeading(field.label) === normalized ||
+        this.normalizeHeading(field.id) === normalized
+    );
+  }
+
+  /**
+   * Parse a rendered issue body into typed field values
+   * @param {string} body - Issue body markdown
+   * @returns {Object} { values, fields, diagnostics }
+   */
+  parse(body) {
+    const diagnostics = [];
+    const sections = this.splitSections((body || '').replace(/\r\n?/g, '\n'), diagnostics);
+    const values = {};
+    const fields = {};
+
+    this.fields.forEach(field => {
+      const section = sections.get(field.id);
+
+      if (!section) {
+        values[field.id] = this.emptyValue(field);
+        fields[field.id] = { ...field, present: false, raw: null, value: values[field.id] };
+        diagnostics.push({
+          level: field.required ? 'error' : 'warning',
+          code: 'missing-field',
+          field: field.id,
+          line: null,
+          message: `Field "${field.label}" is missing from the issue body`
+        });
+        return;
+      }
+
+      const raw = this.trimBlankLines(section.lines).join('\n');
+      const value = this.convertValue(field, raw, section.line, diagnostics);
+
+      values[field.id] = value;
+      fields[field.id] = { ...field, present: true, raw, value };
+
+      if (field.required && this.isEmpty(value)) {
+        diagnostics.push({
+          level: 'error',
+          code: 'required-empty',
+          field: field.id,
+          line: section.line,
+          message: `Required field "${field.label}" has no value`
+        });
+      }
+    });
+
+    return { values, fields, diagnostics };
+  }
+
+  /**
+   * Render field values as an issue body, formatted the way GitHub renders a submitted issue form,
+   * so parse() reads the same values back
+   * @param {Object} values - Field id to value. Checkboxes take [{ label, checked }] or the checked labels.
+   * @returns {string} Issue body markdown
+   */
+  render(values) {
+    const sections = this.fields.map(field => `### ${field.label}\n\n${this.renderValue(field, values[field.id])}`);
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Render one field value
+   * @param {Object} field - Field definition
+   * @param {*} value - Field value
+   * @returns {string} Markdown
+   */
+  renderValue(field, value) {
+    if (field.type === 'checkboxes') {
+      const checked = new Set((value || [])
+        .filter(item => typeof item === 'string' || item.checked)
+        .map(item => (typeof item === 'string' ? item : item.label)));
+      return field.options.map(option => `- [${checked.has(option.label) ? 'X' : ' '}] ${option.label}`).join('\n');
+    }
+
+    const text = Array.isArray(value) ? value.join(', ') : String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return NO_RESPONSE;
+
+    if (field.render) {
+      // The fence must be longer than any backtick run in the content
+      const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      return `${fence}${field.render}\n${text}\n${fence}`;
+    }
+    return text;
+  }
+
+  /**
+   * Split the body into field sections.
+   * A `### heading` only starts a new section when it names a template field that comes
+   * later in the template than the current one and is not inside a fenced code block.
+   * Anything else stays part of the current field's content.
+   * @param {string} body - Issue body with normalized line endings
+   * @param {Object[]} diagnostics - Diagnostics collector
+   * @returns {Map<string, Object>} Field id to { line, lines }
+   */
+  splitSections(body, diagnostics) {
+    const sections = new Map();
+    const lines = body.split('\n');
+    let current = null;
+    let currentIndex = -1;
+    let fence = null;
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+
+      if (fence) {
+        if (this.closesFence(line, fence)) fence = null;
+        if (current) current.lines.push(line);
+        return;
+      }
+
+      const heading = line.match(/^###\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        const field = this.findField(heading[1]);
+        const fieldIndex = field ? this.fields.indexOf(field) : -1;
+
+        if (field && fieldIndex > currentIndex && !sections.has(field.id)) {
+          current = { line: lineNumber, lines: [] };
+          currentIndex = fieldIndex;
+          sections.set(field.id, current);
+          return;
+        }
+
+        diagnostics.push({
+          level: 'warning',
+          code: field ? 'unexpected-field' : 'unknown-field',
+          field: field ? field.id : null,
+          line: lineNumber,
+          message: field
+            ? `Heading "${heading[1]}" is out of template order and was kept as content`
+            : `Heading "${heading[1]}" does not match any template field`
+        });
+      }
+
+      fence = this.opensFence(line);
+      if (current) current.lines.push(line);
+    });
+
+    return sections;
+  }
+
+  /**
+   * Detect the opening line of a fenced code block
+   * @param {string} line - Line of markdown
+   * @returns {Object|null} { char, length } of the fence
+   */
+  opensFence(line) {
+    const match = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    return match ? { char: match[1][0], length: match[1].length } : null;
+  }
+
+  /**
+   * Check whether a line closes the given fence
+   * @param {string} line - Line of markdown
+   * @param {Object} fence - Open fence
+   * @returns {boolean} True if the fence is closed
+   */
+  closesFence(line, fence) {
+    const match = line.match(/^\s{0,3}(`{3,}|~{3,})\s*$/);
+    return Boolean(match && match[1][0] === fence.char && match[1].length >= fence.length);
+  }
+
+  /**
+   * Convert raw section text into a typed value
+   * @param {Object} field - Field definition
+   * @param {string} raw - Raw section text
+   * @param {number} line - Heading line number
+   * @param {Object[]} diagnostics - Diagnostics collector
+   * @returns {*} Typed value
+   */
+  convertValue(field, raw, line, diagnostics) {
+    if (raw.trim() === NO_RESPONSE) {
+      return this.emptyValue(field);
+    }
+
+    switch (field.type) {
+    case 'textarea':
+      return field.render ? this.unwrapFence(raw) : raw;
+    case 'dropdown':
+      return this.parseDropdown(field, raw, line, diagnostics);
+    case 'checkboxes':
+      return this.parseCheckboxes(field, raw, line, diagnostics);
+    case 'input':
+    default:
+      return raw.trim();
+    }
+  }
+
+  /**
+   * Remove the single code fence GitHub wraps around `render:` textareas.
+   * The content between the fences is returned verbatim.
+   * @param {string} raw - Raw section text
+   * @returns {string} Fence contents
+   */
+  unwrapFence(raw) {
+    const lines = raw.split('\n');
+    const fence = this.opensFence(lines[0]);
+
+    if (fence && lines.length >= 2 && this.closesFence(lines[lines.length - 1], fence)) {
+      return lines.slice(1, -1).join('\n');
+    }
+    return raw;
+  }
+
+  /**
+   * Match a dropdown selection against the template options
+   * @param {Object} field - Field definition
+   * @param {string} raw - Raw section text
+   * @param {number} line - Heading line number
+   * @param {Object[]} diagnostics - Diagnostics collector
+   * @returns {string|string[]|null} Selected option(s)
+   */
+  parseDropdown(field, raw, line, diagnostics) {
+    const selections = field.multiple ? raw.split(',') : [raw];
+
+    const matched = selections
+      .map(selection => selection.trim())
+      .filter(selection => selection.length > 0)
+      .map(selection => {
+        const option = field.options.find(
+          candidate => candidate.label.toLowerCase() === selection.toLowerCase()
+        );
+        if (!option) {
+          diagnostics.push({
+            level: 'warning',
+            code: 'invalid-option',
+            field: field.id,
+            line,
+            message: `"${selection}" is not an option of "${field.label}"`
+          });
+        }
+        return option ? option.label : selection;
+      });
+
+    return field.multiple ? matched : matched[0] || null;
+  }
+
+  /**
+   * Read checkbox states, reporting options that are missing or unknown
+   * @param {Object} field - Field definition
+   * @param {string} raw - Raw section text
+   * @param {number} line - Heading line number
+   * @param {Object[]} diagnostics - Diagnostics collector
+   * @returns {Object[]} [{ label, checked, required }] in template order
+   */
+  parseCheckboxes(field, raw, line, diagnostics) {
+    const states = new Map();
+
+    raw.split('\n').forEach(text => {
+      const match = text.match(/^\s*[-*]\s+\[([ xX])\]\s+(.*?)\s*$/);
+      if (!match) return;
+
+      const option = field.options.find(candidate => candidate.label === match[2]);
+      if (!option) {
+        diagnostics.push({
+          level: 'warning',
+          code: 'unknown-option',
+          field: field.id,
+          line,
+          message: `Checkbox "${match[2]}" is not an option of "${field.label}"`
+        });
+        return;
+      }
+      states.set(option.label, match[1] !== ' ');
+    });
+
+    return field.options.map(option => {
+      if (!states.has(option.label)) {
+        diagnostics.push({
+          level: 'warning',
+          code: 'missing-option',
+          field: field.id,
+          line,
+          message: `Checkbox "${option.label}" is missing from "${field.label}"`
+        });
+      }
+      return {
+        label: option.label,
+        checked: states.get(option.label) === true,
+        required: Boolean(option.required)
+      };
+    });
+  }
+
+  /**
+   * Value used for fields that are missing or answered with "_No response_"
+   * @param {Object} field - Field definition
+   * @returns {*} Empty value for the field type
+   */
+  emptyValue(field) {
+    if (field.type === 'checkboxes') {
+      return field.options.map(option => ({
+        label: option.label,
+        checked: false,
+        required: Boolean(option.required)
+      }));
+    }
+    if (field.type === 'dropdown' && field.multiple) return [];
+    return field.type === 'dropdown' ? null : '';
+  }
+
+  /**
+   * Whether a typed value counts as empty
+   * @param {*} value - Field value
+   * @returns {boolean} True if empty
+   */
+  isEmpty(value) {
+    if (Array.isArray(value)) {
+      return value.length === 0 || value.every(item => item.checked === false);
+    }
+    return value === null || value === '';
+  }
+
+  /**
+   * Remove leading and trailing blank lines
+   * @param {string[]} lines - Lines
+   * @returns {string[]} Trimmed lines
+   */
+  trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    return lines.slice(start, end);
+  }
+
+  /**
+   * Normalize a heading, label or id for comparison
+   * @param {string} text - Heading text
+   * @returns {string} Normalized text
+   */
+  normalizeHeading(text) {
+    return (text || '').trim().toLowerCase().replace(/-/g, ' ');
+  }
+}
+
+module.exports = IssueFormParser;
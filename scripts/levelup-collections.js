@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * levelup-collections
+ * Author CLI for checking a Level Up export before it is submitted as a collection issue.
+ * Runs the same parser and organizer as the submission workflow, so problems show up locally.
+ *
+ *   levelup-collections lint <export.json...>   Validate and report the score
+ *   levelup-collections preview <export.json>   Write the files the workflow would publish to a temp dir
+ *   levelup-collections issue-body <export.json> Print the issue body for share-command-collection.yml
+ *
+ * Exit codes: 0 passed, 1 validation failed, 2 usage or file error.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImportValidator = require('./import-validator');
+const CollectionOrganizer = require('./organize-collection');
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+const PREVIEW_USERNAME = 'preview';
+
+const USAGE = `Usage: levelup-collections <command> [options]
+
+Commands:
+  lint <export.json...>        Validate exports and report the score
+  preview <export.json>        Write the collection JSON and command files to a temp directory
+  issue-body <export.json>     Print a share-command-collection.yml issue body
+
+Collection details (default to the export's "collection" block):
+  --meta <file.json>           JSON file with name, description, category, tags, username, author
+  --name, --description, --category, --tags <a,b>, --username, --author, --collection-id
+
+Options:
+  --strict                     lint: fail on warnings too
+  --min-score <n>              lint: fail when the score is below n
+  --out <dir>                  preview: output directory (default: a new temp directory)
+  --json                       Print results as JSON on stdout`;
+
+class UsageError extends Error {}
+
+class LevelUpCollectionsCli {
+  constructor() {
+    this.validator = new ImportValidator();
+  }
+
+  /**
+   * Run a command line
+   * @param {string[]} argv - Arguments after the script name
+   * @returns {number} Exit code
+   */
+  run(argv) {
+    const args = [...argv];
+    const option = name => {
+      const index = args.indexOf(name);
+      return index >= 0 ? args.splice(index, 2)[1] : null;
+    };
+    const flag = name => {
+      const index = args.indexOf(name);
+      return index >= 0 ? Boolean(args.splice(index, 1)) : false;
+    };
+
+    try {
+      const options = {
+        meta: option('--meta'),
+        name: option('--name'),
+        description: option('--description'),
+        category: option('--category'),
+        tags: option('--tags'),
+        username: option('--username'),
+        author: option('--author'),
+        collectionId: option('--collection-id'),
+        minScore: option('--min-score'),
+        out: option('--out'),
+        strict: flag('--strict'),
+        json: flag('--json')
+      };
+      const [command, ...files] = args;
+
+      switch (command) {
+      case 'lint':
+        return this.lint(this.requireFiles(files, true), options);
+      case 'preview':
+        return this.preview(this.requireFiles(files, false)[0], options);
+      case 'issue-body':
+        return this.issueBody(this.requireFiles(files, false)[0], options);
+      case 'help':
+      case '--help':
+      case undefined:
+        console.error(USAGE);
+        return command === undefined ? EXIT_USAGE : EXIT_OK;
+      default:
+        throw new UsageError(`Unknown command "${command}"`);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      if (error instanceof UsageError) console.error(`\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+  }
+
+  /**
+   * Validate exports
+   * @param {string[]} files - Export files
+   * @param {Object} options - Parsed options
+   * @returns {number} Exit code
+   */
+  lint(files, options) {
+    const minScore = options.minScore === null ? null : Number(options.minScore);
+    if (minScore !== null && Number.isNaN(minScore)) {
+      throw new UsageError(`--min-score must be a number, got "${options.minScore}"`);
+    }
+
+    const results = files.map(file => {
+      const exportData = this.loadExport(file);
+      const report = this.validator.validate(exportData, this.metadata(options, exportData));
+      const warningCount = report.warnings.length + report.commands.reduce((sum, command) => sum + command.warnings.length, 0);
+      const passed = report.valid &&
+        !(options.strict && warningCount > 0) &&
+        !(minScore !== null && report.score < minScore);
+
+      this.printReport(file, report, passed);
+      return { file, passed, valid: report.valid, score: report.score, report };
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(results.map(({ file, passed, valid, score, report }) => ({
+        file,
+        passed,
+        valid,
+        score,
+        format: report.format.errors,
+        errors: report.errors,
+        warnings: report.warnings,
+        commands: report.commands.map(({ index, name, errors, warnings }) => ({ index, name, errors, warnings }))
+      })), null, 2));
+    }
+
+    return results.every(result => result.passed) ? EXIT_OK : EXIT_INVALID;
+  }
+
+  /**
+   * Write what the submission workflow would publish for an export
+   * @param {string} file - Export file
+   * @param {Object} options - Parsed options
+   * @returns {number} Exit code
+   */
+  preview(file, options) {
+    const exportData = this.loadExport(file);
+    const metadata = this.metadata(options, exportData);
+    metadata.username = metadata.username || PREVIEW_USERNAME;
+
+    const issue = this.validator.buildIssue(this.validator.issueValues(exportData, metadata));
+    const issueData = this.validator.parser.parseIssue({
+      number: null,
+      title: issue.title,
+      body: issue.body,
+      html_url: null,
+      created_at: new Date().toISOString(),
+      user: { login: metadata.username }
+    });
+
+    const outputDir = options.out || fs.mkdtempSync(path.join(os.tmpdir(), 'levelup-preview-'));
+    const collectionsDir = path.join(outputDir, 'collections');
+    fs.mkdirSync(collectionsDir, { recursive: true });
+
+    const issueDataPath = path.join(outputDir, 'issue-data.json');
+    fs.writeFileSync(issueDataPath, JSON.stringify(issueData, null, 2), 'utf8');
+
+    let result;
+    try {
+      result = new CollectionOrganizer().organizeCollection(issueDataPath, collectionsDir);
+    } catch (error) {
+      // The organizer refuses output that does not match the schemas, as the workflow would
+      console.error(`\n❌ The workflow could not publish this collection: ${error.message}`);
+      issueData.validation.errors.forEach(message => console.error(`  ❌ ${message}`));
+      return EXIT_INVALID;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ outputDir, validation: issueData.validation, ...result }, null, 2));
+    }
+
+    console.error(`\n📁 Preview written to ${outputDir}`);
+    console.error(`   Collection: ${path.relative(outputDir, result.collectionPath)} (ID ${result.collectionId}, v${result.version})`);
+    result.commandFiles.forEach(commandFile => {
+      console.error(`   Command:    ${path.relative(outputDir, commandFile.path)}`);
+    });
+    console.error(`   Validation score: ${issueData.validation.score}/100`);
+
+    return issueData.validation.valid ? EXIT_OK : EXIT_INVALID;
+  }
+
+  /**
+   * Print the issue body for an export
+   * @param {string} file - Export file
+   * @param {Object} options - Parsed options
+   * @returns {number} Exit code
+   */
+  issueBody(file, options) {
+    const exportData = this.loadExport(file);
+    const report = this.validator.validate(exportData, this.metadata(options, exportData));
+
+    if (options.json) {
+      console.log(JSON.stringify(report.issue, null, 2));
+    } else {
+      process.stdout.write(report.issue.body);
+    }
+
+    console.error(`\n📝 Title: ${report.issue.title}`);
+    console.error(`🔗 ${report.issue.commandsInUrl ? 'Pre-filled issue' : 'Issue form (paste the commands JSON)'}: ${report.issue.url}`);
+    if (!report.valid) {
+      console.error(`⚠️  The collection does not pass validation yet (score ${report.score}/100); run lint for details.`);
+    }
+    return report.valid ? EXIT_OK : EXIT_INVALID;
+  }
+
+  /**
+   * Collection details from --meta, flags and the export, in that order of precedence (flags win)
+   * @param {Object} options - Parsed options
+   * @param {Object} exportData - Level Up export
+   * @returns {Object} Metadata for ImportValidator
+   */
+  metadata(options, exportData) {
+    let meta = {};
+    if (options.meta) {
+      try {
+        meta = JSON.parse(fs.readFileSync(options.meta, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read ${options.meta}: ${error.message}`);
+      }
+    }
+
+    const collection = (exportData && exportData.collection) || {};
+    const pick = key => options[key] || meta[key] || collection[key] || '';
+    const tags = options.tags !== null ? options.tags.split(',') : meta.tags || [];
+
+    return {
+      name: pick('name'),
+      description: pick('description'),
+      category: pick('category') || null,
+      tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+      username: pick('username'),
+      author: pick('author'),
+      collectionId: options.collectionId || meta.collectionId || '',
+      dynamicsVersion: meta.dynamicsVersion || ''
+    };
+  }
+
+  /**
+   * Read and parse an export file
+   * @param {string} file - Export file
+   * @returns {Object} Export data
+   */
+  loadExport(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+    return this.validator.parseExport(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Check positional file arguments
+   * @param {string[]} files - Positional arguments
+   * @param {boolean} multiple - Whether several files are accepted
+   * @returns {string[]} Files
+   */
+  requireFiles(files, multiple) {
+    if (files.length === 0) throw new UsageError('Missing export file');
+    if (!multiple && files.length > 1) throw new UsageError('Expected a single export file');
+    return files;
+  }
+
+  /**
+   * Print a lint report to stderr
+   * @param {string} file - Export file
+   * @param {Object} report - ImportValidator report
+   * @param {boolean} passed - Whether the file passed with the current options
+   */
+  printReport(file, report, passed) {
+    console.error(`\n${passed ? '✅' : '❌'} ${file}: score ${report.score}/100`);
+    report.format.errors.forEach(error => console.error(`  ❌ Export format: ${error.pointer} ${error.message}`));
+    report.errors.forEach(error => console.error(`  ❌ ${error}`));
+    report.warnings.forEach(warning => console.error(`  ⚠️  ${warning}`));
+    report.commands.forEach(command => {
+      if (command.errors.length === 0 && command.warnings.length === 0) return;
+      console.error(`  ${command.index}. ${command.name}`);
+      command.errors.forEach(error => console.error(`     ❌ ${error}`));
+      command.warnings.forEach(warning => console.error(`     ⚠️  ${warning}`));
+    });
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  process.exitCode = new LevelUpCollectionsCli().run(process.argv.slice(2));
+}
+
+LevelUpCollectionsCli.EXIT_OK = EXIT_OK;
+LevelUpCollectionsCli.EXIT_INVALID = EXIT_INVALID;
+LevelUpCollectionsCli.EXIT_USAGE = EXIT_USAGE;
+
+module.exports = LevelUpCollectionsCli;
@@ -6,9 +6,39 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const XrmApiProfiler = require('./xrm-api-profiler');
+const CollectionSchemaValidator = require('./validate-collections');
+const CollectionVersioning = require('./collection-versioning');
+const CatalogBuilder = require('./catalog-builder');
+const SearchIndexBuilder = require('./search-index-builder');
+const CommandFileHeader = require('./command-file-header');
+const FileNaming = require('./file-naming');
+const DuplicateDetector = require('./duplicate-detector');
+const BadgeEngine = require('./badge-engine');
+const CollectionTransaction = require('./collection-transaction');
+
+// Public record of withdrawn, deprecated and taken down collections
+const AUDIT_LOG_FILE = 'audit-log.json';
+// Taken down collections are moved here, next to the collections directory, and not published
+const QUARANTINE_DIR = 'quarantine';
+// Files the organizer writes at the top of the collections directory
+const BASE_FILES = ['index.json', 'search-index.json', AUDIT_LOG_FILE, 'README.md'];
+// Entries of a user folder; anything else is reported by rebuild
+const USER_ENTRIES = ['profile.json', FileNaming.MAP_FILE, 'collections', 'commands', 'history'];
 
 class CollectionOrganizer {
   constructor() {
+    this.apiProfiler = new XrmApiProfiler();
+    this.schemaValidator = new CollectionSchemaValidator();
+    this.versioning = new CollectionVersioning();
+    this.catalogBuilder = new CatalogBuilder();
+    this.searchIndexBuilder = new SearchIndexBuilder();
+    this.duplicateDetector = new DuplicateDetector();
+    this.commandHeader = new CommandFileHeader();
+    this.fileNaming = new FileNaming();
+    this.badgeEngine = new BadgeEngine();
+    // Open while an operation runs; every file change goes through it
+    this.transaction = null;
     this.dateFormat = new Intl.DateTimeFormat('en-US', {
       year: 'numeric',
       month: '2-digit',
@@ -20,46 +50,286 @@ class CollectionOrganizer {
    * Organize a collection into the appropriate user folder
    * @param {string} issueDataPath - Path to parsed issue data
    * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object} approvalReport - Report of approval-policy.js or of a maintainer override (optional)
    * @returns {Object} Organization result
    */
-  organizeCollection(issueDataPath, collectionsBaseDir) {
-    if (!fs.existsSync(issueDataPath)) {
-      throw new Error(`Issue data file not found: ${issueDataPath}`);
-    }
+  organizeCollection(issueDataPath, collectionsBaseDir, approvalReport = null) {
+    return this.transact(collectionsBaseDir, () => {
+      if (!fs.existsSync(issueDataPath)) {
+        throw new Error(`Issue data file not found: ${issueDataPath}`);
+      }
+
+      const issueData = JSON.parse(fs.readFileSync(issueDataPath, 'utf8'));
+      const username = issueData.contactInfo;
+
+      if (!username) {
+        throw new Error('No GitHub username found in contact info');
+      }
+
+      // The username becomes a directory name
+      if (!this.fileNaming.isValidUsername(username)) {
+        throw new Error(`"${username}" is not a valid GitHub username`);
+      }
+      this.fileNaming.resolveInside(collectionsBaseDir, username);
+
+      // Create user directory structure
+      const userDir = path.join(collectionsBaseDir, username);
+      const collectionsDir = path.join(userDir, 'collections');
+      const commandsDir = path.join(userDir, 'commands');
+      const historyDir = path.join(userDir, 'history');
+
+      this.ensureDirectoryExists(userDir);
+      this.ensureDirectoryExists(collectionsDir);
+      this.ensureDirectoryExists(commandsDir);
+
+      // Generate collection files
+      const collectionInfo = this.generateCollectionFiles(issueData, collectionsDir, commandsDir, historyDir,
+        approvalReport ? this.approvalRecord(approvalReport) : null);
+
+      // Update user profile
+      this.updateUserProfile(userDir, issueData, collectionInfo);
+
+      // Generate index files
+      this.updateCollectionsIndex(collectionsBaseDir);
+
+      return {
+        username,
+        userDir,
+        collectionPath: collectionInfo.collectionPath,
+        commandFiles: collectionInfo.commandFiles,
+        totalCommands: collectionInfo.totalCommands,
+        collectionId: collectionInfo.collectionId,
+        collectionFileName: collectionInfo.collectionFileName,
+        version: collectionInfo.version,
+        previousVersion: collectionInfo.previousVersion,
+        updated: collectionInfo.updated,
+        unchanged: Boolean(collectionInfo.unchanged),
+        archivePath: collectionInfo.archivePath
+      };
+    });
+  }
+
+  /**
+   * Withdraw a collection at its author's request.
+   * Its files and history are deleted and it leaves the profile and the index.
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} username - Author username
+   * @param {string} collectionId - Collection ID
+   * @param {Object} details - { reason, actor, reference }
+   * @returns {Object} { action, collectionId, removedFiles, auditEntry }
+   */
+  withdrawCollection(collectionsBaseDir, username, collectionId, details = {}) {
+    return this.transact(collectionsBaseDir, () => {
+      const target = this.findPublishedCollection(collectionsBaseDir, username, collectionId);
+      const files = this.listCollectionFiles(target);
+
+      files.forEach(filePath => this.removePath(filePath));
+
+      // Logged before the profile is updated, so badge rules over the audit log see this entry
+      const auditEntry = this.appendAuditEntry(collectionsBaseDir, 'withdraw', target, details);
+      this.removeFromProfile(target);
+      this.updateCollectionsIndex(collectionsBaseDir);
+
+      return { action: 'withdraw', collectionId, removedFiles: files, auditEntry };
+    });
+  }
+
+  /**
+   * Deprecate a collection. It stays published, marked with the reason and what replaces it.
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} username - Author username
+   * @param {string} collectionId - Collection ID
+   * @param {Object} details - { reason, actor, reference, replacement: '<username>/<collection-id>' or a URL }
+   * @returns {Object} { action, collectionId, deprecation, auditEntry }
+   */
+  deprecateCollection(collectionsBaseDir, username, collectionId, details = {}) {
+    return this.transact(collectionsBaseDir, () => {
+      if (!details.reason) {
+        throw new Error('A deprecation needs a reason');
+      }
+
+      const target = this.findPublishedCollection(collectionsBaseDir, username, collectionId);
+      const deprecation = {
+        reason: details.reason,
+        deprecatedAt: new Date().toISOString(),
+        replacement: details.replacement ? this.resolveReplacement(collectionsBaseDir, details.replacement) : null
+      };
+
+      const collectionData = { ...target.data, status: 'deprecated', deprecation };
+      this.writeJsonFile(target.filePath, collectionData, 'collection');
+
+      const auditEntry = this.appendAuditEntry(collectionsBaseDir, 'deprecate', target, details, {
+        replacement: deprecation.replacement
+      });
+
+      const profilePath = path.join(target.userDir, 'profile.json');
+      const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+      this.refreshProfile(profile, target.userDir);
+      this.writeJsonFile(profilePath, profile, 'profile');
+
+      this.updateCollectionsIndex(collectionsBaseDir);
+
+      return { action: 'deprecate', collectionId, deprecation, auditEntry };
+    });
+  }
+
+  /**
+   * Take a collection down for security reasons.
+   * Its files and history move to the quarantine folder next to the collections directory, which
+   * is not published, and it leaves the profile and the index.
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} username - Author username
+   * @param {string} collectionId - Collection ID
+   * @param {Object} details - { reason, actor, reference }
+   * @returns {Object} { action, collectionId, quarantineDir, auditEntry }
+   */
+  takedownCollection(collectionsBaseDir, username, collectionId, details = {}) {
+    return this.transact(collectionsBaseDir, () => {
+      if (!details.reason || !details.actor) {
+        throw new Error('A takedown needs a reason and the maintainer who requested it');
+      }
+
+      const target = this.findPublishedCollection(collectionsBaseDir, username, collectionId);
+      const takenDownAt = new Date().toISOString();
+      const quarantineDir = path.join(
+        path.dirname(path.resolve(collectionsBaseDir)),
+        QUARANTINE_DIR,
+        username,
+        `${collectionId}-${takenDownAt.replace(/[:.]/g, '-')}`
+      );
+
+      // Keep the layout below the user folder so the files can be restored as they were
+      this.listCollectionFiles(target).forEach(filePath => {
+        const quarantinePath = path.join(quarantineDir, path.relative(target.userDir, filePath));
+        this.movePath(filePath, quarantinePath);
+      });
 
-    const issueData = JSON.parse(fs.readFileSync(issueDataPath, 'utf8'));
-    const username = issueData.contactInfo;
+      const auditEntry = this.appendAuditEntry(collectionsBaseDir, 'takedown', target, details);
+      this.removeFromProfile(target);
+      this.writeFileIfChanged(path.join(quarantineDir, 'takedown.json'), JSON.stringify(auditEntry, null, 2));
+      this.updateCollectionsIndex(collectionsBaseDir);
 
-    if (!username) {
-      throw new Error('No GitHub username found in contact info');
+      return { action: 'takedown', collectionId, quarantineDir, auditEntry };
+    });
+  }
+
+  /**
+   * Find a published collection of a user
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} username - Author username
+   * @param {string} collectionId - Collection ID
+   * @returns {Object} { username, userDir, filePath, data }
+   */
+  findPublishedCollection(collectionsBaseDir, username, collectionId) {
+    if (!this.fileNaming.isValidUsername(username)) {
+      throw new Error(`"${username}" is not a valid GitHub username`);
+    }
+    if (!/^[0-9a-f]{8}$/.test(collectionId || '')) {
+      throw new Error(`"${collectionId}" is not a collection ID`);
     }
 
-    // Create user directory structure
-    const userDir = path.join(collectionsBaseDir, username);
-    const collectionsDir = path.join(userDir, 'collections');
-    const commandsDir = path.join(userDir, 'commands');
+    const userDir = this.fileNaming.resolveInside(collectionsBaseDir, username);
+    const existing = this.versioning.findExistingCollection(path.join(userDir, 'collections'), { id: collectionId });
+    if (!existing) {
+      throw new Error(`${username} has no published collections`);
+    }
+    return { username, userDir, ...existing };
+  }
 
-    this.ensureDirectoryExists(userDir);
-    this.ensureDirectoryExists(collectionsDir);
-    this.ensureDirectoryExists(commandsDir);
+  /**
+   * Every file published for a collection: the collection, its Level Up import, its command files
+   * (by the Collection ID in their header) and its version history
+   * @param {Object} target - Result of findPublishedCollection
+   * @returns {string[]} File and directory paths that exist
+   */
+  listCollectionFiles(target) {
+    const commandsDir = path.join(target.userDir, 'commands');
+    const commandFiles = fs.existsSync(commandsDir)
+      ? fs.readdirSync(commandsDir)
+        .filter(name => name.endsWith('.js'))
+        .map(name => path.join(commandsDir, name))
+        .filter(filePath => this.commandHeader.parse(fs.readFileSync(filePath, 'utf8')).header.collectionId === target.data.id)
+      : [];
+
+    return [
+      target.filePath,
+      this.fileNaming.importFileName(target.filePath),
+      ...commandFiles,
+      path.join(target.userDir, 'history', target.data.id)
+    ].filter(filePath => fs.existsSync(filePath));
+  }
 
-    // Generate collection files
-    const collectionInfo = this.generateCollectionFiles(issueData, collectionsDir, commandsDir);
+  /**
+   * Remove a collection from its author's profile and file name map, and update stats and badges
+   * @param {Object} target - Result of findPublishedCollection
+   */
+  removeFromProfile(target) {
+    const profilePath = path.join(target.userDir, 'profile.json');
+    if (fs.existsSync(profilePath)) {
+      const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+      this.refreshProfile(profile, target.userDir);
+      this.writeJsonFile(profilePath, profile, 'profile');
+    }
 
-    // Update user profile
-    this.updateUserProfile(userDir, issueData, collectionInfo);
+    const fileNameMap = this.fileNaming.loadMap(target.userDir);
+    if (fileNameMap.collections[target.data.id]) {
+      delete fileNameMap.collections[target.data.id];
+      this.writeJsonFile(this.fileNaming.mapPath(target.userDir), fileNameMap, 'file-names');
+    }
+  }
 
-    // Generate index files
-    this.updateCollectionsIndex(collectionsBaseDir);
+  /**
+   * Point a deprecated collection at its replacement
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} replacement - '<username>/<collection-id>' of a published collection, or a URL
+   * @returns {Object} { username, collectionId, name, fileName } or { url }
+   */
+  resolveReplacement(collectionsBaseDir, replacement) {
+    if (/^https?:\/\//.test(replacement)) {
+      return { url: replacement };
+    }
 
+    const [username, collectionId] = replacement.split('/');
+    const target = this.findPublishedCollection(collectionsBaseDir, username, collectionId);
     return {
       username,
-      userDir,
-      collectionPath: collectionInfo.collectionPath,
-      commandFiles: collectionInfo.commandFiles,
-      totalCommands: collectionInfo.totalCommands,
-      collectionId: collectionInfo.collectionId
+      collectionId,
+      name: target.data.name,
+      fileName: path.basename(target.filePath)
+    };
+  }
+
+  /**
+   * Record a removal or deprecation in the public audit log
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} action - withdraw | deprecate | takedown
+   * @param {Object} target - Result of findPublishedCollection
+   * @param {Object} details - { reason, actor, reference }
+   * @param {Object} extra - Additional entry fields
+   * @returns {Object} The new entry
+   */
+  appendAuditEntry(collectionsBaseDir, action, target, details, extra = {}) {
+    const logPath = path.join(collectionsBaseDir, AUDIT_LOG_FILE);
+    const log = fs.existsSync(logPath)
+      ? JSON.parse(fs.readFileSync(logPath, 'utf8'))
+      : { version: 1, entries: [] };
+
+    const entry = {
+      action,
+      at: new Date().toISOString(),
+      username: target.username,
+      collectionId: target.data.id,
+      collectionName: target.data.name,
+      version: target.data.version,
+      reason: details.reason || null,
+      actor: details.actor || null,
+      reference: details.reference || null,
+      ...extra
     };
+
+    log.entries.push(entry);
+    this.writeJsonFile(logPath, log, 'audit-log');
+    return entry;
   }
 
   /**
@@ -67,21 +337,167 @@ class CollectionOrganizer {
    * @param {string} dirPath - Directory path
    */
   ensureDirectoryExists(dirPath) {
-    if (!fs.existsSync(dirPath)) {
+    if (this.transaction) {
+      this.transaction.mkdir(dirPath);
+    } else if (!fs.existsSync(dirPath)) {
       fs.mkdirSync(dirPath, { recursive: true });
     }
   }
 
   /**
-   * Generate collection and command files
+   * Write a JSON file after validating it against its schema
+   * @param {string} filePath - Output path
+   * @param {Object} data - Data to write
+   * @param {string} schemaName - Schema the data must match
+   * @returns {boolean} True if the file was written
+   */
+  writeJsonFile(filePath, data, schemaName) {
+    this.schemaValidator.assertValid(schemaName, data, filePath);
+    return this.writeFileIfChanged(filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Write a file unless it already has this content, so reruns leave files untouched
+   * @param {string} filePath - File path
+   * @param {string} content - File content
+   * @returns {boolean} True if the file was written
+   */
+  writeFileIfChanged(filePath, content) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+      return false;
+    }
+    if (this.transaction) {
+      this.transaction.write(filePath, content);
+    } else {
+      fs.writeFileSync(filePath, content, 'utf8');
+    }
+    return true;
+  }
+
+  /**
+   * Delete a file or directory if it exists
+   * @param {string} targetPath - Path to delete
+   */
+  removePath(targetPath) {
+    if (this.transaction) {
+      this.transaction.remove(targetPath);
+    } else {
+      fs.rmSync(targetPath, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Move a file or directory, creating the target's parent directories
+   * @param {string} source - Path to move
+   * @param {string} target - New path
+   */
+  movePath(source, target) {
+    if (this.transaction) {
+      this.transaction.move(source, target);
+    } else {
+      this.ensureDirectoryExists(path.dirname(target));
+      fs.renameSync(source, target);
+    }
+  }
+
+  /**
+   * Copy the published version of a collection into its history folder
+   * @param {Object} existing - { filePath, data } of the published collection
+   * @param {string} historyDir - User history directory
+   * @returns {string} Path of the archived file
+   */
+  archiveVersion(existing, historyDir) {
+    const archivePath = this.versioning.archivePath(existing, historyDir);
+    this.ensureDirectoryExists(path.dirname(archivePath));
+    this.writeFileIfChanged(archivePath, fs.readFileSync(existing.filePath, 'utf8'));
+    return archivePath;
+  }
+
+  /**
+   * Run an operation as one transaction on the collections directory: it waits for other runs,
+   * rolls back a run that was interrupted, and undoes its own changes if it fails.
+   * Operations started inside it join it.
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Function} operation - Changes to make
+   * @returns {*} Result of the operation
+   */
+  transact(collectionsBaseDir, operation) {
+    if (this.transaction) {
+      return operation();
+    }
+
+    const transaction = new CollectionTransaction(collectionsBaseDir);
+    const recovery = transaction.begin();
+    if (recovery.recovered) {
+      console.warn(`Rolled back an interrupted run in ${collectionsBaseDir} (${recovery.restored} path(s) restored)`);
+    }
+
+    this.transaction = transaction;
+    try {
+      const result = operation();
+      transaction.commit();
+      return result;
+    } catch (error) {
+      transaction.rollback();
+      throw error;
+    } finally {
+      this.transaction = null;
+    }
+  }
+
+  /**
+   * Generate collection and command files.
+   * Resubmissions of an existing collection keep its ID and publish a new version.
    * @param {Object} issueData - Parsed issue data
    * @param {string} collectionsDir - Collections directory
    * @param {string} commandsDir - Commands directory
+   * @param {string} historyDir - Directory for previous collection versions
+   * @param {Object} approval - How the submission was approved, from approvalRecord (optional)
    * @returns {Object} Collection information
    */
-  generateCollectionFiles(issueData, collectionsDir, commandsDir) {
-    const collectionId = this.generateCollectionId(issueData);
+  generateCollectionFiles(issueData, collectionsDir, commandsDir, historyDir, approval = null) {
     const timestamp = new Date().toISOString();
+    const apiProfiles = this.apiProfiler.profileCommands(issueData.commands);
+    const existing = this.versioning.findExistingCollection(collectionsDir, {
+      id: issueData.metadata.collectionId,
+      name: issueData.metadata.name
+    });
+    const previous = existing ? existing.data : null;
+    const plan = previous
+      ? this.versioning.planUpdate(previous, { ...issueData.metadata, commands: issueData.commands })
+      : null;
+    const collectionId = previous ? previous.id : this.generateCollectionId(issueData);
+    const version = plan ? plan.version : '1.0.0';
+
+    // Running the submission that published the current version again, e.g. when a workflow is
+    // re-run, publishes nothing new; only the files derived from the collection are written again
+    if (plan && plan.bump === 'none' && previous.source && previous.source.issueNumber === issueData.issueInfo.number) {
+      const userDir = path.dirname(collectionsDir);
+      const entry = { fileName: path.basename(existing.filePath), filePath: existing.filePath, data: previous };
+      const fileNameMap = this.loadFileNames(userDir, existing, collectionId);
+      const derived = this.writeDerivedFiles(userDir, entry, fileNameMap);
+      this.writeJsonFile(this.fileNaming.mapPath(userDir), fileNameMap, 'file-names');
+
+      return {
+        collectionId,
+        collectionPath: existing.filePath,
+        levelUpImportPath: path.join(collectionsDir, this.fileNaming.importFileName(entry.fileName)),
+        commandFiles: derived.commandFiles,
+        totalCommands: previous.commands.length,
+        collectionFileName: entry.fileName,
+        version: previous.version,
+        previousVersion: null,
+        updated: false,
+        unchanged: true,
+        archivePath: null
+      };
+    }
+    const changelogEntry = this.versioning.createChangelogEntry(plan, {
+      version,
+      date: timestamp,
+      issueNumber: issueData.issueInfo.number,
+      issueUrl: issueData.issueInfo.url
+    });
 
     // Create collection metadata
     const collectionMetadata = {
@@ -92,56 +508,103 @@ class CollectionOrganizer {
       tags: issueData.metadata.tags || [],
       author: issueData.metadata.author,
       submittedBy: issueData.metadata.submittedBy,
-      submittedAt: issueData.metadata.submittedAt,
+      submittedAt: previous ? previous.submittedAt : issueData.metadata.submittedAt,
       processedAt: timestamp,
       dynamicsVersion: issueData.metadata.dynamicsVersion,
       commandCount: issueData.commands.length,
-      autoApproved: true,
-      version: '1.0.0',
+      autoApproved: approval ? approval.method === 'policy' : true,
+      version,
       source: {
         issueNumber: issueData.issueInfo.number,
         issueUrl: issueData.issueInfo.url,
         repository: 'level-up-community-commands'
       },
       documentation: issueData.documentation || {},
-      stats: {
+      apiProfile: apiProfiles.summary,
+      stats: previous && previous.stats ? previous.stats : {
         downloads: 0,
         rating: 0,
         votes: 0
-      }
+      },
+      changelog: [changelogEntry, ...(previous && previous.changelog ? previous.changelog : [])]
     };
 
-    // Generate collection file
-    const collectionFileName = `${this.sanitizeFileName(issueData.metadata.name)}.json`;
-    const collectionPath = path.join(collectionsDir, collectionFileName);
+    if (previous) {
+      collectionMetadata.updatedAt = timestamp;
+    }
+
+    if (approval) {
+      collectionMetadata.approval = approval;
+    }
+
+    // A new version of a deprecated collection stays deprecated
+    if (previous && previous.status === 'deprecated') {
+      collectionMetadata.status = previous.status;
+      collectionMetadata.deprecation = previous.deprecation;
+    }
 
     const collectionData = {
       ...collectionMetadata,
-      commands: issueData.commands.map((command, index) => ({
-        id: this.generateCommandId(command, index),
-        name: command.name,
-        description: command.description || '',
-        category: command.category || issueData.metadata.category,
-        code: command.code,
-        icon: command.icon || 'code',
-        tags: command.tags || [],
-        author: command.author || issueData.metadata.author,
-        version: '1.0.0',
-        createdAt: timestamp
-      }))
+      commands: issueData.commands.map((command, index) => {
+        const history = this.getCommandHistory(command, previous, plan, timestamp);
+        const commandData = {
+          id: this.generateCommandId(command, index),
+          name: command.name,
+          description: command.description || '',
+          category: command.category || issueData.metadata.category,
+          code: command.code,
+          icon: command.icon || 'code',
+          tags: command.tags || [],
+          author: command.author || issueData.metadata.author,
+          version: history.version,
+          createdAt: history.createdAt,
+          apiProfile: apiProfiles.commands[index]
+        };
+
+        // Attached by `xrm-sandbox.js --output` when the workflow smoke-tests the submission
+        if (command.smokeTest) {
+          commandData.smokeTest = command.smokeTest;
+        }
+
+        // Usage stats are kept until the next `npm run usage-stats` recounts them
+        const previousCommand = previous && (previous.commands || []).find(candidate => candidate.id === commandData.id);
+        if (previousCommand && previousCommand.stats) {
+          commandData.stats = previousCommand.stats;
+        }
+        return commandData;
+      })
     };
 
-    fs.writeFileSync(collectionPath, JSON.stringify(collectionData, null, 2), 'utf8');
+    // Unique file names, kept from earlier versions of this collection
+    const userDir = path.dirname(collectionsDir);
+    const fileNameMap = this.loadFileNames(userDir, existing, collectionId);
+    const fileNames = this.fileNaming.assign(fileNameMap, collectionData, this.listPublishedFiles(userDir));
+    const collectionFileName = fileNames.fileName;
+    const collectionPath = path.join(collectionsDir, collectionFileName);
+
+    // Validate both JSON outputs before anything is written
+    const levelUpImportPath = path.join(collectionsDir, fileNames.importFileName);
+    const levelUpData = this.generateLevelUpImport(collectionData);
+    this.schemaValidator.assertValid('collection', collectionData, collectionPath);
+    this.schemaValidator.assertValid('levelup-import', levelUpData, levelUpImportPath);
+
+    // Keep the published version before it is replaced
+    const archivePath = existing ? this.archiveVersion(existing, historyDir) : null;
+    if (existing) {
+      this.removeSupersededFiles(existing, fileNames.obsolete, collectionsDir, commandsDir);
+    }
+
+    this.writeJsonFile(collectionPath, collectionData, 'collection');
 
     // Generate individual command files
     const commandFiles = [];
-    issueData.commands.forEach((command, index) => {
-      const commandId = this.generateCommandId(command, index);
-      const fileName = `${this.sanitizeFileName(command.name || `command-${index + 1}`)}.js`;
+    collectionData.commands.forEach((command, index) => {
+      const commandId = command.id;
+      const fileName = fileNames.commandFiles[index];
       const commandPath = path.join(commandsDir, fileName);
 
       const commandContent = this.generateCommandFileContent(command, collectionMetadata, commandId);
-      fs.writeFileSync(commandPath, commandContent, 'utf8');
+      this.writeFileIfChanged(commandPath, commandContent);
 
       commandFiles.push({
         id: commandId,
@@ -153,9 +616,8 @@ class CollectionOrganizer {
     });
 
     // Generate Level Up import file
-    const levelUpImportPath = path.join(collectionsDir, `${this.sanitizeFileName(issueData.metadata.name)}-levelup.json`);
-    const levelUpData = this.generateLevelUpImport(collectionData);
-    fs.writeFileSync(levelUpImportPath, JSON.stringify(levelUpData, null, 2), 'utf8');
+    this.writeJsonFile(levelUpImportPath, levelUpData, 'levelup-import');
+    this.writeJsonFile(this.fileNaming.mapPath(userDir), fileNameMap, 'file-names');
 
     return {
       collectionId,
@@ -163,7 +625,174 @@ class CollectionOrganizer {
       levelUpImportPath,
       commandFiles,
       totalCommands: issueData.commands.length,
-      collectionFileName
+      collectionFileName,
+      version,
+      previousVersion: plan ? plan.previousVersion : null,
+      updated: Boolean(previous),
+      archivePath
+    };
+  }
+
+  /**
+   * Work out the version and creation date of a command in a new collection version.
+   * Unchanged commands keep their version, changed ones get a patch release.
+   * @param {Object} command - Submitted command
+   * @param {Object|null} previous - Published collection data
+   * @param {Object|null} plan - Versioning plan
+   * @param {string} timestamp - Processing timestamp
+   * @returns {Object} { version, createdAt }
+   */
+  getCommandHistory(command, previous, plan, timestamp) {
+    const key = (command.name || '').trim().toLowerCase();
+    const published = previous
+      ? previous.commands.find(candidate => (candidate.name || '').trim().toLowerCase() === key)
+      : null;
+
+    if (!published) {
+      return { version: '1.0.0', createdAt: timestamp };
+    }
+
+    const changed = plan.changes.changed.includes(command.name);
+    return {
+      version: this.versioning.bumpVersion(published.version, changed ? 'patch' : 'none'),
+      createdAt: published.createdAt || timestamp
+    };
+  }
+
+  /**
+   * Remove files of the published version that the new version no longer produces:
+   * the old collection and import files after a rename, and command files of renamed or removed commands.
+   * Command files are only removed when their header shows they belong to this collection.
+   * @param {Object} existing - { filePath, data } of the published collection
+   * @param {Object} obsolete - { collections, commands } file names from FileNaming.assign
+   * @param {string} collectionsDir - Collections directory
+   * @param {string} commandsDir - Commands directory
+   */
+  removeSupersededFiles(existing, obsolete, collectionsDir, commandsDir) {
+    obsolete.collections
+      .map(fileName => path.join(collectionsDir, fileName))
+      .filter(filePath => fs.existsSync(filePath))
+      .forEach(filePath => this.removePath(filePath));
+
+    obsolete.commands.forEach(fileName => {
+      const commandPath = path.join(commandsDir, fileName);
+      if (!fs.existsSync(commandPath)) return;
+
+      const { header } = this.commandHeader.parse(fs.readFileSync(commandPath, 'utf8'));
+      if (header.collectionId === existing.data.id) {
+        this.removePath(commandPath);
+      }
+    });
+  }
+
+  /**
+   * Write the command files and Level Up import of a published collection from its collection file
+   * @param {string} userDir - User directory
+   * @param {Object} entry - { fileName, filePath, data } of the collection file
+   * @param {Object} fileNameMap - File name map (updated in place)
+   * @returns {Object} { commandFiles: [{ id, name, fileName, path, size }], written: string[] }
+   */
+  writeDerivedFiles(userDir, entry, fileNameMap) {
+    // The collection file keeps the name it has on disk
+    fileNameMap.collections[entry.data.id] = {
+      commands: {},
+      ...fileNameMap.collections[entry.data.id],
+      slug: this.fileNaming.slugify(entry.data.name) || 'collection',
+      fileName: entry.fileName
+    };
+    const fileNames = this.fileNaming.assign(fileNameMap, entry.data, this.listPublishedFiles(userDir));
+
+    const commandsDir = path.join(userDir, 'commands');
+    this.ensureDirectoryExists(commandsDir);
+
+    const written = [];
+    const commandFiles = entry.data.commands.map((command, index) => {
+      const commandPath = path.join(commandsDir, fileNames.commandFiles[index]);
+      const content = this.generateCommandFileContent(command, entry.data, command.id);
+      if (this.writeFileIfChanged(commandPath, content)) written.push(commandPath);
+      return { id: command.id, name: command.name, fileName: fileNames.commandFiles[index], path: commandPath, size: content.length };
+    });
+
+    const importPath = path.join(path.dirname(entry.filePath), fileNames.importFileName);
+    if (this.writeJsonFile(importPath, this.generateLevelUpImport(entry.data), 'levelup-import')) {
+      written.push(importPath);
+    }
+
+    return { commandFiles, written };
+  }
+
+  /**
+   * Read a user's collection files, the source every other file in the user folder is derived from
+   * @param {string} userDir - User directory
+   * @returns {Object} { entries: [{ fileName, filePath, data }] by file name, invalid: [{ filePath, message }] }
+   */
+  readPublishedCollections(userDir) {
+    const collectionsDir = path.join(userDir, 'collections');
+    const entries = [];
+    const invalid = [];
+    if (!fs.existsSync(collectionsDir)) return { entries, invalid };
+
+    fs.readdirSync(collectionsDir)
+      .filter(fileName => fileName.endsWith('.json') && !fileName.endsWith('-levelup.json'))
+      .sort()
+      .forEach(fileName => {
+        const filePath = path.join(collectionsDir, fileName);
+        try {
+          const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          this.schemaValidator.assertValid('collection', data, filePath);
+          entries.push({ fileName, filePath, data });
+        } catch (error) {
+          invalid.push({ filePath, message: error.message });
+        }
+      });
+
+    return { entries, invalid };
+  }
+
+  /**
+   * Load the user's file name map. A collection published before the map existed is entered
+   * with the names it was published under, so its files are reused rather than orphaned.
+   * @param {string} userDir - User directory
+   * @param {Object|null} existing - { filePath, data } of the published collection
+   * @param {string} collectionId - Collection ID
+   * @param {Object} map - Map to add the collection to (defaults to the user's saved map)
+   * @returns {Object} File name map
+   */
+  loadFileNames(userDir, existing, collectionId, map = this.fileNaming.loadMap(userDir)) {
+    if (!existing || map.collections[collectionId]) return map;
+
+    const commands = {};
+    (existing.data.commands || []).forEach(command => {
+      const baseName = this.sanitizeFileName(command.name || '');
+      const commandPath = path.join(userDir, 'commands', `${baseName}.js`);
+      if (!baseName || !fs.existsSync(commandPath)) return;
+
+      const { header } = this.commandHeader.parse(fs.readFileSync(commandPath, 'utf8'));
+      if (header.collectionId === collectionId) {
+        commands[this.fileNaming.commandKey(command.name)] = `${baseName}.js`;
+      }
+    });
+
+    map.collections[collectionId] = {
+      slug: this.fileNaming.slugify(existing.data.name),
+      fileName: path.basename(existing.filePath),
+      commands
+    };
+    return map;
+  }
+
+  /**
+   * File names already used in a user's folders
+   * @param {string} userDir - User directory
+   * @returns {Object} { collections: string[], commands: string[] }
+   */
+  listPublishedFiles(userDir) {
+    const list = (dir, extension) => (fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(name => name.endsWith(extension))
+      : []);
+    return {
+      collections: list(path.join(userDir, 'collections'), '.json'),
+      commands: list(path.join(userDir, 'commands'), '.js')
     };
   }
 
@@ -177,6 +806,30 @@ class CollectionOrganizer {
     return crypto.createHash('md5').update(data).digest('hex').substring(0, 8);
   }
 
+  /**
+   * Give a collection added before IDs were assigned the IDs the organizer gives a new one, and
+   * the source the command file headers link to
+   * @param {Object} collection - Collection data without an id
+   * @param {string} username - Owner of the collection folder
+   * @returns {Object} Collection data with its id first and an id on every command
+   */
+  assignIds(collection, username) {
+    const id = this.generateCollectionId({
+      metadata: { name: collection.name, submittedBy: collection.submittedBy || username },
+      issueInfo: { number: collection.source ? collection.source.issueNumber : null }
+    });
+
+    return {
+      id,
+      ...collection,
+      source: collection.source || { repository: 'level-up-community-commands' },
+      commands: (collection.commands || []).map((command, index) => ({
+        id: command.id || this.generateCommandId(command, index),
+        ...command
+      }))
+    };
+  }
+
   /**
    * Generate unique command ID
    * @param {Object} command - Command object
@@ -189,7 +842,7 @@ class CollectionOrganizer {
   }
 
   /**
-   * Sanitize filename for safe file system usage
+   * File name used before FileNaming; only needed to find files of collections published then
    * @param {string} name - Original name
    * @returns {string} Sanitized filename
    */
@@ -209,15 +862,19 @@ class CollectionOrganizer {
   generateLevelUpImport(collectionData) {
     return {
       version: '1.0.0',
-      exportedAt: Date.now(),
+      // The time the collection was published, so regenerating the file does not change it
+      exportedAt: Date.parse(collectionData.updatedAt || collectionData.processedAt || collectionData.submittedAt) || 0,
       source: 'level-up-community-commands',
       collection: {
+        id: collectionData.id,
         name: collectionData.name,
         description: collectionData.description,
         author: collectionData.author,
         version: collectionData.version
       },
+      // Stable ids let Level Up update previously imported commands instead of adding copies
       commands: collectionData.commands.map(command => ({
+        id: command.id,
         name: command.name,
         description: command.description,
         code: command.code,
@@ -234,32 +891,7 @@ class CollectionOrganizer {
    * @returns {string} Command file content
    */
   generateCommandFileContent(command, collectionMetadata, commandId) {
-    const header = `// Command Name: ${command.name}
-// Description: ${command.description || 'No description provided'}
-// Category: ${command.category || collectionMetadata.category}
-// Author: ${command.author || collectionMetadata.author}
-// Collection: ${collectionMetadata.name}
-// Collection ID: ${collectionMetadata.id}
-// Command ID: ${commandId}
-// Version: ${command.version || '1.0.0'}
-// Source: ${collectionMetadata.source.issueUrl}
-// Auto-approved: ${collectionMetadata.autoApproved}
-// Processed: ${collectionMetadata.processedAt}
-
-/**
- * ${command.description || 'No description provided'}
- *
- * Part of collection: ${collectionMetadata.name}
- *
- * Usage: Run this command from Level Up for Dynamics 365
- *
- * For more commands from this collection, visit:
- * https://rajyraman.github.io/level-up-community-commands/collections/${collectionMetadata.source.repository}
- */
-
-`;
-
-    return header + (command.code || '');
+    return this.commandHeader.format(command, collectionMetadata, commandId);
   }
 
   /**
@@ -271,129 +903,443 @@ class CollectionOrganizer {
   updateUserProfile(userDir, issueData, collectionInfo) {
     const profilePath = path.join(userDir, 'profile.json');
 
-    let profile = {
-      username: issueData.contactInfo,
-      displayName: issueData.metadata.author || issueData.contactInfo,
-      joinedAt: new Date().toISOString(),
+    let profile = this.newProfile(issueData.contactInfo, issueData.metadata.author, new Date().toISOString());
+
+    // Load existing profile if it exists
+    if (fs.existsSync(profilePath)) {
+      try {
+        profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+      } catch (error) {
+        console.warn('Failed to load existing profile, creating new one');
+      }
+    }
+
+    // Collection references, stats and badges follow the collection files
+    this.refreshProfile(profile, userDir);
+
+    // Save updated profile
+    this.writeJsonFile(profilePath, profile, 'profile');
+  }
+
+  /**
+   * Profile of an author without one
+   * @param {string} username - GitHub username
+   * @param {string} displayName - Display name (defaults to the username)
+   * @param {string} joinedAt - Timestamp of the first submission
+   * @returns {Object} Profile
+   */
+  newProfile(username, displayName, joinedAt) {
+    const profile = {
+      username,
+      displayName: displayName || username,
+      joinedAt,
       collections: [],
       stats: {
         totalCollections: 0,
         totalCommands: 0,
         totalDownloads: 0,
-        avgRating: 0
+        averageRating: 0
       },
       badges: [],
       bio: '',
       website: '',
       social: {}
     };
+    if (!joinedAt) delete profile.joinedAt;
+    return profile;
+  }
 
-    // Load existing profile if it exists
-    if (fs.existsSync(profilePath)) {
-      try {
-        profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-      } catch (error) {
-        console.warn('Failed to load existing profile, creating new one');
-      }
+  /**
+   * Derive the collection references, stats and badges of a profile from the user's collection files.
+   * References keep their order; collections the profile does not list yet are added, oldest first.
+   * @param {Object} profile - User profile (updated in place)
+   * @param {string} userDir - User directory
+   * @param {string} awardedAt - Timestamp for newly awarded badges (defaults to now)
+   */
+  refreshProfile(profile, userDir, awardedAt) {
+    // A reference written before its collection had an id is matched by file name
+    const matches = (candidate, ref) => (candidate.id ? candidate.id === ref.id : candidate.fileName === ref.fileName);
+    const position = ref => profile.collections.findIndex(candidate => matches(candidate, ref));
+    const rank = ref => (position(ref) >= 0 ? position(ref) : profile.collections.length);
+    const previous = ref => profile.collections.find(candidate => matches(candidate, ref)) || {};
+
+    profile.collections = this.readPublishedCollections(userDir).entries
+      .map(entry => this.collectionRef(entry.data, entry.fileName))
+      // Collection files from before submission metadata was recorded only have it in the profile
+      .map(ref => (ref.submittedAt || !previous(ref).submittedAt ? ref : { ...ref, submittedAt: previous(ref).submittedAt }))
+      .sort((a, b) => rank(a) - rank(b) ||
+        String(a.submittedAt || '').localeCompare(String(b.submittedAt || '')) ||
+        a.fileName.localeCompare(b.fileName));
+
+    // Profiles written before averageRating was introduced used avgRating
+    if ('avgRating' in profile.stats) {
+      profile.stats.averageRating = profile.stats.averageRating || profile.stats.avgRating;
+      delete profile.stats.avgRating;
     }
 
-    // Add new collection to profile
-    const collectionRef = {
-      id: collectionInfo.collectionId,
-      name: issueData.metadata.name,
-      description: issueData.metadata.description,
-      category: issueData.metadata.category,
-      commandCount: collectionInfo.totalCommands,
-      submittedAt: issueData.metadata.submittedAt,
-      processedAt: new Date().toISOString(),
-      fileName: collectionInfo.collectionFileName,
-      tags: issueData.metadata.tags || []
+    Object.assign(profile.stats, {
+      totalCollections: profile.collections.length,
+      totalCommands: profile.collections.reduce((sum, c) => sum + c.commandCount, 0),
+      ...this.summarizeUsage(profile.collections.map(collection => collection.stats || {}))
+    });
+
+    this.awardBadges(profile, userDir, awardedAt);
+  }
+
+  /**
+   * Profile reference to a collection
+   * @param {Object} collectionData - Collection file contents
+   * @param {string} fileName - Collection file name
+   * @returns {Object} Collection reference
+   */
+  collectionRef(collectionData, fileName) {
+    const ref = {
+      id: collectionData.id,
+      name: collectionData.name,
+      description: collectionData.description,
+      category: collectionData.category,
+      commandCount: (collectionData.commands || []).length,
+      submittedAt: collectionData.submittedAt,
+      processedAt: collectionData.processedAt,
+      fileName,
+      tags: collectionData.tags || [],
+      apiAccess: collectionData.apiProfile ? collectionData.apiProfile.access : undefined,
+      version: collectionData.version,
+      stats: collectionData.stats,
+      status: collectionData.status,
+      deprecation: collectionData.deprecation
     };
+    Object.keys(ref).filter(field => ref[field] === undefined).forEach(field => delete ref[field]);
+    return ref;
+  }
 
-    // Check if collection already exists (avoid duplicates)
-    const existingIndex = profile.collections.findIndex(c => c.id === collectionInfo.collectionId);
-    if (existingIndex >= 0) {
-      profile.collections[existingIndex] = collectionRef;
-    } else {
-      profile.collections.push(collectionRef);
-    }
+  /**
+   * Author totals of the usage stats of their collections
+   * @param {Object[]} stats - Collection stats { downloads, rating, votes }
+   * @returns {Object} { totalDownloads, totalVotes, averageRating } with the rating weighted by votes
+   */
+  summarizeUsage(stats) {
+    const totalVotes = stats.reduce((sum, entry) => sum + (entry.votes || 0), 0);
+    const weightedRating = stats.reduce((sum, entry) => sum + (entry.rating || 0) * (entry.votes || 0), 0);
+    return {
+      totalDownloads: stats.reduce((sum, entry) => sum + (entry.downloads || 0), 0),
+      totalVotes,
+      averageRating: totalVotes > 0 ? Math.round((weightedRating / totalVotes) * 10) / 10 : 0
+    };
+  }
+
+  /**
+   * Award and revoke badges with the rules in config/badges.json
+   * @param {Object} profile - User profile (badges are updated in place)
+   * @param {string} userDir - User directory
+   * @param {string} awardedAt - Timestamp for newly awarded badges (defaults to now)
+   * @returns {Object} { awarded, revoked } badge IDs
+   */
+  awardBadges(profile, userDir, awardedAt = new Date().toISOString()) {
+    const collections = profile.collections
+      .map(collection => path.join(userDir, 'collections', collection.fileName))
+      .filter(filePath => fs.existsSync(filePath))
+      .map(filePath => JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    const logPath = path.join(path.dirname(userDir), AUDIT_LOG_FILE);
+    const auditEntries = fs.existsSync(logPath) ? JSON.parse(fs.readFileSync(logPath, 'utf8')).entries : [];
+
+    const facts = this.badgeEngine.collectFacts(profile, collections, auditEntries);
+    return this.badgeEngine.apply(profile, facts, awardedAt);
+  }
+
+  /**
+   * Apply the badge rules to every profile again, e.g. after config/badges.json changed
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @returns {Object} { profiles, changes: [{ username, awarded, revoked }] }
+   */
+  recomputeBadges(collectionsBaseDir) {
+    return this.transact(collectionsBaseDir, () => {
+      const profilePaths = fs.readdirSync(collectionsBaseDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && dirent.name !== '.git' && dirent.name !== CatalogBuilder.CATALOG_DIR)
+        .map(dirent => path.join(collectionsBaseDir, dirent.name, 'profile.json'))
+        .filter(profilePath => fs.existsSync(profilePath));
 
-    // Update stats
-    profile.stats.totalCollections = profile.collections.length;
-    profile.stats.totalCommands = profile.collections.reduce((sum, c) => sum + c.commandCount, 0);
+      const changes = [];
+      profilePaths.forEach(profilePath => {
+        const original = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+        const profile = JSON.parse(JSON.stringify(original));
+        const result = this.awardBadges(profile, path.dirname(profilePath));
 
-    // Award badges
-    this.awardBadges(profile);
+        if (JSON.stringify(profile) !== JSON.stringify(original)) {
+          this.writeJsonFile(profilePath, profile, 'profile');
+          changes.push({ username: profile.username, ...result });
+        }
+      });
 
-    // Save updated profile
-    fs.writeFileSync(profilePath, JSON.stringify(profile, null, 2), 'utf8');
+      // The index lists how many badges each author holds
+      if (changes.length > 0) {
+        this.updateCollectionsIndex(collectionsBaseDir);
+      }
+
+      return { profiles: profilePaths.length, changes };
+    });
+  }
+
+  /**
+   * Approval recorded on a collection
+   * @param {Object} report - approval-report.json, or the report the workflow writes for a maintainer override
+   * @returns {Object} { method: policy | maintainer, recommendation, overallScore, approvedBy, approvedAt }
+   */
+  approvalRecord(report) {
+    const override = report.maintainerOverride;
+    if (override && override.approved) {
+      return {
+        method: 'maintainer',
+        overallScore: report.overallScore,
+        approvedBy: override.approvedBy,
+        approvedAt: override.approvedAt
+      };
+    }
+    return {
+      method: 'policy',
+      recommendation: report.recommendation,
+      overallScore: report.overallScore,
+      approvedAt: new Date().toISOString()
+    };
   }
 
   /**
-   * Award badges based on user activity
-   * @param {Object} profile - User profile
+   * Regenerate everything derived from the collection files: command files, Level Up imports, file
+   * name maps, profiles, the index, the catalog and the search index. Files that already have the
+   * right content are not written, so a second run changes nothing.
+   * Stray entries, folders nested by running the organizer with a user folder as base directory,
+   * orphaned folders and stale files are reported, and fixed when options.repair is set.
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object} options - { repair }
+   * @returns {Object} { users, collections, written: string[], removed: string[], issues: [{ type, path, message, repaired }] }
    */
-  awardBadges(profile) {
-    const badges = [];
+  rebuild(collectionsBaseDir, options = {}) {
+    return this.transact(collectionsBaseDir, () => {
+      const report = { users: 0, collections: 0, written: [], removed: [], issues: [] };
+      const repair = Boolean(options.repair);
+
+      fs.readdirSync(collectionsBaseDir, { withFileTypes: true })
+        .filter(dirent => !dirent.name.startsWith('.') && dirent.name !== CatalogBuilder.CATALOG_DIR)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(dirent => {
+          const entryPath = path.join(collectionsBaseDir, dirent.name);
+          if (dirent.isDirectory() && this.fileNaming.isValidUsername(dirent.name)) {
+            this.rebuildUser(entryPath, dirent.name, repair, report);
+          } else if (!BASE_FILES.includes(dirent.name)) {
+            report.issues.push({ type: 'stray', path: entryPath, message: 'Not a user folder or an index file; remove it by hand', repaired: false });
+          }
+        });
 
-    // First Collection badge
-    if (profile.stats.totalCollections >= 1 && !profile.badges.some(b => b.id === 'first-collection')) {
-      badges.push({
-        id: 'first-collection',
-        name: 'First Collection',
-        description: 'Submitted your first command collection',
-        icon: '🎉',
-        awardedAt: new Date().toISOString()
+      const derivedFiles = [
+        path.join(collectionsBaseDir, 'index.json'),
+        path.join(collectionsBaseDir, 'search-index.json'),
+        path.join(collectionsBaseDir, CatalogBuilder.CATALOG_DIR, 'manifest.json')
+      ];
+      const read = filePath => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+      const before = derivedFiles.map(read);
+      this.updateCollectionsIndex(collectionsBaseDir);
+      derivedFiles.forEach((filePath, index) => {
+        if (read(filePath) !== before[index]) report.written.push(filePath);
       });
+
+      return report;
+    });
+  }
+
+  /**
+   * Rebuild one user folder
+   * @param {string} userDir - User directory
+   * @param {string} username - Folder name
+   * @param {boolean} repair - Fix the problems found
+   * @param {Object} report - Rebuild report (updated in place)
+   */
+  rebuildUser(userDir, username, repair, report) {
+    const issue = (type, entryPath, message, repaired = repair) => report.issues.push({ type, path: entryPath, message, repaired });
+
+    const nestedDir = path.join(userDir, username);
+    const nested = fs.existsSync(nestedDir) && fs.statSync(nestedDir).isDirectory();
+    if (nested) {
+      issue('nested', nestedDir, 'Published with the user folder as base directory');
+      if (repair) this.adoptNested(nestedDir, userDir, report);
     }
 
-    // Prolific Contributor badge
-    if (profile.stats.totalCollections >= 5 && !profile.badges.some(b => b.id === 'prolific-contributor')) {
-      badges.push({
-        id: 'prolific-contributor',
-        name: 'Prolific Contributor',
-        description: 'Submitted 5 or more collections',
-        icon: '🏆',
-        awardedAt: new Date().toISOString()
+    // Index files written into the user folder by the same mistake, and anything else unexpected
+    let unexpected = 0;
+    fs.readdirSync(userDir)
+      .filter(name => !USER_ENTRIES.includes(name) && !name.startsWith('.') && !(nested && name === username))
+      .sort()
+      .forEach(name => {
+        const entryPath = path.join(userDir, name);
+        if (BASE_FILES.includes(name) || name === CatalogBuilder.CATALOG_DIR) {
+          issue('stray', entryPath, 'Index file inside a user folder');
+          if (repair) {
+            this.removePath(entryPath);
+            report.removed.push(entryPath);
+          }
+        } else {
+          issue('stray', entryPath, 'Unexpected entry in a user folder; remove it by hand', false);
+          unexpected++;
+        }
       });
+
+    const { entries, invalid } = this.readPublishedCollections(userDir);
+    const profilePath = path.join(userDir, 'profile.json');
+    invalid.forEach(entry => issue('invalid', entry.filePath, entry.message, false));
+
+    if (entries.length === 0 && invalid.length === 0 && !fs.existsSync(profilePath)) {
+      // Without --repair the files may all still be in the nested folder
+      if (fs.existsSync(nestedDir)) return;
+
+      // A folder holding files the rebuild does not know is left for a maintainer to look at
+      issue('orphan', userDir, 'User folder without a profile or collections', repair && unexpected === 0);
+      if (repair && unexpected === 0) {
+        this.removePath(userDir);
+        report.removed.push(userDir);
+      }
+      return;
+    }
+
+    // Collections from before IDs were assigned are listed in the profile but have no derived files
+    entries.filter(entry => !entry.data.id).forEach(entry => {
+      issue('missing-id', entry.filePath, 'Collection has no id; its command files and import are not generated');
+      if (repair) {
+        entry.data = this.assignIds(entry.data, username);
+        this.writeJsonFile(entry.filePath, entry.data, 'collection');
+        report.written.push(entry.filePath);
+      }
+    });
+    const identified = entries.filter(entry => entry.data.id);
+
+    let fileNameMap = this.fileNaming.loadMap(userDir);
+    identified.forEach(entry => {
+      fileNameMap = this.loadFileNames(userDir, entry, entry.data.id, fileNameMap);
+    });
+    Object.keys(fileNameMap.collections)
+      .filter(id => !identified.some(entry => entry.data.id === id))
+      .forEach(id => delete fileNameMap.collections[id]);
+
+    const expected = {
+      collections: new Set(entries.flatMap(entry => [entry.fileName, this.fileNaming.importFileName(entry.fileName)])),
+      commands: new Set(),
+      history: new Set(identified.map(entry => entry.data.id))
+    };
+    identified.forEach(entry => {
+      const derived = this.writeDerivedFiles(userDir, entry, fileNameMap);
+      derived.commandFiles.forEach(commandFile => expected.commands.add(commandFile.fileName));
+      report.written.push(...derived.written);
+    });
+
+    const mapPath = this.fileNaming.mapPath(userDir);
+    if ((identified.length > 0 || fs.existsSync(mapPath)) && this.writeJsonFile(mapPath, fileNameMap, 'file-names')) {
+      report.written.push(mapPath);
+    }
+
+    // Files no collection produces. Nothing is removed while a collection file cannot be read,
+    // because its command files would look stale.
+    const safeToRemove = invalid.length === 0 && identified.length === entries.length;
+    const list = dir => (fs.existsSync(path.join(userDir, dir)) ? fs.readdirSync(path.join(userDir, dir)).sort() : []);
+    const stale = [
+      ...list('collections').filter(name => !expected.collections.has(name)).map(name => path.join(userDir, 'collections', name)),
+      ...list('commands').filter(name => !expected.commands.has(name)).map(name => path.join(userDir, 'commands', name)),
+      ...list('history').filter(name => !expected.history.has(name)).map(name => path.join(userDir, 'history', name))
+    ];
+    stale.forEach(filePath => {
+      issue('stale', filePath, 'Not produced by any published collection', repair && safeToRemove);
+      if (repair && safeToRemove) {
+        this.removePath(filePath);
+        report.removed.push(filePath);
+      }
+    });
+
+    const profile = fs.existsSync(profilePath)
+      ? JSON.parse(fs.readFileSync(profilePath, 'utf8'))
+      : this.newProfile(username, entries[0].data.author,
+        entries.map(entry => entry.data.submittedAt).filter(Boolean).sort()[0]);
+
+    // Badges awarded by a rebuild date from the author's last change, not from the run
+    const lastChange = entries.map(entry => this.lastChange(entry.data)).filter(Boolean).sort().pop();
+    this.refreshProfile(profile, userDir, lastChange || profile.joinedAt || new Date(0).toISOString());
+    if (this.writeJsonFile(profilePath, profile, 'profile')) {
+      report.written.push(profilePath);
     }
 
-    // Command Master badge
-    if (profile.stats.totalCommands >= 20 && !profile.badges.some(b => b.id === 'command-master')) {
-      badges.push({
-        id: 'command-master',
-        name: 'Command Master',
-        description: 'Contributed 20 or more commands',
-        icon: '⭐',
-        awardedAt: new Date().toISOString()
+    report.users++;
+    report.collections += entries.length;
+  }
+
+  /**
+   * Move the files of a nested user folder (collections/<user>/<user>/) up into the user folder and
+   * remove it. A collection in both places keeps the newer version; the older one goes to history.
+   * @param {string} nestedDir - Nested user folder
+   * @param {string} userDir - User directory
+   * @param {Object} report - Rebuild report (updated in place)
+   */
+  adoptNested(nestedDir, userDir, report) {
+    ['profile.json', FileNaming.MAP_FILE].forEach(name => {
+      if (fs.existsSync(path.join(nestedDir, name)) && !fs.existsSync(path.join(userDir, name))) {
+        this.movePath(path.join(nestedDir, name), path.join(userDir, name));
+      }
+    });
+
+    const current = this.readPublishedCollections(userDir).entries;
+    const historyDir = path.join(userDir, 'history');
+    this.readPublishedCollections(nestedDir).entries.forEach(entry => {
+      const published = current.find(candidate => candidate.data.id && candidate.data.id === entry.data.id);
+      const target = published ? published.filePath : path.join(userDir, 'collections', entry.fileName);
+
+      if (!published && fs.existsSync(target)) {
+        report.issues.push({ type: 'conflict', path: entry.filePath, message: `${target} belongs to another collection`, repaired: false });
+        return;
+      }
+      if (published && (this.lastChange(entry.data) || '') <= (this.lastChange(published.data) || '')) {
+        return;
+      }
+
+      if (published) this.archiveVersion(published, historyDir);
+      this.ensureDirectoryExists(path.dirname(target));
+      this.writeFileIfChanged(target, fs.readFileSync(entry.filePath, 'utf8'));
+      report.written.push(target);
+    });
+
+    // Earlier versions that are not in the user folder's history yet
+    const nestedHistory = path.join(nestedDir, 'history');
+    if (fs.existsSync(nestedHistory)) {
+      fs.readdirSync(nestedHistory).forEach(id => {
+        fs.readdirSync(path.join(nestedHistory, id))
+          .filter(name => !fs.existsSync(path.join(historyDir, id, name)))
+          .forEach(name => {
+            this.movePath(path.join(nestedHistory, id, name), path.join(historyDir, id, name));
+          });
       });
     }
 
-    // Add new badges to profile
-    profile.badges = [...profile.badges, ...badges];
+    this.removePath(nestedDir);
+    report.removed.push(nestedDir);
   }
 
   /**
-   * Update the main collections index
+   * Update the main collections index, the sharded catalog of every collection and the command search index
    * @param {string} collectionsBaseDir - Base collections directory
    */
   updateCollectionsIndex(collectionsBaseDir) {
     const indexPath = path.join(collectionsBaseDir, 'index.json');
 
     const index = {
-      generatedAt: new Date().toISOString(),
+      generatedAt: null,
       totalUsers: 0,
       totalCollections: 0,
       totalCommands: 0,
       users: [],
       recentCollections: [],
+      catalog: `${CatalogBuilder.CATALOG_DIR}/manifest.json`,
+      searchIndex: 'search-index.json',
       categories: {},
       tags: {}
     };
 
     // Scan all user directories
     const userDirs = fs.readdirSync(collectionsBaseDir, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory() && dirent.name !== '.git')
+      .filter(dirent => dirent.isDirectory() && dirent.name !== '.git' && dirent.name !== CatalogBuilder.CATALOG_DIR)
       .map(dirent => dirent.name);
 
     userDirs.forEach(username => {
@@ -404,17 +1350,25 @@ class CollectionOrganizer {
         try {
           const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
 
+          // Authors whose collections were all withdrawn or taken down are no longer listed
+          if (profile.collections.length === 0) return;
+
+          // Counted from the collection references as refreshProfile does, so the totals do not
+          // depend on whether this profile was refreshed by the current run
+          const totalCollections = profile.collections.length;
+          const totalCommands = profile.collections.reduce((sum, collection) => sum + (collection.commandCount || 0), 0);
+
           index.users.push({
             username: profile.username,
             displayName: profile.displayName,
-            totalCollections: profile.stats.totalCollections,
-            totalCommands: profile.stats.totalCommands,
+            totalCollections,
+            totalCommands,
             badges: profile.badges.length,
             joinedAt: profile.joinedAt
           });
 
-          index.totalCollections += profile.stats.totalCollections;
-          index.totalCommands += profile.stats.totalCommands;
+          index.totalCollections += totalCollections;
+          index.totalCommands += totalCommands;
 
           // Add recent collections
           profile.collections.forEach(collection => {
@@ -438,28 +1392,177 @@ class CollectionOrganizer {
 
     index.totalUsers = index.users.length;
 
-    // Sort recent collections by submission date
-    index.recentCollections.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-    index.recentCollections = index.recentCollections.slice(0, 20); // Keep only 20 most recent
+    // The time of the last published change rather than of this run, so an unchanged tree gives an unchanged index
+    const logPath = path.join(collectionsBaseDir, AUDIT_LOG_FILE);
+    const auditEntries = fs.existsSync(logPath) ? JSON.parse(fs.readFileSync(logPath, 'utf8')).entries : [];
+    const generatedAt = [
+      ...index.recentCollections.map(collection => this.lastChange(collection)),
+      ...auditEntries.map(entry => entry.at)
+    ].filter(Boolean).sort().pop() || new Date(0).toISOString();
+    index.generatedAt = generatedAt;
+
+    // The catalog and search index cover every collection; the index keeps only the 20 most recent
+    const similarCommands = this.duplicateDetector.buildGroups(
+      this.duplicateDetector.loadCorpus(collectionsBaseDir, index.recentCollections));
+    this.writeCatalog(path.join(collectionsBaseDir, CatalogBuilder.CATALOG_DIR), index.recentCollections, generatedAt, similarCommands);
+    this.writeJsonFile(
+      path.join(collectionsBaseDir, 'search-index.json'),
+      this.searchIndexBuilder.build(collectionsBaseDir, index.recentCollections, generatedAt),
+      'search-index'
+    );
+    index.recentCollections = this.catalogBuilder.sortCollections(index.recentCollections).slice(0, 20);
 
     // Save index
-    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2), 'utf8');
+    this.writeJsonFile(indexPath, index, 'index');
+  }
+
+  /**
+   * Time of the last change to a collection
+   * @param {Object} collection - Collection file contents or profile reference
+   * @returns {string|null} ISO timestamp
+   */
+  lastChange(collection) {
+    return [
+      collection.updatedAt,
+      collection.processedAt,
+      collection.submittedAt,
+      collection.deprecation && collection.deprecation.deprecatedAt
+    ]
+      .filter(value => value && !Number.isNaN(Date.parse(value)))
+      .map(value => new Date(value).toISOString())
+      .sort()
+      .pop() || null;
+  }
+
+  /**
+   * Write the catalog shards and manifest, then remove shards the manifest no longer references
+   * @param {string} catalogDir - Catalog directory
+   * @param {Object[]} collections - Every indexed collection
+   * @param {string} generatedAt - Index generation timestamp
+   * @param {Object} similarCommands - Groups of similar commands published with the catalog
+   */
+  writeCatalog(catalogDir, collections, generatedAt, similarCommands) {
+    const { manifest, shards } = this.catalogBuilder.build(collections, generatedAt, similarCommands);
+    this.ensureDirectoryExists(catalogDir);
+
+    shards.forEach(shard => {
+      const shardPath = path.join(catalogDir, shard.fileName);
+      // Shard content is hashed exactly as written, so write the serialized form unchanged
+      this.schemaValidator.assertValid(shard.schema, JSON.parse(shard.content), shardPath);
+      this.writeFileIfChanged(shardPath, shard.content);
+    });
+
+    this.writeJsonFile(path.join(catalogDir, 'manifest.json'), manifest, 'catalog-manifest');
+    this.catalogBuilder.findStaleShards(catalogDir, manifest).forEach(filePath => this.removePath(filePath));
   }
 }
 
 // CLI usage
 if (require.main === module) {
-  const issueDataPath = process.argv[2];
-  const collectionsBaseDir = process.argv[3] || './collections';
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const lifecycleActions = {
+    withdraw: 'withdrawCollection',
+    deprecate: 'deprecateCollection',
+    takedown: 'takedownCollection'
+  };
+
+  if (lifecycleActions[args[0]]) {
+    const details = {
+      reason: option('--reason'),
+      actor: option('--actor'),
+      reference: option('--reference'),
+      replacement: option('--replacement')
+    };
+    const [action, username, collectionId, baseDir] = args;
+
+    if (!username || !collectionId) {
+      console.error('Usage: node organize-collection.js withdraw|deprecate|takedown <username> <collection-id> [collections-dir] [--reason] [--actor] [--reference] [--replacement]');
+      process.exit(1);
+    }
+
+    try {
+      const organizer = new CollectionOrganizer();
+      const result = organizer[lifecycleActions[action]](baseDir || './collections', username, collectionId, details);
+
+      console.log(JSON.stringify(result, null, 2));
+
+      console.error(`\n🗂️  ${result.auditEntry.collectionName} (${collectionId}) by ${username}: ${action} recorded in the audit log`);
+      if (result.removedFiles) console.error(`Removed: ${result.removedFiles.length} files`);
+      if (result.quarantineDir) console.error(`Quarantined in: ${result.quarantineDir}`);
+      if (result.deprecation && result.deprecation.replacement) {
+        const replacement = result.deprecation.replacement;
+        console.error(`Replaced by: ${replacement.url || `${replacement.username}/${replacement.name}`}`);
+      }
+    } catch (error) {
+      console.error(`❌ Collection ${action} failed:`, error.message);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (args[0] === 'badges') {
+    try {
+      const result = new CollectionOrganizer().recomputeBadges(args[1] || './collections');
+
+      console.log(JSON.stringify(result, null, 2));
+
+      console.error(`\n🏅 Badges recomputed for ${result.profiles} profile(s), ${result.changes.length} changed`);
+      result.changes.forEach(change => {
+        const badges = [...change.awarded.map(id => `+${id}`), ...change.revoked.map(id => `-${id}`)];
+        console.error(`   @${change.username}: ${badges.join(', ') || 'badge details updated'}`);
+      });
+    } catch (error) {
+      console.error('❌ Badge recomputation failed:', error.message);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (args[0] === 'rebuild') {
+    const repair = args.includes('--repair');
+    const collectionsBaseDir = args.slice(1).find(arg => !arg.startsWith('--')) || './collections';
+
+    try {
+      const result = new CollectionOrganizer().rebuild(collectionsBaseDir, { repair });
+
+      console.log(JSON.stringify(result, null, 2));
+
+      const unresolved = result.issues.filter(issue => !issue.repaired);
+      console.error(`\n🔁 Rebuilt ${result.collections} collection(s) of ${result.users} user(s)`);
+      console.error(`Written: ${result.written.length} file(s), removed: ${result.removed.length}`);
+      result.issues.forEach(issue => {
+        console.error(`   ${issue.repaired ? '🔧' : '⚠️ '} ${issue.type}: ${issue.path} (${issue.message})`);
+      });
+      if (unresolved.length > 0 && !repair) {
+        console.error('Run with --repair to fix nested, orphaned, stray index and stale files and missing ids');
+      }
+    } catch (error) {
+      console.error('❌ Rebuild failed:', error.message);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  const approvalReportPath = option('--approval');
+  const issueDataPath = args[0];
+  const collectionsBaseDir = args[1] || './collections';
 
   if (!issueDataPath) {
-    console.error('Usage: node organize-collection.js <issue-data.json> [collections-dir]');
+    console.error('Usage: node organize-collection.js <issue-data.json> [collections-dir] [--approval approval-report.json]');
+    console.error('       node organize-collection.js withdraw|deprecate|takedown <username> <collection-id> [collections-dir] [--reason] [--actor] [--reference] [--replacement]');
+    console.error('       node organize-collection.js badges [collections-dir]');
+    console.error('       node organize-collection.js rebuild [collections-dir] [--repair]');
     process.exit(1);
   }
 
   try {
     const organizer = new CollectionOrganizer();
-    const result = organizer.organizeCollection(issueDataPath, collectionsBaseDir);
+    const approvalReport = approvalReportPath ? JSON.parse(fs.readFileSync(approvalReportPath, 'utf8')) : null;
+    const result = organizer.organizeCollection(issueDataPath, collectionsBaseDir, approvalReport);
 
     // Output JSON for workflow consumption
     console.log(JSON.stringify(result, null, 2));
@@ -470,6 +1573,9 @@ if (require.main === module) {
     console.error(`Collection: ${result.collectionPath}`);
     console.error(`Commands: ${result.totalCommands} files created`);
     console.error(`Collection ID: ${result.collectionId}`);
+    console.error(result.updated
+      ? `Version: ${result.previousVersion} → ${result.version} (previous version archived)`
+      : `Version: ${result.version}`);
 
   } catch (error) {
     console.error('❌ Collection organization failed:', error.message);
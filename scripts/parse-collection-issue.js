@@ -4,9 +4,22 @@
  */
 
 const fs = require('fs');
+const SecurityAnalyzer = require('./security-analyzer');
+const IssueFormParser = require('./issue-form-parser');
+const FileNaming = require('./file-naming');
 
 class CollectionIssueParser {
-  constructor() {
+  /**
+   * @param {Object} options - Parser options
+   * @param {Object} options.template - Parsed issue template
+   * @param {string} options.templatePath - Path to the issue template YAML
+   */
+  constructor(options = {}) {
+    this.securityAnalyzer = new SecurityAnalyzer();
+    this.formParser = new IssueFormParser(options);
+    this.fileNaming = new FileNaming();
+    this.lastForm = null;
+
     this.supportedCategories = [
       'Form Actions',
       'Navigation',
@@ -46,38 +59,55 @@ class CollectionIssueParser {
     return collection;
   }
 
+  /**
+   * Parse the issue body against the issue template.
+   * The result for the most recent body is cached since every extractor needs it.
+   * @param {string} body - Issue body markdown
+   * @returns {Object} { values, fields, diagnostics }
+   */
+  parseForm(body) {
+    if (!this.lastForm || this.lastForm.body !== body) {
+      this.lastForm = { body, result: this.formParser.parse(body) };
+    }
+    return this.lastForm.result;
+  }
+
+  /**
+   * Get the typed value of a template field
+   * @param {string} body - Issue body markdown
+   * @param {string} fieldId - Template field id
+   * @returns {*} Field value
+   */
+  getFieldValue(body, fieldId) {
+    return this.parseForm(body).values[fieldId];
+  }
+
   extractMetadata(issueData, body) {
-    const dynamicsVersion = this.extractField(body, 'Dynamics 365 Version');
-    const author = this.extractField(body, 'Author Attribution (Optional)');
+    const dynamicsVersion = this.getFieldValue(body, 'dynamics-version');
+    const author = this.getFieldValue(body, 'author-attribution');
     
     return {
-      name: this.extractField(body, 'Collection Name') || this.extractTitleCollection(issueData.title),
-      description: this.extractField(body, 'Collection Description'),
-      category: this.normalizeCategory(this.extractField(body, 'Primary Category')),
+      name: this.getFieldValue(body, 'collection-name') || this.extractTitleCollection(issueData.title),
+      collectionId: (this.getFieldValue(body, 'collection-id') || '').toLowerCase() || null,
+      description: this.getFieldValue(body, 'description'),
+      category: this.normalizeCategory(this.getFieldValue(body, 'category')),
       tags: this.extractTags(body),
-      commandCount: parseInt(this.extractField(body, 'Number of Commands')) || 0,
-      dynamicsVersion: (dynamicsVersion && dynamicsVersion !== '_No response_') ? dynamicsVersion : 'All versions',
-      author: (author && author !== '_No response_') ? author : issueData.user?.login,
+      commandCount: parseInt(this.getFieldValue(body, 'command-count')) || 0,
+      dynamicsVersion: dynamicsVersion || 'All versions',
+      author: author || issueData.user?.login,
       submittedBy: issueData.user?.login,
       submittedAt: issueData.created_at
     };
   }
 
   extractCommands(body) {
-    // Try multiple field names for commands JSON
-    const fieldNames = ['Commands JSON Export', 'commands-json', 'Commands JSON', 'JSON Export'];
-    let commandsJsonField = '';
-    
-    for (const fieldName of fieldNames) {
-      commandsJsonField = this.extractField(body, fieldName);
-      if (commandsJsonField) break;
-    }
+    const commandsJsonField = this.getFieldValue(body, 'commands-json');
 
     if (!commandsJsonField) {
       return [];
     }
 
-    // Extract JSON from code blocks if present
+    // The form parser unwraps the rendered fence; this handles fences pasted by the author
     const jsonContent = this.extractJsonFromCodeBlock(commandsJsonField);
 
     try {
@@ -117,7 +147,7 @@ class CollectionIssueParser {
 
   extractDocumentation(body) {
     return {
-      description: this.extractField(body, 'Collection Description'),
+      description: this.getFieldValue(body, 'description'),
       usageInstructions: this.extractUsageInstructions(body),
       prerequisites: this.extractPrerequisites(body),
       limitations: this.extractLimitations(body)
@@ -125,11 +155,10 @@ class CollectionIssueParser {
   }
 
   extractContactInfo(body) {
-    const contactInfo = this.extractField(body, 'GitHub Username (Required)') || 
-                       this.extractField(body, 'contact-info');
+    const contactInfo = this.getFieldValue(body, 'contact-info');
 
     // Clean up the contact info to extract just the username
-    if (contactInfo && contactInfo !== '_No response_') {
+    if (contactInfo) {
       // Remove any @ symbols and whitespace
       return contactInfo.replace(/[@\s]/g, '').toLowerCase();
     }
@@ -137,50 +166,6 @@ class CollectionIssueParser {
     return '';
   }
 
-  extractField(body, fieldId) {
-    // Parse GitHub Issue form fields using simple string operations
-    const lines = body.split('\n');
-    const fieldVariants = [
-      `### ${fieldId}`,
-      `### ${fieldId.replace('-', ' ')}`,
-      `**${fieldId}:**`,
-      `**${fieldId.replace('-', ' ')}:**`
-    ];
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check if this line matches any of our field headers
-      const isFieldHeader = fieldVariants.some(variant => 
-        line.toLowerCase().includes(variant.toLowerCase())
-      );
-      
-      if (isFieldHeader) {
-        // Collect content until we hit another field or end of text
-        const content = [];
-        let j = i + 1;
-        
-        while (j < lines.length) {
-          const nextLine = lines[j].trim();
-          
-          // Stop if we hit another field header
-          if (nextLine.startsWith('###') || 
-              nextLine.startsWith('**') || 
-              nextLine.startsWith('##')) {
-            break;
-          }
-          
-          content.push(lines[j]);
-          j++;
-        }
-        
-        return content.join('\n').trim();
-      }
-    }
-
-    return '';
-  }
-
   extractTitleCollection(title) {
     // Extract collection name from title like "[COLLECTION] Collection Name"
     const collectionPrefix = '[COLLECTION]';
@@ -195,8 +180,8 @@ class CollectionIssueParser {
   }
 
   extractTags(body) {
-    const tagsField = this.extractField(body, 'Tags');
-    if (!tagsField || tagsField === '_No response_') return [];
+    const tagsField = this.getFieldValue(body, 'tags');
+    if (!tagsField) return [];
 
     return tagsField
       .split(',')
@@ -275,6 +260,7 @@ class CollectionIssueParser {
   validateCollection(issueData, body) {
     const errors = [];
     const warnings = [];
+    const securityFindings = [];
 
     const metadata = this.extractMetadata(issueData, body);
     const commands = this.extractCommands(body);
@@ -291,6 +277,12 @@ class CollectionIssueParser {
 
     if (!contactInfo) {
       errors.push('Contact information (GitHub username) is required');
+    } else if (!this.fileNaming.isValidUsername(contactInfo)) {
+      errors.push(`Contact information "${contactInfo}" is not a valid GitHub username`);
+    }
+
+    if (metadata.collectionId && !/^[0-9a-f]{8}$/.test(metadata.collectionId)) {
+      errors.push(`Existing collection ID "${metadata.collectionId}" must be the 8-character ID of a published collection`);
     }
 
     if (!commands || commands.length === 0) {
@@ -308,22 +300,15 @@ class CollectionIssueParser {
           errors.push(`Command ${index + 1} is missing JavaScript code`);
         }
 
-        // Basic security checks using simple string operations
+        // Static security analysis of the command code
         if (command.code) {
-          // Check for dangerous eval function
-          if (command.code.toLowerCase().includes('eval(')) {
-            errors.push(`Command ${index + 1} contains dangerous eval() function`);
-          }
+          const analysis = this.securityAnalyzer.analyzeCode(command.code);
 
-          // Check for hardcoded URLs
-          const codeLines = command.code.toLowerCase().split('\n');
-          const hasUrls = codeLines.some(line => 
-            line.includes('http://') || line.includes('https://')
-          );
-          
-          if (hasUrls) {
-            warnings.push(`Command ${index + 1} contains hardcoded URLs`);
-          }
+          analysis.findings.forEach(finding => {
+            securityFindings.push({ command: index + 1, commandName: command.name, ...finding });
+          });
+
+          this.reportSecurityFindings(index, analysis.findings, errors, warnings);
         }
       });
 
@@ -333,22 +318,62 @@ class CollectionIssueParser {
       }
     }
 
-    // Check safety checklist completion using simple string search
-    const checklistSection = this.extractField(body, 'Safety & Quality Checklist');
-    const hasCompletedChecklist = checklistSection.includes('- [x]') || checklistSection.includes('- [X]');
-    
-    if (!hasCompletedChecklist) {
-      warnings.push('Safety checklist not completed');
+    // Every required checklist item must actually be ticked
+    const checklist = this.getFieldValue(body, 'safety-checklist');
+    const requiredItems = checklist.filter(item => item.required);
+    const confirmedItems = requiredItems.filter(item => item.checked);
+
+    if (confirmedItems.length < requiredItems.length) {
+      warnings.push(`Safety checklist not completed (${confirmedItems.length} of ${requiredItems.length} items confirmed)`);
     }
 
+    // Form structure problems the author can fix by editing the issue
+    const diagnostics = this.parseForm(body).diagnostics;
+    diagnostics
+      .filter(diagnostic => diagnostic.code === 'invalid-option')
+      .forEach(diagnostic => warnings.push(diagnostic.message));
+
     return {
       valid: errors.length === 0,
       errors,
       warnings,
-      score: this.calculateValidationScore(errors.length, warnings.length, commands.length)
+      diagnostics,
+      score: this.calculateValidationScore(errors.length, warnings.length, commands.length),
+      security: {
+        findings: securityFindings,
+        summary: this.securityAnalyzer.summarize(securityFindings)
+      }
     };
   }
 
+  /**
+   * Add security findings for one command to the validation errors and warnings.
+   * Findings are grouped per rule so repeated matches cost the score only once.
+   * @param {number} index - Command index
+   * @param {Object[]} findings - Analyzer findings for the command
+   * @param {string[]} errors - Validation errors
+   * @param {string[]} warnings - Validation warnings
+   */
+  reportSecurityFindings(index, findings, errors, warnings) {
+    const byRule = new Map();
+    findings.forEach(finding => {
+      if (!byRule.has(finding.ruleId)) byRule.set(finding.ruleId, []);
+      byRule.get(finding.ruleId).push(finding);
+    });
+
+    byRule.forEach((ruleFindings, ruleId) => {
+      const first = ruleFindings[0];
+      const more = ruleFindings.length > 1 ? `, +${ruleFindings.length - 1} more` : '';
+      const message = `Command ${index + 1}: ${first.message} (line ${first.line}:${first.column}${more}) [${ruleId}]`;
+
+      if (ruleFindings.some(finding => this.securityAnalyzer.isBlocking(finding.severity))) {
+        errors.push(message);
+      } else {
+        warnings.push(message);
+      }
+    });
+  }
+
   calculateValidationScore(errorCount, warningCount, commandCount) {
     let score = 100;
     score -= errorCount * 25;
@@ -439,6 +464,14 @@ if (require.main === module) {
         console.error('\n⚠️  Validation Warnings:');
         collection.validation.warnings.forEach(warning => console.error(`  • ${warning}`));
       }
+
+      if (collection.validation.diagnostics.length > 0) {
+        console.error('\n🔎 Form Diagnostics:');
+        collection.validation.diagnostics.forEach(diagnostic => {
+          const line = diagnostic.line ? ` (line ${diagnostic.line})` : '';
+          console.error(`  • [${diagnostic.code}] ${diagnostic.message}${line}`);
+        });
+      }
     })
     .catch(error => {
       console.error('Error parsing issue:', error.message);
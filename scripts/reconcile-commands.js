@@ -0,0 +1,385 @@
+/**
+ * Command Reconciler
+ * Every published command exists twice: in the collection JSON and as a .js file in the user's
+ * commands/ folder. This compares the two and reports drift, such as a command file edited by
+ * hand, a file missing for a command, or a file no collection lists. With --repair the command
+ * files win: the collection JSON is rebuilt from them as a new version, and the command files
+ * and Level Up import are regenerated from the result.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CollectionOrganizer = require('./organize-collection');
+const CommandFileHeader = require('./command-file-header');
+
+// Header values that mirror a command field, with the collection-level fallback the organizer uses
+const COMPARED_FIELDS = [
+  ['name', (command) => command.name],
+  ['description', (command) => command.description || ''],
+  ['category', (command, collection) => command.category || collection.category],
+  ['author', (command, collection) => command.author || collection.author],
+  ['version', (command) => command.version || '1.0.0'],
+  ['collection', (command, collection) => collection.name]
+];
+
+// Fields an author can change by editing a command file
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'author'];
+
+class CommandReconciler {
+  constructor() {
+    this.organizer = new CollectionOrganizer();
+    this.commandHeader = new CommandFileHeader();
+  }
+
+  /**
+   * Reconcile every user folder in a collections directory
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object} options - { repair }
+   * @returns {Object[]} Result per user
+   */
+  reconcileAll(collectionsBaseDir, options = {}) {
+    const reconcile = () => {
+      const results = fs.readdirSync(collectionsBaseDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('_') && !entry.name.startsWith('.'))
+        .filter(entry => fs.existsSync(path.join(collectionsBaseDir, entry.name, 'collections')))
+        .map(entry => this.reconcileUser(path.join(collectionsBaseDir, entry.name), { ...options, updateIndex: false }));
+
+      if (options.repair && results.some(result => result.repaired.length > 0)) {
+        this.organizer.updateCollectionsIndex(collectionsBaseDir);
+      }
+      return results;
+    };
+
+    // All repairs are one transaction, so a failure leaves no user half repaired
+    return options.repair ? this.organizer.transact(collectionsBaseDir, reconcile) : reconcile();
+  }
+
+  /**
+   * Compare a user's collection files with their command files, and optionally repair the drift
+   * @param {string} userDir - User directory (collections/<username>)
+   * @param {Object} options - Reconcile options
+   * @param {boolean} options.repair - Rebuild drifted collections from the command files
+   * @param {boolean} options.updateIndex - Refresh index.json after a repair (default true)
+   * @returns {Object} { username, drift, skipped, repaired }
+   */
+  reconcileUser(userDir, options = {}) {
+    const collectionsDir = path.join(userDir, 'collections');
+    const commandsDir = path.join(userDir, 'commands');
+    const files = this.readCommandFiles(commandsDir);
+    const fileNameMap = this.organizer.fileNaming.loadMap(userDir);
+    const claimed = new Set();
+    const drift = [];
+    const skipped = [];
+    const plans = [];
+
+    this.readCollections(collectionsDir).forEach(({ filePath, data }) => {
+      // Hand-curated collections were never published by the organizer and have no command files
+      if (!data.id) {
+        skipped.push({ file: filePath, reason: 'Collection has no id, so it has no generated command files; `npm run rebuild -- collections --repair` assigns one' });
+        return;
+      }
+
+      const plan = this.compareCollection(filePath, data, files, claimed, fileNameMap.collections[data.id]);
+      drift.push(...plan.drift);
+      if (plan.drift.length > 0) plans.push(plan);
+    });
+
+    files
+      .filter(file => !claimed.has(file.path))
+      .forEach(file => drift.push({
+        type: 'orphan-file',
+        file: file.path,
+        message: file.header.collectionId
+          ? `${file.fileName} belongs to collection ${file.header.collectionId}, which does not exist`
+          : `${file.fileName} has no Collection ID header and matches no command`
+      }));
+
+    const repaired = options.repair
+      ? this.organizer.transact(path.dirname(userDir), () => {
+        const results = plans.map(plan => this.repairCollection(userDir, plan, fileNameMap));
+        if (results.length > 0 && options.updateIndex !== false) {
+          this.organizer.updateCollectionsIndex(path.dirname(userDir));
+        }
+        return results;
+      })
+      : [];
+
+    return { username: path.basename(userDir), drift, skipped, repaired };
+  }
+
+  /**
+   * Match a collection's commands to command files and list the differences
+   * @param {string} filePath - Collection file path
+   * @param {Object} collection - Collection data
+   * @param {Object[]} files - Parsed command files of the user
+   * @param {Set<string>} claimed - Paths of files already matched to a command
+   * @param {Object} fileNames - The collection's entry in the file name map, if any
+   * @returns {Object} { filePath, collection, matches: [{ command, file }], extraFiles, drift }
+   */
+  compareCollection(filePath, collection, files, claimed, fileNames) {
+    const drift = [];
+    const own = files.filter(file => file.header.collectionId === collection.id);
+    const at = (command, type, message, extra = {}) => ({
+      type,
+      collection: collection.name,
+      collectionId: collection.id,
+      command: command ? command.name : null,
+      message,
+      ...extra
+    });
+
+    const matches = collection.commands.map((command, index) => {
+      const expectedName = this.commandFileName(command, index, fileNames);
+      const file = own.find(candidate => !claimed.has(candidate.path) && candidate.header.id === command.id) ||
+        own.find(candidate => !claimed.has(candidate.path) && candidate.fileName === expectedName) ||
+        files.find(candidate => !claimed.has(candidate.path) && !candidate.hasHeader && candidate.fileName === expectedName);
+
+      if (!file) {
+        drift.push(at(command, 'missing-file', `No command file for "${command.name}" (expected ${expectedName})`));
+        return { command, file: null };
+      }
+      claimed.add(file.path);
+
+      COMPARED_FIELDS.forEach(([field, expected]) => {
+        const value = file.header[field];
+        const jsonValue = expected(command, collection) || '';
+        if (value !== undefined && value !== jsonValue) {
+          drift.push(at(command, 'field', `${file.fileName}: ${field} is ${JSON.stringify(value)}, the collection has ${JSON.stringify(jsonValue)}`, {
+            file: file.path, field, fileValue: value, jsonValue
+          }));
+        }
+      });
+
+      if (this.normalizeCode(file.code) !== this.normalizeCode(command.code)) {
+        drift.push(at(command, 'code', `${file.fileName}: code differs from the collection`, { file: file.path }));
+      }
+      return { command, file };
+    });
+
+    const extraFiles = own.filter(file => !claimed.has(file.path));
+    extraFiles.forEach(file => {
+      claimed.add(file.path);
+      drift.push(at(null, 'extra-file', `${file.fileName} names this collection but the collection does not list "${file.header.name}"`, {
+        file: file.path
+      }));
+    });
+
+    return { filePath, collection, matches, extraFiles, drift };
+  }
+
+  /**
+   * Rebuild a collection from its command files and publish it as a new version
+   * @param {string} userDir - User directory
+   * @param {Object} plan - Result of compareCollection
+   * @param {Object} fileNameMap - The user's file name map (updated and written)
+   * @returns {Object} { collectionId, collectionPath, previousVersion, version, bump, commandFiles }
+   */
+  repairCollection(userDir, plan, fileNameMap) {
+    const { filePath, collection, matches, extraFiles } = plan;
+    const commandsDir = path.join(userDir, 'commands');
+    const timestamp = new Date().toISOString();
+
+    const edited = matches.map(({ command, file }) => {
+      if (!file) return { ...command };
+
+      const fromFile = this.commandHeader.toCommand(fs.readFileSync(file.path, 'utf8'));
+      const next = { ...command, code: fromFile.code };
+      EDITABLE_FIELDS.forEach(field => {
+        if (file.header[field] !== undefined) next[field] = fromFile[field];
+      });
+      return next;
+    });
+    const added = extraFiles.map(file => {
+      const command = this.commandHeader.toCommand(fs.readFileSync(file.path, 'utf8'));
+      return { ...command, icon: 'code', tags: [], version: '1.0.0', createdAt: timestamp };
+    });
+    const commands = [...edited, ...added];
+
+    const versioning = this.organizer.versioning;
+    const update = versioning.planUpdate(collection, { ...collection, commands });
+    const apiProfiles = this.organizer.apiProfiler.profileCommands(commands);
+
+    const data = {
+      ...collection,
+      version: update.version,
+      commandCount: commands.length,
+      apiProfile: apiProfiles.summary,
+      changelog: [
+        versioning.createChangelogEntry(update, { version: update.version, date: timestamp }),
+        ...(collection.changelog || [])
+      ],
+      commands: commands.map((command, index) => {
+        const changed = update.changes.changed.includes(command.name);
+        return {
+          ...command,
+          id: command.id || this.organizer.generateCommandId(command, index),
+          category: command.category || collection.category,
+          author: command.author || collection.author,
+          version: versioning.bumpVersion(command.version, changed ? 'patch' : 'none'),
+          createdAt: command.createdAt || timestamp,
+          apiProfile: apiProfiles.commands[index]
+        };
+      })
+    };
+
+    // Only a changed command set is a new version; header-only drift just regenerates the files
+    if (update.bump !== 'none') {
+      this.organizer.archiveVersion({ filePath, data: collection }, path.join(userDir, 'history'));
+      data.processedAt = timestamp;
+      data.updatedAt = timestamp;
+    } else {
+      data.version = collection.version;
+      data.changelog = collection.changelog;
+    }
+
+    this.organizer.writeJsonFile(filePath, data, 'collection');
+    this.organizer.writeJsonFile(filePath.replace(/\.json$/, '-levelup.json'), this.organizer.generateLevelUpImport(data), 'levelup-import');
+
+    // Regenerate every command file, removing files left behind by renamed commands
+    if (!fileNameMap.collections[collection.id]) {
+      const seeded = this.organizer.loadFileNames(userDir, { filePath, data: collection }, collection.id);
+      fileNameMap.collections[collection.id] = seeded.collections[collection.id];
+    }
+    const fileNames = this.organizer.fileNaming.assign(fileNameMap, data, this.organizer.listPublishedFiles(userDir));
+    const written = data.commands.map((command, index) => {
+      const commandPath = path.join(commandsDir, fileNames.commandFiles[index]);
+      this.organizer.writeFileIfChanged(commandPath, this.organizer.generateCommandFileContent(command, data, command.id));
+      return commandPath;
+    });
+    [...matches.map(match => match.file), ...extraFiles]
+      .filter(file => file && !written.includes(file.path) && fs.existsSync(file.path))
+      .forEach(file => this.organizer.removePath(file.path));
+    this.organizer.writeJsonFile(this.organizer.fileNaming.mapPath(userDir), fileNameMap, 'file-names');
+
+    this.updateProfileEntry(userDir, data);
+
+    return {
+      collectionId: data.id,
+      collectionPath: filePath,
+      previousVersion: collection.version,
+      version: data.version,
+      bump: update.bump,
+      commandFiles: written
+    };
+  }
+
+  /**
+   * Refresh the profile's entry for a repaired collection
+   * @param {string} userDir - User directory
+   * @param {Object} data - Repaired collection data
+   */
+  updateProfileEntry(userDir, data) {
+    const profilePath = path.join(userDir, 'profile.json');
+    if (!fs.existsSync(profilePath)) return;
+
+    const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    const entry = (profile.collections || []).find(collection => collection.id === data.id);
+    if (!entry) return;
+
+    entry.commandCount = data.commandCount;
+    entry.version = data.version;
+    entry.processedAt = data.processedAt;
+    profile.stats.totalCommands = profile.collections.reduce((sum, collection) => sum + (collection.commandCount || 0), 0);
+
+    this.organizer.writeJsonFile(profilePath, profile, 'profile');
+  }
+
+  /**
+   * Read the collection files of a user (not the -levelup.json imports)
+   * @param {string} collectionsDir - User collections directory
+   * @returns {Object[]} { filePath, data }
+   */
+  readCollections(collectionsDir) {
+    if (!fs.existsSync(collectionsDir)) return [];
+
+    return fs.readdirSync(collectionsDir)
+      .filter(name => name.endsWith('.json') && !name.endsWith('-levelup.json'))
+      .sort()
+      .map(name => {
+        const filePath = path.join(collectionsDir, name);
+        return { filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      });
+  }
+
+  /**
+   * Read and parse the command files of a user
+   * @param {string} commandsDir - User commands directory
+   * @returns {Object[]} { fileName, path, header, code, hasHeader }
+   */
+  readCommandFiles(commandsDir) {
+    if (!fs.existsSync(commandsDir)) return [];
+
+    return fs.readdirSync(commandsDir)
+      .filter(name => name.endsWith('.js'))
+      .sort()
+      .map(fileName => {
+        const filePath = path.join(commandsDir, fileName);
+        return { fileName, path: filePath, ...this.commandHeader.parse(fs.readFileSync(filePath, 'utf8')) };
+      });
+  }
+
+  /**
+   * File name of a command: the one in the file name map, or the name used before the map existed
+   * @param {Object} command - Command
+   * @param {number} index - Command index
+   * @param {Object} fileNames - The collection's entry in the file name map, if any
+   * @returns {string} File name
+   */
+  commandFileName(command, index, fileNames) {
+    const mapped = fileNames && fileNames.commands[this.organizer.fileNaming.commandKey(command.name)];
+    return mapped || `${this.organizer.sanitizeFileName(command.name || `command-${index + 1}`)}.js`;
+  }
+
+  /**
+   * Code as compared between the two representations
+   * @param {string} code - Command code
+   * @returns {string} Code with normalized line endings and no trailing whitespace
+   */
+  normalizeCode(code) {
+    return String(code || '').replace(/\r\n?/g, '\n').trimEnd();
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const repairIndex = args.indexOf('--repair');
+  const repair = repairIndex >= 0 && Boolean(args.splice(repairIndex, 1));
+  const target = args[0] || './collections';
+
+  if (!fs.existsSync(target)) {
+    console.error('Usage: node reconcile-commands.js [collections-dir|user-dir] [--repair]');
+    process.exit(1);
+  }
+
+  try {
+    const reconciler = new CommandReconciler();
+    const results = fs.existsSync(path.join(target, 'profile.json'))
+      ? [reconciler.reconcileUser(target, { repair })]
+      : reconciler.reconcileAll(target, { repair });
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify(results, null, 2));
+
+    // Log summary to stderr for human readability
+    results.forEach(result => {
+      if (result.drift.length === 0) {
+        console.error(`✅ ${result.username}: collection and command files agree`);
+        return;
+      }
+      console.error(`\n${repair ? '🔧' : '❌'} ${result.username}: ${result.drift.length} difference(s)`);
+      result.drift.forEach(item => console.error(`  • [${item.type}] ${item.message}`));
+      result.repaired.forEach(item => {
+        console.error(`  ✅ Rebuilt ${path.basename(item.collectionPath)}: ${item.previousVersion} → ${item.version} (${item.bump})`);
+      });
+    });
+
+    const unresolved = results.some(result => result.drift.length > 0) && !repair;
+    process.exit(unresolved ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Reconcile failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = CommandReconciler;
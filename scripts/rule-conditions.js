@@ -0,0 +1,129 @@
+/**
+ * Rule Conditions
+ * Evaluates the declarative conditions used by config files such as config/approval-policy.json.
+ *
+ * A condition is one of:
+ *   { "fact": "ai.riskLevel", "operator": "in", "value": ["HIGH", "CRITICAL"] }
+ *   { "all": [condition, ...] }
+ *   { "any": [condition, ...] }
+ *   { "not": condition }
+ *
+ * "before" and "after" compare ISO dates, e.g. { "fact": "author.joinedAt", "operator": "before", "value": "2025-09-01" }
+ */
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  notIn: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false),
+  // ISO dates and timestamps
+  before: (actual, expected) => typeof actual === 'string' && Date.parse(actual) < Date.parse(expected),
+  after: (actual, expected) => typeof actual === 'string' && Date.parse(actual) > Date.parse(expected)
+};
+
+const DATE_OPERATORS = ['before', 'after'];
+
+class RuleConditions {
+  /**
+   * Check that a condition only uses known operators and shapes
+   * @param {Object} condition - Condition to check
+   * @param {string} location - Where the condition came from, for error messages
+   */
+  assertValid(condition, location) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      throw new Error(`${location}: condition must be an object`);
+    }
+
+    if (condition.all || condition.any) {
+      const list = condition.all || condition.any;
+      if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`${location}: "all" and "any" need a non-empty array of conditions`);
+      }
+      list.forEach((child, index) => this.assertValid(child, `${location}.${condition.all ? 'all' : 'any'}[${index}]`));
+      return;
+    }
+
+    if (condition.not) {
+      this.assertValid(condition.not, `${location}.not`);
+      return;
+    }
+
+    if (typeof condition.fact !== 'string' || !condition.fact) {
+      throw new Error(`${location}: condition needs "fact", "all", "any" or "not"`);
+    }
+    if (!OPERATORS[condition.operator]) {
+      throw new Error(`${location}: unknown operator "${condition.operator}". Use one of: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (DATE_OPERATORS.includes(condition.operator) && Number.isNaN(Date.parse(condition.value))) {
+      throw new Error(`${location}: "${condition.operator}" needs an ISO date as value`);
+    }
+  }
+
+  /**
+   * Evaluate a condition against a set of facts
+   * @param {Object} condition - Condition to evaluate
+   * @param {Object} facts - Nested facts object
+   * @returns {Object} { matched, facts } where facts maps each referenced fact path to its value
+   */
+  evaluate(condition, facts) {
+    const used = {};
+    const matched = this.test(condition, facts, used);
+    return { matched, facts: used };
+  }
+
+  /**
+   * Evaluate a condition, recording the facts it reads
+   * @param {Object} condition - Condition to evaluate
+   * @param {Object} facts - Nested facts object
+   * @param {Object} used - Fact path → value map to fill in
+   * @returns {boolean} Whether the condition holds
+   */
+  test(condition, facts, used) {
+    if (condition.all) {
+      return condition.all.every(child => this.test(child, facts, used));
+    }
+    if (condition.any) {
+      return condition.any.some(child => this.test(child, facts, used));
+    }
+    if (condition.not) {
+      return !this.test(condition.not, facts, used);
+    }
+
+    const actual = this.resolve(facts, condition.fact);
+    used[condition.fact] = actual === undefined ? null : actual;
+    return OPERATORS[condition.operator](actual, condition.value);
+  }
+
+  /**
+   * Read a dotted path such as "author.trusted" from the facts
+   * @param {Object} facts - Nested facts object
+   * @param {string} factPath - Dotted path
+   * @returns {*} Value, or undefined when any segment is missing
+   */
+  resolve(facts, factPath) {
+    return factPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), facts);
+  }
+
+  /**
+   * Replace {{fact.path}} placeholders in a message with fact values
+   * @param {string} template - Message template
+   * @param {Object} facts - Nested facts object
+   * @returns {string} Message
+   */
+  interpolate(template, facts) {
+    return (template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, factPath) => {
+      const value = this.resolve(facts, factPath);
+      if (value === undefined || value === null) return 'n/a';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+  }
+}
+
+RuleConditions.OPERATORS = Object.keys(OPERATORS);
+
+module.exports = RuleConditions;
@@ -0,0 +1,166 @@
+/**
+ * Sandbox Recorder
+ * Records API calls, dialogs, network attempts and console output of a sandboxed command
+ */
+
+// Property names probed by the runtime or by promise/JSON handling, not by command code
+const IGNORED_PROPERTIES = ['then', 'toJSON', 'constructor', 'valueOf', 'toString', 'inspect', 'prototype', 'length'];
+
+const MAX_STRING_LENGTH = 200;
+const MAX_DEPTH = 3;
+const MAX_ITEMS = 20;
+
+class SandboxRecorder {
+  /**
+   * @param {Function} onEvent - Optional listener called with every recorded event
+   */
+  constructor(onEvent) {
+    this.onEvent = onEvent || null;
+    this.events = [];
+    this.suspended = 0;
+  }
+
+  /**
+   * Store an event and forward it to the listener
+   * @param {string} kind - 'call', 'dialog', 'network', 'console' or 'unsupported'
+   * @param {Object} details - Event details
+   */
+  record(kind, details) {
+    if (this.suspended > 0) return;
+
+    const event = { kind, time: Date.now(), ...details };
+    this.events.push(event);
+    if (this.onEvent) this.onEvent(event);
+  }
+
+  /**
+   * Record an API call
+   * @param {string} api - API path, e.g. Xrm.WebApi.retrieveRecord
+   * @param {Array} args - Call arguments
+   */
+  call(api, args) {
+    this.record('call', { api, args: args.map(arg => this.toSerializable(arg, 0)) });
+  }
+
+  /**
+   * Record a dialog shown to the user
+   * @param {string} type - 'alert', 'confirm', 'error', 'prompt' or 'lookup'
+   * @param {Object} details - Dialog text and result
+   */
+  dialog(type, details) {
+    this.record('dialog', { type, ...this.toSerializable(details, 0) });
+  }
+
+  /**
+   * Record an attempted network access. All network access is blocked in the sandbox.
+   * @param {string} type - 'fetch', 'xhr', 'websocket', 'beacon' or 'window.open'
+   * @param {Object} details - { url, method }
+   */
+  network(type, details) {
+    this.record('network', { type, blocked: true, ...this.toSerializable(details, 0) });
+  }
+
+  /**
+   * Record console output
+   * @param {string} level - Console method
+   * @param {Array} args - Logged values
+   */
+  console(level, args) {
+    const message = args
+      .map(arg => (typeof arg === 'string' ? arg : JSON.stringify(this.toSerializable(arg, 0))))
+      .join(' ');
+    this.record('console', { level, message: this.truncate(message) });
+  }
+
+  /**
+   * Wrap a mock object so that method calls and missing members are recorded
+   * @param {Object} target - Mock object
+   * @param {string} path - API path of the object
+   * @returns {Proxy} Recording proxy
+   */
+  track(target, path) {
+    return new Proxy(target, {
+      get: (object, property, receiver) => {
+        const value = Reflect.get(object, property, receiver);
+
+        if (typeof property === 'symbol' || IGNORED_PROPERTIES.includes(property)) {
+          return value;
+        }
+        if (value === undefined && !(property in object) && this.suspended === 0) {
+          this.record('unsupported', { api: `${path}.${property}` });
+          return undefined;
+        }
+        if (typeof value !== 'function') {
+          return value;
+        }
+
+        const recorder = this;
+        return function (...args) {
+          recorder.call(`${path}.${property}`, args);
+          return value.apply(object, args);
+        };
+      }
+    });
+  }
+
+  /**
+   * Run mock-internal work without recording the calls it makes on tracked objects
+   * @param {Function} fn - Work to run
+   * @returns {*} Result of fn
+   */
+  untracked(fn) {
+    this.suspended++;
+    try {
+      return fn();
+    } finally {
+      this.suspended--;
+    }
+  }
+
+  /**
+   * Events of one kind
+   * @param {string} kind - Event kind
+   * @returns {Object[]} Events
+   */
+  getEvents(kind) {
+    return this.events.filter(event => event.kind === kind);
+  }
+
+  /**
+   * Convert a value into something that survives JSON and structured cloning
+   * @param {*} value - Any value
+   * @param {number} depth - Current nesting depth
+   * @returns {*} Serializable copy
+   */
+  toSerializable(value, depth) {
+    if (value === null || value === undefined) return value === undefined ? null : value;
+    if (typeof value === 'string') return this.truncate(value);
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+    if (typeof value === 'function') return '[Function]';
+    if (typeof value !== 'object') return String(value);
+    // Values from the command's VM context fail instanceof checks against this realm
+    if (Object.prototype.toString.call(value) === '[object Date]') return new Date(value.getTime()).toISOString();
+    if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+    if (Array.isArray(value)) {
+      return value.slice(0, MAX_ITEMS).map(item => this.toSerializable(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.keys(value).slice(0, MAX_ITEMS).forEach(key => {
+      copy[key] = this.toSerializable(value[key], depth + 1);
+    });
+    return copy;
+  }
+
+  /**
+   * Shorten long strings
+   * @param {string} text - Text
+   * @returns {string} Text of at most MAX_STRING_LENGTH characters
+   */
+  truncate(text) {
+    return text.length > MAX_STRING_LENGTH ? `${text.substring(0, MAX_STRING_LENGTH)}…` : text;
+  }
+}
+
+module.exports = SandboxRecorder;
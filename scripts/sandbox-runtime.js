@@ -0,0 +1,272 @@
+/**
+ * Sandbox Runtime
+ * Browser globals for a command run by xrm-sandbox.js. This file is not required by the host: it is
+ * compiled inside the command's VM context together with the recorder and the Xrm mock, so every
+ * object and function the command can reach belongs to that context. The host drives it through
+ * the control object returned by start(), which only takes and returns strings.
+ */
+
+const SandboxRecorder = require('./sandbox-recorder');
+const XrmMock = require('./xrm-mock');
+
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+class SandboxRuntime {
+  /**
+   * @param {Object} fixture - Form and record fixture
+   */
+  constructor(fixture) {
+    this.fixture = fixture;
+    this.outbox = [];
+    this.recorder = new SandboxRecorder(event => this.outbox.push(event));
+    this.mock = new XrmMock(fixture, this.recorder);
+    this.timers = new Map();
+    this.nextTimerId = 1;
+    this.settled = false;
+    this.failure = null;
+  }
+
+  /**
+   * Install the globals and hand out the control object
+   * @param {string} fixtureJson - Fixture as JSON
+   * @returns {Object} Control object for the host
+   */
+  static start(fixtureJson) {
+    const runtime = new SandboxRuntime(JSON.parse(fixtureJson));
+    runtime.install(globalThis);
+    return runtime.createControl();
+  }
+
+  /**
+   * Methods the host calls. Results are JSON strings, so no object of this context reaches the host.
+   * @returns {Object} { watch, step, drain, changes }
+   */
+  createControl() {
+    return {
+      watch: promise => {
+        Promise.resolve(promise)
+          .then(() => {}, error => this.fail(error))
+          .then(() => {
+            this.settled = true;
+          });
+      },
+      step: () => JSON.stringify(this.step()),
+      drain: () => JSON.stringify(this.outbox.splice(0, this.outbox.length)),
+      changes: () => JSON.stringify(this.mock.changes)
+    };
+  }
+
+  /**
+   * Run the timers that are due
+   * @returns {Object} { settled, failure, pending, nextDelay }
+   */
+  step() {
+    const now = Date.now();
+    const due = [...this.timers.entries()]
+      .filter(([, timer]) => timer.due <= now)
+      .sort((a, b) => a[1].due - b[1].due || a[0] - b[0]);
+
+    due.forEach(([id, timer]) => {
+      // Cleared by an earlier callback of this step
+      if (this.timers.get(id) !== timer) return;
+
+      if (timer.repeat) {
+        timer.due = now + timer.delay;
+      } else {
+        this.timers.delete(id);
+      }
+      try {
+        if (typeof timer.callback === 'function') timer.callback(...timer.args);
+      } catch (error) {
+        this.fail(error);
+      }
+    });
+
+    const next = Math.min(...[...this.timers.values()].map(timer => timer.due));
+    return {
+      settled: this.settled,
+      failure: this.failure,
+      pending: this.timers.size,
+      nextDelay: this.timers.size > 0 ? Math.max(0, next - Date.now()) : null
+    };
+  }
+
+  /**
+   * Keep the first uncaught error
+   * @param {*} error - Thrown value
+   */
+  fail(error) {
+    this.failure = this.failure || SandboxRuntime.describeError(error);
+  }
+
+  /**
+   * Convert a thrown value into a plain error description
+   * @param {*} error - Thrown value
+   * @returns {Object} { name, message, line }
+   */
+  static describeError(error) {
+    if (!error || typeof error !== 'object') {
+      return { name: 'Error', message: String(error), line: null };
+    }
+
+    const stackLine = /command\.js:(\d+)/.exec(error.stack || '');
+    return {
+      name: String(error.name || 'Error'),
+      message: String(error.message || error),
+      line: stackLine ? Number(stackLine[1]) : null
+    };
+  }
+
+  /**
+   * Add the browser globals a command expects
+   * @param {Object} global - Global object of the context
+   */
+  install(global) {
+    const { mock, recorder } = this;
+    const confirmed = (this.fixture.dialogs || {}).confirm !== false;
+    const clientUrl = recorder.untracked(() => mock.globalContext.getClientUrl());
+    const logger = {};
+    CONSOLE_LEVELS.forEach(level => {
+      logger[level] = (...args) => recorder.console(level, args);
+    });
+
+    Object.assign(global, {
+      Xrm: mock.createXrm(),
+      GetGlobalContext: () => mock.globalContext,
+      console: logger,
+      setTimeout: (callback, delay, ...args) => this.schedule(false, callback, delay, args),
+      setInterval: (callback, delay, ...args) => this.schedule(true, callback, delay, args),
+      clearTimeout: id => this.timers.delete(id),
+      clearInterval: id => this.timers.delete(id),
+      alert: message => recorder.dialog('alert', { title: null, text: String(message) }),
+      confirm: message => {
+        recorder.dialog('confirm', { title: null, text: String(message), confirmed });
+        return confirmed;
+      },
+      prompt: message => {
+        recorder.dialog('prompt', { title: null, text: String(message) });
+        return null;
+      },
+      open: url => {
+        recorder.network('window.open', { url: String(url), method: 'GET' });
+        return null;
+      },
+      location: { href: `${clientUrl}/main.aspx`, origin: clientUrl },
+      document: this.createDocument(),
+      ...this.createNetworkGlobals()
+    });
+
+    global.window = global;
+    global.self = global;
+    global.top = global;
+    global.parent = global;
+  }
+
+  /**
+   * Queue a timer. The host runs due timers through step().
+   * @param {boolean} repeat - setInterval instead of setTimeout
+   * @param {Function} callback - Timer callback
+   * @param {number} delay - Delay in milliseconds
+   * @param {Array} args - Callback arguments
+   * @returns {number} Timer id
+   */
+  schedule(repeat, callback, delay, args) {
+    const id = this.nextTimerId++;
+    const wait = Math.max(0, Number(delay) || 0);
+    this.timers.set(id, { callback, args, repeat, delay: wait, due: Date.now() + wait });
+    return id;
+  }
+
+  /**
+   * Network APIs that record the attempt and then fail like an offline browser
+   * @returns {Object} fetch, XMLHttpRequest, WebSocket and navigator
+   */
+  createNetworkGlobals() {
+    const { recorder } = this;
+    const blocked = () => new TypeError('Network access is blocked in the sandbox');
+
+    class SandboxXMLHttpRequest {
+      constructor() {
+        this.readyState = 0;
+        this.status = 0;
+        this.responseText = '';
+      }
+
+      open(method, url) {
+        this.method = String(method || 'GET').toUpperCase();
+        this.url = String(url);
+        this.readyState = 1;
+      }
+
+      setRequestHeader() {}
+
+      send() {
+        recorder.network('xhr', { url: this.url, method: this.method });
+        this.readyState = 4;
+        Promise.resolve().then(() => {
+          if (typeof this.onreadystatechange === 'function') this.onreadystatechange();
+          if (typeof this.onerror === 'function') this.onerror(blocked());
+        });
+      }
+
+      abort() {}
+    }
+
+    return {
+      fetch: (input, init) => {
+        const url = input && typeof input === 'object' ? input.url : input;
+        const method = (init && init.method) || (input && input.method) || 'GET';
+        recorder.network('fetch', { url: String(url), method: String(method).toUpperCase() });
+        return Promise.reject(blocked());
+      },
+      XMLHttpRequest: SandboxXMLHttpRequest,
+      WebSocket: function (url) {
+        recorder.network('websocket', { url: String(url), method: 'GET' });
+        throw blocked();
+      },
+      navigator: {
+        userAgent: 'Mozilla/5.0 (Level Up Sandbox)',
+        language: 'en-US',
+        sendBeacon: url => {
+          recorder.network('beacon', { url: String(url), method: 'POST' });
+          return false;
+        }
+      }
+    };
+  }
+
+  /**
+   * Minimal DOM for commands that build simple UI. Missing members are recorded as unsupported.
+   * @returns {Object} Document stub
+   */
+  createDocument() {
+    const createElement = tagName => ({
+      tagName: String(tagName).toUpperCase(),
+      style: {},
+      children: [],
+      setAttribute() {},
+      getAttribute: () => null,
+      appendChild(child) {
+        this.children.push(child);
+        return child;
+      },
+      addEventListener() {},
+      removeEventListener() {},
+      remove() {}
+    });
+
+    return this.recorder.track({
+      title: 'Level Up Sandbox',
+      cookie: '',
+      body: createElement('body'),
+      head: createElement('head'),
+      createElement,
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      getElementsByTagName: () => []
+    }, 'document');
+  }
+}
+
+module.exports = SandboxRuntime;
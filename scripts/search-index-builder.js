@@ -0,0 +1,108 @@
+/**
+ * Search Index Builder
+ * Builds collections/search-index.json: a full-text index over every published command's name,
+ * description and code identifiers. The gallery queries it with docs/js/command-search.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CommandSearch = require('../docs/js/command-search');
+
+class SearchIndexBuilder {
+  /**
+   * Build the index for a set of indexed collections
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object[]} collections - Index entries (profile collectionRef plus username/displayName)
+   * @param {string} generatedAt - ISO timestamp recorded in the index
+   * @returns {Object} Search index
+   */
+  build(collectionsBaseDir, collections, generatedAt) {
+    const documents = [];
+
+    collections.forEach(entry => {
+      const collection = this.loadCollection(collectionsBaseDir, entry);
+      if (!collection) return;
+
+      (collection.commands || []).forEach((command, commandIndex) => {
+        documents.push({
+          ref: {
+            username: entry.username,
+            displayName: entry.displayName || entry.username,
+            fileName: entry.fileName,
+            collectionName: collection.name || entry.name,
+            commandId: command.id || null,
+            commandIndex,
+            name: command.name,
+            description: command.description || '',
+            icon: command.icon || ''
+          },
+          fields: {
+            name: command.name,
+            description: command.description,
+            code: command.code
+          }
+        });
+      });
+    });
+
+    return { generatedAt, ...CommandSearch.buildIndex(documents) };
+  }
+
+  /**
+   * Read a collection file referenced by an index entry
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {Object} entry - Index entry
+   * @returns {Object|null} Collection, or null when it cannot be read
+   */
+  loadCollection(collectionsBaseDir, entry) {
+    const filePath = path.join(collectionsBaseDir, entry.username, 'collections', entry.fileName);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Skipping ${filePath} in search index:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Query an index
+   * @param {Object} index - Search index
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum results
+   * @returns {Object[]} Ranked results
+   */
+  search(index, query, limit) {
+    return CommandSearch.search(index, query, { limit });
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const query = process.argv[2];
+  const collectionsDir = process.argv[3] || './collections';
+
+  if (!query) {
+    console.error('Usage: node search-index-builder.js "<query>" [collections-dir]');
+    process.exit(1);
+  }
+
+  try {
+    const indexPath = path.join(collectionsDir, 'search-index.json');
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const results = new SearchIndexBuilder().search(index, query, 10);
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify(results, null, 2));
+
+    // Log results to stderr for human readability
+    console.error(`\n🔎 ${results.length} result(s) for "${query}" in ${index.documents.length} commands`);
+    results.forEach(result => {
+      console.error(`  ${result.score.toFixed(2)}  ${result.ref.name} (${result.ref.collectionName} by ${result.ref.username})`);
+    });
+  } catch (error) {
+    console.error('❌ Search failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = SearchIndexBuilder;
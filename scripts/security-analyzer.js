@@ -0,0 +1,199 @@
+/**
+ * Security Analyzer
+ * Static security analysis of command code using an AST and a pluggable rule set
+ */
+
+const fs = require('fs');
+const path = require('path');
+const walk = require('acorn-walk');
+const { parseCode } = require('./ast-utils');
+const defaultRules = require('./security-rules');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const BLOCKING_SEVERITIES = ['CRITICAL', 'HIGH'];
+
+class SecurityAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {Object[]} options.rules - Rule set (defaults to security-rules.js)
+   * @param {string[]} options.disabledRules - Rule IDs to skip
+   */
+  constructor(options = {}) {
+    this.rules = [];
+    this.disabledRules = new Set(options.disabledRules || []);
+
+    (options.rules || defaultRules).forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * Register an additional rule
+   * @param {Object} rule - Rule with id, severity, nodeTypes and check(node, context)
+   */
+  addRule(rule) {
+    if (!rule.id || !Array.isArray(rule.nodeTypes) || typeof rule.check !== 'function') {
+      throw new Error(`Invalid security rule: ${rule.id || 'unnamed'}`);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Invalid severity "${rule.severity}" for rule ${rule.id}`);
+    }
+    this.rules.push(rule);
+  }
+
+  /**
+   * Analyze a single piece of command code
+   * @param {string} code - JavaScript code
+   * @returns {Object} { findings, parseError }
+   */
+  analyzeCode(code) {
+    const { ast, error } = parseCode(code);
+
+    if (error) {
+      return {
+        parseError: error,
+        findings: [
+          {
+            ruleId: 'parse-error',
+            severity: 'HIGH',
+            message: `Code could not be parsed: ${error.message}`,
+            line: error.line,
+            column: error.column,
+            snippet: this.getSnippet(code, error.line)
+          }
+        ]
+      };
+    }
+
+    const findings = [];
+    const activeRules = this.rules.filter(rule => !this.disabledRules.has(rule.id));
+    const rulesByType = {};
+
+    activeRules.forEach(rule => {
+      rule.nodeTypes.forEach(type => {
+        (rulesByType[type] = rulesByType[type] || []).push(rule);
+      });
+    });
+
+    walk.fullAncestor(ast, (node, state, ancestors, type) => {
+      (rulesByType[type] || []).forEach(rule => {
+        const context = {
+          code,
+          ancestors,
+          report: (reportNode, message, severity) => {
+            findings.push({
+              ruleId: rule.id,
+              severity: severity || rule.severity,
+              message,
+              line: reportNode.loc.start.line,
+              column: reportNode.loc.start.column + 1,
+              snippet: this.getSnippet(code, reportNode.loc.start.line)
+            });
+          }
+        };
+        rule.check(node, context);
+      });
+    });
+
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return { parseError: null, findings };
+  }
+
+  /**
+   * Analyze every command of a collection
+   * @param {Object[]} commands - Commands with name and code
+   * @returns {Object[]} Per-command results
+   */
+  analyzeCommands(commands) {
+    return (commands || []).map((command, index) => ({
+      index,
+      name: command.name || `Command ${index + 1}`,
+      ...this.analyzeCode(command.code || '')
+    }));
+  }
+
+  /**
+   * Count findings by severity
+   * @param {Object[]} findings - Findings
+   * @returns {Object} Severity counts
+   */
+  summarize(findings) {
+    const summary = { total: findings.length };
+    SEVERITIES.forEach(severity => {
+      summary[severity] = findings.filter(f => f.severity === severity).length;
+    });
+    return summary;
+  }
+
+  /**
+   * Whether a severity should fail validation
+   * @param {string} severity - Finding severity
+   * @returns {boolean} True for CRITICAL and HIGH
+   */
+  isBlocking(severity) {
+    return BLOCKING_SEVERITIES.includes(severity);
+  }
+
+  /**
+   * Get the trimmed source line for a finding
+   * @param {string} code - Source code
+   * @param {number} line - 1-based line number
+   * @returns {string} Source line
+   */
+  getSnippet(code, line) {
+    return ((code || '').split(/\r?\n/)[line - 1] || '').trim();
+  }
+}
+
+/**
+ * Load commands from a .js file, a collection JSON or a Level Up export
+ * @param {string} filePath - Input file
+ * @returns {Object[]} Commands
+ */
+function loadCommands(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath) === '.js') {
+    return [{ name: path.basename(filePath), code: content }];
+  }
+
+  const data = JSON.parse(content);
+  return Array.isArray(data) ? data : data.commands || [];
+}
+
+// CLI usage
+if (require.main === module) {
+  const inputPath = process.argv[2];
+
+  if (!inputPath) {
+    console.error('Usage: node security-analyzer.js <command.js | collection.json>');
+    process.exit(1);
+  }
+
+  try {
+    const analyzer = new SecurityAnalyzer();
+    const results = analyzer.analyzeCommands(loadCommands(inputPath));
+    const allFindings = results.flatMap(result => result.findings);
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify({ summary: analyzer.summarize(allFindings), results }, null, 2));
+
+    // Log findings to stderr for human readability
+    results.forEach(result => {
+      if (result.findings.length === 0) return;
+      console.error(`\n🔍 ${result.name}`);
+      result.findings.forEach(finding => {
+        const location = `${finding.line}:${finding.column}`;
+        console.error(`  ${location}  ${finding.severity}  ${finding.message}  [${finding.ruleId}]`);
+      });
+    });
+
+    if (allFindings.some(finding => analyzer.isBlocking(finding.severity))) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Security analysis failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = SecurityAnalyzer;
@@ -0,0 +1,389 @@
+/**
+ * Security Rules
+ * Default rule set used by the SecurityAnalyzer
+ *
+ * Each rule declares the AST node types it inspects and a check function that
+ * calls context.report(node, message) for every finding. Severities follow the
+ * same LOW | MEDIUM | HIGH | CRITICAL scale as the AI safety report.
+ */
+
+const {
+  GLOBAL_ALIASES,
+  staticValue,
+  staticPrefix,
+  propertyName,
+  memberPath,
+  normalizeGlobalPath,
+  calleePath
+} = require('./ast-utils');
+
+const TIMER_FUNCTIONS = ['setTimeout', 'setInterval', 'setImmediate', 'execScript'];
+const STORAGE_OBJECTS = ['localStorage', 'sessionStorage'];
+const SENSITIVE_KEY_PATTERN =
+  /token|secret|passw(or)?d|passwd|auth|credential|session|api[-_]?key|bearer|jwt|cookie/i;
+const HTTP_METHOD_PATTERN = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)$/i;
+const URL_PATTERN = /https?:\/\/[^\s'"`]+/i;
+// Globals whose members are functions; every function's constructor is the Function constructor
+const FUNCTION_VALUED_GLOBALS = [
+  'console', 'Function', 'Object', 'Reflect', 'Array', 'String', 'Number', 'Boolean', 'Symbol',
+  'Promise', 'Date', 'RegExp', 'Error', 'JSON', 'Math', 'Xrm', 'alert', 'confirm', 'prompt',
+  'fetch', 'setTimeout', 'setInterval', 'parseInt', 'parseFloat', 'encodeURIComponent', 'decodeURIComponent'
+];
+// Operators whose result is always a number, so a key built with them cannot be "constructor"
+const NUMERIC_OPERATORS = ['-', '*', '/', '%', '**', '|', '&', '^', '<<', '>>', '>>>'];
+
+/**
+ * Check whether a URL prefix points at an absolute (external) location
+ * @param {string} prefix - Static URL prefix
+ * @returns {boolean} True if the URL leaves the current origin
+ */
+function isExternalUrl(prefix) {
+  return /^(https?:)?\/\//i.test(prefix.trim());
+}
+
+/**
+ * Check whether an expression derives its URL from the Dynamics client URL
+ * @param {Object} node - URL expression
+ * @returns {boolean} True if getClientUrl() is part of the expression
+ */
+function usesClientUrl(node) {
+  if (!node) return false;
+  switch (node.type) {
+  case 'CallExpression': {
+    const path = memberPath(node.callee);
+    return Boolean(path && path[path.length - 1] === 'getClientUrl');
+  }
+  case 'BinaryExpression':
+    return usesClientUrl(node.left) || usesClientUrl(node.right);
+  case 'TemplateLiteral':
+    return node.expressions.some(usesClientUrl);
+  default:
+    return false;
+  }
+}
+
+/**
+ * Report a network request depending on where its URL points
+ * @param {Object} context - Rule context
+ * @param {Object} node - Call node
+ * @param {Object} urlNode - URL argument
+ * @param {string} api - API name for the message
+ */
+function checkRequestUrl(context, node, urlNode, api) {
+  const prefix = staticPrefix(urlNode);
+
+  if (isExternalUrl(prefix)) {
+    context.report(node, `${api} sends a request to external URL "${prefix}"`);
+  } else if (!prefix && !usesClientUrl(urlNode)) {
+    context.report(
+      node,
+      `${api} sends a request to a URL that cannot be resolved statically`,
+      'MEDIUM'
+    );
+  }
+}
+
+/**
+ * Find the global a member expression starts from, skipping global object aliases.
+ * Dynamic segments are allowed, so `window.console.log[key].x` starts from console.
+ * @param {Object} node - MemberExpression node
+ * @returns {string|null} Global name, or null if the chain starts from something else
+ */
+function rootGlobal(node) {
+  const names = [];
+  let current = node;
+  while (current.type === 'MemberExpression' || current.type === 'ChainExpression') {
+    current = current.type === 'ChainExpression' ? current.expression : current.object;
+    if (current.type === 'MemberExpression' && !current.computed) names.unshift(current.property.name);
+  }
+  if (current.type !== 'Identifier') return null;
+
+  const path = normalizeGlobalPath([current.name, ...names]);
+  return path[0];
+}
+
+/**
+ * Check whether a computed key is always a number, like items[i - 1] or items[index++]
+ * @param {Object} node - Key expression
+ * @returns {boolean} True if the key cannot evaluate to a property name string
+ */
+function isNumericKey(node) {
+  switch (node.type) {
+  case 'Literal':
+    return typeof node.value === 'number';
+  case 'UpdateExpression':
+    return true;
+  case 'UnaryExpression':
+    return ['-', '+', '~'].includes(node.operator);
+  case 'BinaryExpression':
+    return NUMERIC_OPERATORS.includes(node.operator);
+  default:
+    return false;
+  }
+}
+
+/**
+ * Report a computed lookup whose key cannot be resolved. Every function has a constructor
+ * property, and a key like k = 'constructor' or ['con', 'structor'].join('') may name it.
+ * @param {Object} node - MemberExpression node
+ * @param {Object} context - Rule context
+ */
+function reportComputedLookup(node, context) {
+  if (!node.computed || propertyName(node) !== undefined || isNumericKey(node.property)) return;
+
+  const parent = context.ancestors[context.ancestors.length - 2];
+  // Plain writes like values[key] = value never read the constructor
+  const written = parent.type === 'AssignmentExpression' && parent.operator === '=';
+  if (written && parent.left === node) return;
+
+  const root = rootGlobal(node);
+  if (FUNCTION_VALUED_GLOBALS.includes(root)) {
+    context.report(node, `Computed property lookup on ${root} can reach the Function constructor`);
+  } else if (parent.type === 'CallExpression' && parent.callee === node) {
+    context.report(node, 'Calling an unresolved computed key can reach the Function constructor');
+  } else {
+    context.report(node, 'Unresolved computed key can reach the Function constructor', 'HIGH');
+  }
+}
+
+/**
+ * Get the member path of a callee without normalizing global aliases
+ * @param {Object} node - Call node
+ * @returns {string[]} Path or empty array
+ */
+function rawCalleePath(node) {
+  return memberPath(node.callee) || [];
+}
+
+const rules = [
+  {
+    id: 'no-eval',
+    severity: 'CRITICAL',
+    description: 'Disallow eval() including indirect and obfuscated references',
+    nodeTypes: ['Identifier', 'MemberExpression'],
+    check(node, context) {
+      if (node.type === 'Identifier') {
+        if (node.name === 'eval') {
+          context.report(node, 'Reference to eval()');
+        }
+        return;
+      }
+
+      const path = normalizeGlobalPath(memberPath(node));
+      if (path && path.length === 1 && path[0] === 'eval') {
+        context.report(node, 'Reference to eval() through the global object');
+      }
+    }
+  },
+  {
+    id: 'no-new-function',
+    severity: 'CRITICAL',
+    description: 'Disallow the Function constructor and lookups that can reach it',
+    nodeTypes: ['Identifier', 'MemberExpression', 'CallExpression', 'NewExpression'],
+    check(node, context) {
+      // Any use of the name, so `const F = Function` and Reflect.construct(Function, ...) count too
+      if (node.type === 'Identifier') {
+        if (node.name === 'Function') {
+          context.report(node, 'Reference to the Function constructor');
+        }
+        return;
+      }
+
+      if (node.type === 'MemberExpression') {
+        const path = normalizeGlobalPath(memberPath(node));
+        if (path && path.length === 1 && path[0] === 'Function') {
+          context.report(node, 'Reference to the Function constructor through the global object');
+          return;
+        }
+
+        reportComputedLookup(node, context);
+        return;
+      }
+
+      if (
+        node.callee.type === 'MemberExpression' &&
+        propertyName(node.callee) === 'constructor' &&
+        node.arguments.length > 0
+      ) {
+        context.report(node, 'Calling .constructor() can reach the Function constructor');
+      }
+    }
+  },
+  {
+    id: 'no-implied-eval',
+    severity: 'CRITICAL',
+    description: 'Disallow passing strings to setTimeout, setInterval and similar functions',
+    nodeTypes: ['CallExpression'],
+    check(node, context) {
+      const path = calleePath(node);
+      if (!path || path.length !== 1 || !TIMER_FUNCTIONS.includes(path[0])) return;
+
+      const firstArg = node.arguments[0];
+      if (!firstArg) return;
+
+      const isStringLike =
+        firstArg.type === 'TemplateLiteral' ||
+        firstArg.type === 'BinaryExpression' ||
+        (firstArg.type === 'Literal' && typeof firstArg.value === 'string');
+
+      if (isStringLike) {
+        context.report(node, `${path[0]}() called with a string evaluates it as code`);
+      }
+    }
+  },
+  {
+    id: 'no-document-write',
+    severity: 'HIGH',
+    description: 'Disallow document.write() and document.writeln()',
+    nodeTypes: ['CallExpression'],
+    check(node, context) {
+      const path = calleePath(node);
+      if (path && path.length === 2 && path[0] === 'document') {
+        if (path[1] === 'write' || path[1] === 'writeln') {
+          context.report(node, `document.${path[1]}() can inject arbitrary markup and scripts`);
+        }
+      }
+    }
+  },
+  {
+    id: 'no-external-request',
+    severity: 'HIGH',
+    description: 'Disallow network requests to hosts other than the Dynamics organization',
+    nodeTypes: ['CallExpression', 'NewExpression', 'ImportExpression'],
+    check(node, context) {
+      if (node.type === 'ImportExpression') {
+        checkRequestUrl(context, node, node.source, 'Dynamic import()');
+        return;
+      }
+
+      const path = calleePath(node) || [];
+      const name = path[path.length - 1];
+
+      if (node.type === 'NewExpression') {
+        if (name === 'WebSocket' || name === 'EventSource') {
+          context.report(node, `${name} opens a persistent connection to another host`);
+        }
+        return;
+      }
+
+      if (path.length === 1 && name === 'fetch') {
+        checkRequestUrl(context, node, node.arguments[0], 'fetch()');
+      } else if (path.join('.') === 'navigator.sendBeacon') {
+        context.report(node, 'navigator.sendBeacon() can silently send data to another host');
+      } else if (name === 'open' && node.arguments.length >= 2) {
+        const method = staticValue(node.arguments[0]);
+        if (typeof method === 'string' && HTTP_METHOD_PATTERN.test(method)) {
+          checkRequestUrl(context, node, node.arguments[1], 'XMLHttpRequest.open()');
+        }
+      }
+    }
+  },
+  {
+    id: 'no-sensitive-storage-read',
+    severity: 'HIGH',
+    description: 'Disallow reading tokens, credentials and cookies from browser storage',
+    nodeTypes: ['CallExpression', 'MemberExpression'],
+    check(node, context) {
+      if (node.type === 'CallExpression') {
+        const path = calleePath(node);
+        if (!path || path.length !== 2 || !STORAGE_OBJECTS.includes(path[0])) return;
+
+        if (path[1] === 'getItem') {
+          const key = staticValue(node.arguments[0]);
+          if (typeof key === 'string' && SENSITIVE_KEY_PATTERN.test(key)) {
+            context.report(node, `Reads sensitive key "${key}" from ${path[0]}`);
+          }
+        }
+        return;
+      }
+
+      const path = normalizeGlobalPath(memberPath(node));
+      if (!path || path.length !== 2) return;
+
+      if (path[0] === 'document' && path[1] === 'cookie') {
+        context.report(node, 'Accesses document.cookie');
+      } else if (STORAGE_OBJECTS.includes(path[0]) && SENSITIVE_KEY_PATTERN.test(path[1])) {
+        context.report(node, `Reads sensitive key "${path[1]}" from ${path[0]}`);
+      }
+    }
+  },
+  {
+    id: 'no-script-injection',
+    severity: 'HIGH',
+    description: 'Disallow creating script elements',
+    nodeTypes: ['CallExpression'],
+    check(node, context) {
+      const path = calleePath(node);
+      if (path && path[path.length - 1] === 'createElement') {
+        const tag = staticValue(node.arguments[0]);
+        if (typeof tag === 'string' && tag.toLowerCase() === 'script') {
+          context.report(node, 'Creates a <script> element to load or run additional code');
+        }
+      }
+    }
+  },
+  {
+    id: 'no-unsafe-html',
+    severity: 'MEDIUM',
+    description: 'Flag raw HTML assignment that may allow XSS',
+    nodeTypes: ['AssignmentExpression', 'CallExpression'],
+    check(node, context) {
+      if (node.type === 'AssignmentExpression') {
+        if (node.left.type !== 'MemberExpression') return;
+        const name = propertyName(node.left);
+        if (name === 'innerHTML' || name === 'outerHTML') {
+          context.report(node, `Assigning ${name} can introduce cross-site scripting`);
+        }
+        return;
+      }
+
+      const path = rawCalleePath(node);
+      if (path[path.length - 1] === 'insertAdjacentHTML') {
+        context.report(node, 'insertAdjacentHTML() can introduce cross-site scripting');
+      }
+    }
+  },
+  {
+    id: 'no-obfuscated-access',
+    severity: 'MEDIUM',
+    description: 'Flag dynamic global lookups and encoded strings that hide what code does',
+    nodeTypes: ['MemberExpression', 'CallExpression'],
+    check(node, context) {
+      if (node.type === 'MemberExpression') {
+        const isGlobal =
+          node.object.type === 'Identifier' && GLOBAL_ALIASES.includes(node.object.name);
+        if (isGlobal && node.computed && staticValue(node.property) === undefined) {
+          context.report(node, `Dynamic property lookup on ${node.object.name}`);
+        }
+        return;
+      }
+
+      const path = calleePath(node);
+      if (!path) return;
+
+      const name = path.join('.');
+      if (name === 'String.fromCharCode' || name === 'atob' || name === 'unescape') {
+        context.report(node, `${name}() is commonly used to obfuscate code`);
+      }
+    }
+  },
+  {
+    id: 'hardcoded-url',
+    severity: 'LOW',
+    description: 'Flag hardcoded absolute URLs',
+    nodeTypes: ['Literal', 'TemplateLiteral'],
+    check(node, context) {
+      const text =
+        node.type === 'Literal'
+          ? typeof node.value === 'string' && node.value
+          : node.quasis.map(quasi => quasi.value.cooked).join('');
+
+      const match = text && text.match(URL_PATTERN);
+      if (match) {
+        context.report(node, `Hardcoded URL "${match[0]}"`);
+      }
+    }
+  }
+];
+
+module.exports = rules;
@@ -0,0 +1,389 @@
+/**
+ * Static Site Generator
+ * Renders static HTML pages from the published collections so every profile, collection and command
+ * has a shareable, crawlable URL, a page per badge listing its holders, plus sitemap.xml and an Atom
+ * feed of new collections (feed.xml).
+ * docs/index.html remains the interactive gallery; these pages link back into it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Permalinks = require('../docs/js/permalinks');
+const SiteTemplates = require('./site-templates');
+const XrmApiProfiler = require('./xrm-api-profiler');
+const CatalogBuilder = require('./catalog-builder');
+const BadgeEngine = require('./badge-engine');
+const CollectionTransaction = require('./collection-transaction');
+
+const DEFAULT_SITE_URL = 'https://rajyraman.github.io/level-up-community-commands';
+
+// Number of collections listed in feed.xml
+const FEED_SIZE = 20;
+
+class SiteGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.collectionsDir - Collections directory to read
+   * @param {string} options.outputDir - Site root to write pages into
+   * @param {string} options.siteUrl - Absolute site URL
+   */
+  constructor(options = {}) {
+    this.collectionsDir = options.collectionsDir || './collections';
+    this.outputDir = options.outputDir || '_site';
+    this.siteUrl = (options.siteUrl || DEFAULT_SITE_URL).replace(/\/+$/, '');
+    this.templates = new SiteTemplates({ siteUrl: this.siteUrl });
+    this.apiProfiler = new XrmApiProfiler();
+    this.badgeEngine = new BadgeEngine();
+  }
+
+  /**
+   * Generate every page, sitemap.xml and feed.xml
+   * @returns {Object} { pages: [{ path, type, lastmod }], feedEntries }
+   */
+  generate() {
+    // Pages under u/ and badges/ are generated only, so start from clean directories to drop removed
+    // profiles, commands and badges
+    fs.rmSync(path.join(this.outputDir, 'u'), { recursive: true, force: true });
+    fs.rmSync(path.join(this.outputDir, 'badges'), { recursive: true, force: true });
+
+    const home = { path: '', type: 'home', lastmod: null };
+    const pages = [home];
+    const published = [];
+    const profiles = this.loadProfiles();
+
+    profiles.forEach(profile => {
+      const collections = (profile.collections || [])
+        .map(ref => ({ ref, collection: this.loadCollection(profile.username, ref.fileName) }))
+        .filter(entry => entry.collection);
+
+      pages.push(this.writeProfilePage(profile, collections));
+      collections.forEach(({ ref, collection }) => {
+        pages.push(this.writeCollectionPage(profile, ref.fileName, collection));
+        (collection.commands || []).forEach((command, index) => {
+          pages.push(this.writeCommandPage(profile, ref.fileName, collection, command, index));
+        });
+        published.push({ profile, ref, collection });
+      });
+    });
+
+    const badges = this.badgeEngine.holders(profiles);
+    const badgePages = badges.map(entry => this.writeBadgePage(entry));
+    pages.push(this.writeBadgesPage(badges, badgePages), ...badgePages);
+
+    home.lastmod = this.latest(pages.map(page => page.lastmod));
+
+    const feedEntries = this.feedEntries(published);
+    this.writeFile('sitemap.xml', this.templates.sitemap(pages));
+    this.writeFile('feed.xml', this.templates.feed(feedEntries, this.latest(feedEntries.map(entry => entry.updated)) ||
+      new Date().toISOString()));
+
+    return { pages, feedEntries };
+  }
+
+  /**
+   * Write the page for an author profile
+   * @param {Object} profile - Author profile
+   * @param {Object[]} collections - [{ ref, collection }] the profile's readable collections
+   * @returns {Object} { path, type, lastmod }
+   */
+  writeProfilePage(profile, collections) {
+    const pagePath = Permalinks.pagePath(profile.username);
+    const root = this.relativeRoot(pagePath);
+
+    const html = this.templates.profilePage({
+      profile,
+      collections: collections.map(({ ref, collection }) => ({
+        ref,
+        collection,
+        href: `${Permalinks.collectionSlug(ref.fileName)}/`
+      })),
+      badges: (profile.badges || []).map(badge => ({
+        badge,
+        href: this.badgeEngine.definitions().some(definition => definition.id === badge.id)
+          ? `${root}${this.badgePath(badge.id)}`
+          : null
+      })),
+      path: pagePath,
+      links: {
+        root,
+        gallery: root,
+        author: `${root}${Permalinks.hashRoute(profile.username)}`
+      }
+    });
+
+    this.writePage(['u', profile.username], html);
+    return {
+      path: pagePath,
+      type: 'profile',
+      lastmod: this.latest([profile.lastUpdated, ...collections.map(({ collection }) => this.collectionDate(collection))])
+    };
+  }
+
+  /**
+   * Write the page for one collection
+   * @param {Object} profile - Author profile
+   * @param {string} fileName - Collection file name
+   * @param {Object} collection - Collection file contents
+   * @returns {Object} { path, type, lastmod }
+   */
+  writeCollectionPage(profile, fileName, collection) {
+    const pagePath = Permalinks.pagePath(profile.username, fileName);
+    const root = this.relativeRoot(pagePath);
+    const replacement = collection.deprecation && collection.deprecation.replacement;
+
+    const html = this.templates.collectionPage({
+      collection,
+      profile,
+      commands: (collection.commands || []).map((command, index) => ({
+        command,
+        apiProfile: command.apiProfile || this.apiProfiler.profileCode(command.code || ''),
+        href: `${encodeURIComponent(Permalinks.commandKey(command, index))}/`
+      })),
+      path: pagePath,
+      links: {
+        root,
+        gallery: root,
+        profile: '../',
+        author: `${root}${Permalinks.hashRoute(profile.username)}`,
+        collection: `${root}${Permalinks.hashRoute(profile.username, fileName)}`,
+        replacement: replacement && (replacement.url || `${root}${Permalinks.pagePath(replacement.username, replacement.fileName)}`)
+      }
+    });
+
+    this.writePage(['u', profile.username, Permalinks.collectionSlug(fileName)], html);
+    return { path: pagePath, type: 'collection', lastmod: this.collectionDate(collection) };
+  }
+
+  /**
+   * Write the page for one command
+   * @param {Object} profile - Author profile
+   * @param {string} fileName - Collection file name
+   * @param {Object} collection - Collection file contents
+   * @param {Object} command - Command
+   * @param {number} index - Command position
+   * @returns {Object} { path, type, lastmod }
+   */
+  writeCommandPage(profile, fileName, collection, command, index) {
+    const key = Permalinks.commandKey(command, index);
+    const pagePath = Permalinks.pagePath(profile.username, fileName, key);
+    const root = this.relativeRoot(pagePath);
+
+    const html = this.templates.commandPage({
+      command,
+      collection,
+      profile,
+      apiProfile: command.apiProfile || this.apiProfiler.profileCode(command.code || ''),
+      path: pagePath,
+      links: {
+        root,
+        gallery: root,
+        author: `${root}${Permalinks.pagePath(profile.username)}`,
+        collection: '../',
+        command: `${root}${Permalinks.hashRoute(profile.username, fileName, key)}`
+      }
+    });
+
+    this.writePage(['u', profile.username, Permalinks.collectionSlug(fileName), key], html);
+    return { path: pagePath, type: 'command', lastmod: this.collectionDate(collection) };
+  }
+
+  /**
+   * Write the page for one badge
+   * @param {Object} entry - { badge, holders: [{ profile, awardedAt }] } from BadgeEngine.holders
+   * @returns {Object} { path, type, lastmod }
+   */
+  writeBadgePage(entry) {
+    const pagePath = this.badgePath(entry.badge.id);
+    const root = this.relativeRoot(pagePath);
+
+    const html = this.templates.badgePage({
+      badge: entry.badge,
+      holders: entry.holders.map(({ profile, awardedAt }) => ({
+        profile,
+        awardedAt,
+        href: `${root}${Permalinks.pagePath(profile.username)}`
+      })),
+      path: pagePath,
+      links: { root, gallery: root, badges: '../' }
+    });
+
+    this.writePage(['badges', entry.badge.id], html);
+    return { path: pagePath, type: 'badge', lastmod: this.latest(entry.holders.map(holder => holder.awardedAt)) };
+  }
+
+  /**
+   * Write the page listing every badge
+   * @param {Object[]} badges - From BadgeEngine.holders
+   * @param {Object[]} badgePages - Pages written by writeBadgePage, in the same order
+   * @returns {Object} { path, type, lastmod }
+   */
+  writeBadgesPage(badges, badgePages) {
+    const pagePath = 'badges/';
+    const root = this.relativeRoot(pagePath);
+
+    const html = this.templates.badgesPage({
+      badges: badges.map(({ badge, holders }) => ({
+        badge,
+        holderCount: holders.length,
+        href: `${encodeURIComponent(badge.id)}/`
+      })),
+      path: pagePath,
+      links: { root, gallery: root }
+    });
+
+    this.writePage(['badges'], html);
+    return { path: pagePath, type: 'badges', lastmod: this.latest(badgePages.map(page => page.lastmod)) };
+  }
+
+  /**
+   * Page path of a badge
+   * @param {string} id - Badge ID
+   * @returns {string} badges/{id}/
+   */
+  badgePath(id) {
+    return `badges/${encodeURIComponent(id)}/`;
+  }
+
+  /**
+   * Feed entries for the newest collections
+   * @param {Object[]} published - [{ profile, ref, collection }]
+   * @returns {Object[]} Entries for SiteTemplates.feed, newest first
+   */
+  feedEntries(published) {
+    return published
+      .map(({ profile, ref, collection }) => ({
+        title: collection.name || ref.name,
+        author: profile.displayName || profile.username,
+        path: Permalinks.pagePath(profile.username, ref.fileName),
+        summary: collection.description || ref.description || '',
+        category: collection.category || ref.category,
+        published: collection.submittedAt || ref.submittedAt || this.collectionDate(collection),
+        updated: this.collectionDate(collection) || ref.submittedAt
+      }))
+      .filter(entry => entry.published)
+      .sort((a, b) => new Date(b.published) - new Date(a.published) || a.path.localeCompare(b.path))
+      .slice(0, FEED_SIZE);
+  }
+
+  /**
+   * Last modification time of a collection
+   * @param {Object} collection - Collection file contents
+   * @returns {string|null} ISO timestamp
+   */
+  collectionDate(collection) {
+    return collection.updatedAt || collection.processedAt || collection.submittedAt || null;
+  }
+
+  /**
+   * Latest of a set of timestamps
+   * @param {Array<string|null>} values - ISO timestamps, missing values ignored
+   * @returns {string|null} Latest timestamp
+   */
+  latest(values) {
+    return values
+      .filter(value => value && !Number.isNaN(new Date(value).getTime()))
+      .reduce((latest, value) => (!latest || new Date(value) > new Date(latest) ? value : latest), null);
+  }
+
+  /**
+   * Relative path from a page back to the site root
+   * @param {string} pagePath - Page path ending in /
+   * @returns {string} e.g. ../../../../
+   */
+  relativeRoot(pagePath) {
+    return '../'.repeat(pagePath.split('/').filter(Boolean).length);
+  }
+
+  /**
+   * Write an index.html under the output directory
+   * @param {string[]} segments - Directory segments (unencoded)
+   * @param {string} html - Page HTML
+   */
+  writePage(segments, html) {
+    const dir = path.join(this.outputDir, ...segments);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html, 'utf8');
+  }
+
+  /**
+   * Write a file at the root of the output directory
+   * @param {string} fileName - File name
+   * @param {string} content - File content
+   */
+  writeFile(fileName, content) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(path.join(this.outputDir, fileName), content, 'utf8');
+  }
+
+  /**
+   * Load every user profile
+   * @returns {Object[]} Profiles sorted by username
+   */
+  loadProfiles() {
+    if (!fs.existsSync(this.collectionsDir)) return [];
+
+    return fs.readdirSync(this.collectionsDir, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory() && dirent.name !== '.git' && dirent.name !== CatalogBuilder.CATALOG_DIR)
+      .map(dirent => path.join(this.collectionsDir, dirent.name, 'profile.json'))
+      .filter(profilePath => fs.existsSync(profilePath))
+      .map(profilePath => {
+        try {
+          return JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+        } catch (error) {
+          console.warn(`Skipping ${profilePath}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * Load a collection file
+   * @param {string} username - Author username
+   * @param {string} fileName - Collection file name
+   * @returns {Object|null} Collection, or null when it cannot be read
+   */
+  loadCollection(username, fileName) {
+    const filePath = path.join(this.collectionsDir, username, 'collections', fileName);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Skipping ${filePath}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const collectionsDir = option('--collections') || './collections';
+  const siteUrl = option('--site-url') || DEFAULT_SITE_URL;
+  const outputDir = args[0] || '_site';
+
+  try {
+    const generator = new SiteGenerator({ collectionsDir, outputDir, siteUrl });
+    // Profiles, collections and the catalog must be from the same organizer run
+    const result = CollectionTransaction.whileLocked(collectionsDir, () => generator.generate());
+
+    // Output JSON for workflow consumption
+    const counts = result.pages.reduce((totals, page) => ({ ...totals, [page.type]: (totals[page.type] || 0) + 1 }), {});
+    console.log(JSON.stringify({ outputDir, pages: result.pages.length, ...counts, feedEntries: result.feedEntries.length }, null, 2));
+
+    // Log summary to stderr for human readability
+    console.error(`\n🏗️  Generated ${result.pages.length} sitemap page(s) in ${outputDir}`);
+    console.error(`   Profiles: ${counts.profile || 0}, collections: ${counts.collection || 0}, commands: ${counts.command || 0}`);
+    console.error(`   Badges: ${counts.badge || 0}`);
+    console.error(`   Feed: ${result.feedEntries.length} collection(s)`);
+  } catch (error) {
+    console.error('❌ Site generation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = SiteGenerator;
@@ -0,0 +1,509 @@
+/**
+ * Site Templates
+ * HTML, sitemap and feed templates for the static site written by site-generator.js
+ */
+
+const ACCESS_LABELS = {
+  'read-only': '👁️ Read-only',
+  write: '✏️ Writes Data',
+  destructive: '⚠️ Modifies/Deletes Data',
+  unknown: '❓ Not Analyzed'
+};
+
+const SMOKE_TEST_LABELS = {
+  passed: '✅ Passed',
+  failed: '❌ Failed',
+  timeout: '⏱️ Timed out'
+};
+
+class SiteTemplates {
+  /**
+   * @param {Object} options - Template options
+   * @param {string} options.siteName - Site title
+   * @param {string} options.siteUrl - Absolute site URL without trailing slash
+   */
+  constructor(options = {}) {
+    this.siteName = options.siteName || 'Level Up Community Commands';
+    this.siteUrl = options.siteUrl;
+  }
+
+  /**
+   * Escape text for HTML content and attribute values
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format an ISO date or timestamp as YYYY-MM-DD
+   * @param {string|number} value - Date value
+   * @returns {string} Date, or an empty string when missing or invalid
+   */
+  formatDate(value) {
+    const date = new Date(value);
+    return value && !Number.isNaN(date.getTime()) ? date.toISOString().substring(0, 10) : '';
+  }
+
+  /**
+   * Full HTML document
+   * @param {Object} page - Page options
+   * @param {string} page.title - Page title (without the site name)
+   * @param {string} page.description - Meta and Open Graph description
+   * @param {string} page.path - Page path relative to the site root, e.g. u/jane/tools/1a2b3c4d/
+   * @param {string} page.root - Relative path from the page back to the site root, e.g. ../../../../
+   * @param {string} page.ogType - Open Graph type
+   * @param {string} page.image - Open Graph image URL (optional)
+   * @param {string} page.body - Main content HTML
+   * @returns {string} HTML
+   */
+  layout(page) {
+    const canonicalUrl = `${this.siteUrl}/${page.path}`;
+    const title = `${page.title} – ${this.siteName}`;
+    const e = value => this.escapeHtml(value);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <meta name="color-scheme" content="light dark" />
+    <title>${e(title)}</title>
+    <meta name="description" content="${e(page.description)}" />
+    <link rel="canonical" href="${e(canonicalUrl)}" />
+    <meta property="og:site_name" content="${e(this.siteName)}" />
+    <meta property="og:title" content="${e(page.title)}" />
+    <meta property="og:description" content="${e(page.description)}" />
+    <meta property="og:type" content="${e(page.ogType || 'website')}" />
+    <meta property="og:url" content="${e(canonicalUrl)}" />
+${page.image ? `    <meta property="og:image" content="${e(page.image)}" />\n` : ''}    <meta name="twitter:card" content="summary" />
+    <link rel="alternate" type="application/atom+xml" title="New collections" href="${e(`${this.siteUrl}/feed.xml`)}" />
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="min-h-screen bg-gray-50 text-gray-900 antialiased">
+    <header class="border-b border-gray-200 bg-white">
+        <nav class="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+            <a href="${e(page.root)}" class="font-semibold text-indigo-600 hover:underline">⚡ ${e(this.siteName)}</a>
+        </nav>
+    </header>
+    <main class="max-w-5xl mx-auto px-4 py-10">
+${page.body}
+    </main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Static page for one command
+   * @param {Object} data - Page data
+   * @param {Object} data.command - Command from the collection file
+   * @param {Object} data.collection - Collection file contents
+   * @param {Object} data.profile - Author profile
+   * @param {Object} data.apiProfile - Command Xrm API profile
+   * @param {Object} data.links - { root, gallery, author, collection, command } hrefs relative to the page
+   * @param {string} data.path - Page path relative to the site root
+   * @returns {string} HTML
+   */
+  commandPage(data) {
+    const { command, collection, profile, apiProfile, links } = data;
+    const e = value => this.escapeHtml(value);
+    const author = profile.displayName || profile.username;
+    const code = String(command.code || '').replace(/\r\n/g, '\n');
+
+    const details = [
+      ['Collection', `<a class="text-indigo-600 hover:underline" href="${e(links.collection)}">${e(collection.name)}</a>`],
+      ['Author', `<a class="text-indigo-600 hover:underline" href="${e(links.author)}">${e(author)}</a>` +
+        ` (<a class="text-indigo-600 hover:underline" href="https://github.com/${e(profile.username)}">@${e(profile.username)}</a>)`],
+      ['Category', e(command.category || collection.category)],
+      ['Tags', e((command.tags && command.tags.length ? command.tags : collection.tags || []).join(', '))],
+      ['Version', e(command.version || collection.version)],
+      ['Added', e(this.formatDate(command.createdAt || collection.submittedAt))],
+      ['Copied', command.stats && command.stats.downloads ? e(`${command.stats.downloads} time(s)`) : ''],
+      ['Source', collection.source && collection.source.issueUrl
+        ? `<a class="text-indigo-600 hover:underline" href="${e(collection.source.issueUrl)}">Issue #${e(collection.source.issueNumber)}</a>`
+        : ''],
+      ['Smoke test', command.smokeTest ? e(this.smokeTestLabel(command.smokeTest)) : '']
+    ].filter(([, value]) => value);
+
+    const body = `        <p class="text-sm text-gray-500"><a class="hover:underline" href="${e(links.gallery)}">Gallery</a> ›
+            <a class="hover:underline" href="${e(links.author)}">${e(author)}</a> ›
+            <a class="hover:underline" href="${e(links.collection)}">${e(collection.name)}</a></p>
+        <h1 class="mt-3 text-3xl font-bold tracking-tight">${e(command.icon || '📄')} ${e(command.name)}</h1>
+        <p class="mt-2 text-gray-600">${e(command.description || 'No description provided.')}</p>
+        <p class="mt-4"><a class="inline-flex px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500" href="${e(links.command)}">Open in gallery</a></p>
+
+        <dl class="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-3 text-sm">
+${details.map(([label, value]) => `            <div><dt class="font-semibold text-gray-500">${e(label)}</dt><dd>${value}</dd></div>`).join('\n')}
+        </dl>
+
+        <h2 class="mt-10 text-xl font-semibold">Xrm API Profile</h2>
+${this.apiProfileSection(apiProfile)}
+
+        <h2 class="mt-10 text-xl font-semibold">Code</h2>
+        <pre class="mt-3 p-4 bg-gray-900 text-gray-100 text-xs leading-relaxed overflow-x-auto rounded-xl"><code>${e(code)}</code></pre>
+`;
+
+    return this.layout({
+      title: command.name,
+      description: command.description || `${command.name} from ${collection.name} by ${author}`,
+      path: data.path,
+      root: links.root,
+      ogType: 'article',
+      body
+    });
+  }
+
+  /**
+   * Static page for an author profile
+   * @param {Object} data - Page data
+   * @param {Object} data.profile - Author profile
+   * @param {Object[]} data.collections - [{ ref, collection, href }] profile collections with their page links
+   * @param {Object[]} data.badges - [{ badge, href }] profile badges with their badge page links (null without a page)
+   * @param {Object} data.links - { root, gallery, author } hrefs relative to the page
+   * @param {string} data.path - Page path relative to the site root
+   * @returns {string} HTML
+   */
+  profilePage(data) {
+    const { profile, collections, links } = data;
+    const e = value => this.escapeHtml(value);
+    const author = profile.displayName || profile.username;
+    const stats = profile.stats || {};
+
+    const statItems = [
+      ['Collections', stats.totalCollections !== undefined ? stats.totalCollections : collections.length],
+      ['Commands', stats.totalCommands],
+      ['Downloads', stats.totalDownloads],
+      ['Rating', stats.totalVotes ? `${stats.averageRating} / 5 (${stats.totalVotes} votes)` : undefined],
+      ['Joined', this.formatDate(profile.joinedAt)]
+    ].filter(([, value]) => value !== undefined && value !== '');
+
+    const badges = (data.badges || []).map(({ badge, href }) => {
+      const label = `${e(badge.icon)} ${e(badge.name)}`;
+      return `            <li class="px-3 py-1 rounded-full bg-indigo-50 text-indigo-700 text-sm" title="${e(badge.description)}">` +
+        `${href ? `<a class="hover:underline" href="${e(href)}">${label}</a>` : label}</li>`;
+    });
+
+    const cards = collections.map(({ ref, collection, href }) => {
+      const meta = [
+        ref.status === 'deprecated' ? '⚠️ Deprecated' : '',
+        collection.category || ref.category,
+        `${(collection.commands || []).length} command(s)`,
+        this.formatDate(ref.submittedAt || collection.submittedAt)
+      ].filter(Boolean).join(' · ');
+      return `            <li class="p-5 bg-white rounded-xl border border-gray-200">
+                <h3 class="text-lg font-semibold"><a class="text-indigo-600 hover:underline" href="${e(href)}">${e(collection.name || ref.name)}</a></h3>
+                <p class="mt-1 text-sm text-gray-600">${e(collection.description || ref.description || 'No description provided.')}</p>
+                <p class="mt-2 text-xs text-gray-500">${e(meta)}</p>
+            </li>`;
+    });
+
+    const body = `        <p class="text-sm text-gray-500"><a class="hover:underline" href="${e(links.gallery)}">Gallery</a> › ${e(author)}</p>
+        <div class="mt-3 flex items-center gap-4">
+${profile.avatarUrl ? `            <img class="w-16 h-16 rounded-full" src="${e(profile.avatarUrl)}" alt="" />\n` : ''}            <div>
+                <h1 class="text-3xl font-bold tracking-tight">${e(author)}</h1>
+                <p class="text-gray-500"><a class="hover:underline" href="https://github.com/${e(profile.username)}">@${e(profile.username)}</a></p>
+            </div>
+        </div>
+${profile.bio ? `        <p class="mt-4 text-gray-600">${e(profile.bio)}</p>\n` : ''}        <p class="mt-4"><a class="inline-flex px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500" href="${e(links.author)}">Open in gallery</a></p>
+
+        <dl class="mt-8 grid grid-cols-2 sm:grid-cols-4 gap-x-8 gap-y-3 text-sm">
+${statItems.map(([label, value]) => `            <div><dt class="font-semibold text-gray-500">${e(label)}</dt><dd>${e(value)}</dd></div>`).join('\n')}
+        </dl>
+${badges.length > 0 ? `
+        <h2 class="mt-10 text-xl font-semibold">Badges</h2>
+        <ul class="mt-3 flex flex-wrap gap-2">
+${badges.join('\n')}
+        </ul>
+` : ''}
+        <h2 class="mt-10 text-xl font-semibold">Collections</h2>
+${cards.length > 0 ? `        <ul class="mt-3 grid gap-4 sm:grid-cols-2">
+${cards.join('\n')}
+        </ul>` : '        <p class="mt-3 text-sm text-gray-500">No published collections yet.</p>'}
+`;
+
+    return this.layout({
+      title: author,
+      description: profile.bio || `Level Up commands published by ${author}`,
+      path: data.path,
+      root: links.root,
+      ogType: 'profile',
+      image: profile.avatarUrl,
+      body
+    });
+  }
+
+  /**
+   * Static page for one badge
+   * @param {Object} data - Page data
+   * @param {Object} data.badge - Badge definition from config/badges.json
+   * @param {Object[]} data.holders - [{ profile, awardedAt, href }] authors holding the badge, earliest first
+   * @param {Object} data.links - { root, gallery, badges } hrefs relative to the page
+   * @param {string} data.path - Page path relative to the site root
+   * @returns {string} HTML
+   */
+  badgePage(data) {
+    const { badge, holders, links } = data;
+    const e = value => this.escapeHtml(value);
+
+    const items = holders.map(({ profile, awardedAt, href }) => {
+      const since = this.formatDate(awardedAt);
+      return `            <li class="py-3 flex items-center gap-3">
+${profile.avatarUrl ? `                <img class="w-8 h-8 rounded-full" src="${e(profile.avatarUrl)}" alt="" />\n` : ''}                <a class="font-semibold text-indigo-600 hover:underline" href="${e(href)}">${e(profile.displayName || profile.username)}</a>
+                <span class="text-sm text-gray-500">@${e(profile.username)}${since ? ` · since ${e(since)}` : ''}</span>
+            </li>`;
+    });
+
+    const body = `        <p class="text-sm text-gray-500"><a class="hover:underline" href="${e(links.gallery)}">Gallery</a> ›
+            <a class="hover:underline" href="${e(links.badges)}">Badges</a> › ${e(badge.name)}</p>
+        <h1 class="mt-3 text-3xl font-bold tracking-tight">${e(badge.icon)} ${e(badge.name)}</h1>
+        <p class="mt-2 text-gray-600">${e(badge.description || '')}${badge.when ? '' : ' Awarded by the maintainers.'}</p>
+
+        <h2 class="mt-10 text-xl font-semibold">Holders (${holders.length})</h2>
+${items.length > 0 ? `        <ul class="mt-3 divide-y divide-gray-200">
+${items.join('\n')}
+        </ul>` : '        <p class="mt-3 text-sm text-gray-500">Nobody holds this badge yet.</p>'}
+`;
+
+    return this.layout({
+      title: `${badge.name} badge`,
+      description: badge.description || `Authors holding the ${badge.name} badge`,
+      path: data.path,
+      root: links.root,
+      body
+    });
+  }
+
+  /**
+   * Static page listing every badge
+   * @param {Object} data - Page data
+   * @param {Object[]} data.badges - [{ badge, holderCount, href }] in config order
+   * @param {Object} data.links - { root, gallery } hrefs relative to the page
+   * @param {string} data.path - Page path relative to the site root
+   * @returns {string} HTML
+   */
+  badgesPage(data) {
+    const { badges, links } = data;
+    const e = value => this.escapeHtml(value);
+
+    const cards = badges.map(({ badge, holderCount, href }) => `            <li class="p-5 bg-white rounded-xl border border-gray-200">
+                <h3 class="text-lg font-semibold"><a class="text-indigo-600 hover:underline" href="${e(href)}">${e(badge.icon)} ${e(badge.name)}</a></h3>
+                <p class="mt-1 text-sm text-gray-600">${e(badge.description || '')}</p>
+                <p class="mt-2 text-xs text-gray-500">${e(`${holderCount} holder(s)`)}</p>
+            </li>`);
+
+    const body = `        <p class="text-sm text-gray-500"><a class="hover:underline" href="${e(links.gallery)}">Gallery</a> › Badges</p>
+        <h1 class="mt-3 text-3xl font-bold tracking-tight">Badges</h1>
+        <p class="mt-2 text-gray-600">Badges are awarded to authors for their published collections and revoked when they no longer qualify.</p>
+        <ul class="mt-6 grid gap-4 sm:grid-cols-2">
+${cards.join('\n')}
+        </ul>
+`;
+
+    return this.layout({
+      title: 'Badges',
+      description: 'Badges awarded to Level Up command authors',
+      path: data.path,
+      root: links.root,
+      body
+    });
+  }
+
+  /**
+   * Static page for one collection
+   * @param {Object} data - Page data
+   * @param {Object} data.collection - Collection file contents
+   * @param {Object} data.profile - Author profile
+   * @param {Object[]} data.commands - [{ command, apiProfile, href }] commands with their page links
+   * @param {Object} data.links - { root, gallery, author, profile, collection, replacement } hrefs relative to the page
+   * @param {string} data.path - Page path relative to the site root
+   * @returns {string} HTML
+   */
+  collectionPage(data) {
+    const { collection, profile, commands, links } = data;
+    const e = value => this.escapeHtml(value);
+    const author = profile.displayName || profile.username;
+
+    const details = [
+      ['Author', `<a class="text-indigo-600 hover:underline" href="${e(links.profile)}">${e(author)}</a>` +
+        ` (<a class="text-indigo-600 hover:underline" href="https://github.com/${e(profile.username)}">@${e(profile.username)}</a>)`],
+      ['Category', e(collection.category)],
+      ['Tags', e((collection.tags || []).join(', '))],
+      ['Version', e(collection.version)],
+      ['Submitted', e(this.formatDate(collection.submittedAt))],
+      ['Updated', e(this.formatDate(collection.updatedAt))],
+      ['Source', collection.source && collection.source.issueUrl
+        ? `<a class="text-indigo-600 hover:underline" href="${e(collection.source.issueUrl)}">Issue #${e(collection.source.issueNumber)}</a>`
+        : '']
+    ].filter(([, value]) => value);
+
+    const items = commands.map(({ command, apiProfile, href }) => {
+      const access = apiProfile ? ACCESS_LABELS[apiProfile.access] || apiProfile.access : '';
+      return `            <li class="py-4">
+                <h3 class="font-semibold"><a class="text-indigo-600 hover:underline" href="${e(href)}">${e(command.icon || '📄')} ${e(command.name)}</a></h3>
+                <p class="mt-1 text-sm text-gray-600">${e(command.description || 'No description provided.')}</p>
+${access ? `                <p class="mt-1 text-xs text-gray-500">${e(access)}</p>\n` : ''}            </li>`;
+    });
+
+    const changelog = (collection.changelog || []).map(entry =>
+      `            <li><span class="font-mono">${e(entry.version)}</span> (${e(this.formatDate(entry.date))}) ${e(entry.summary || '')}</li>`);
+
+    const body = `        <p class="text-sm text-gray-500"><a class="hover:underline" href="${e(links.gallery)}">Gallery</a> ›
+            <a class="hover:underline" href="${e(links.profile)}">${e(author)}</a> › ${e(collection.name)}</p>
+        <h1 class="mt-3 text-3xl font-bold tracking-tight">${e(collection.name)}</h1>
+${collection.status === 'deprecated' ? this.deprecationNotice(collection.deprecation, links.replacement) : ''}        <p class="mt-2 text-gray-600">${e(collection.description || 'No description provided.')}</p>
+        <p class="mt-4"><a class="inline-flex px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500" href="${e(links.collection)}">Open in gallery</a></p>
+
+        <dl class="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-3 text-sm">
+${details.map(([label, value]) => `            <div><dt class="font-semibold text-gray-500">${e(label)}</dt><dd>${value}</dd></div>`).join('\n')}
+        </dl>
+
+        <h2 class="mt-10 text-xl font-semibold">Commands (${commands.length})</h2>
+        <ul class="mt-3 divide-y divide-gray-200">
+${items.join('\n')}
+        </ul>
+${changelog.length > 0 ? `
+        <h2 class="mt-10 text-xl font-semibold">Changelog</h2>
+        <ul class="mt-3 text-sm list-disc pl-5">
+${changelog.join('\n')}
+        </ul>
+` : ''}`;
+
+    return this.layout({
+      title: collection.name,
+      description: collection.description || `${collection.name} by ${author}`,
+      path: data.path,
+      root: links.root,
+      ogType: 'article',
+      body
+    });
+  }
+
+  /**
+   * sitemap.xml
+   * @param {Object[]} pages - [{ path, lastmod }] paths relative to the site root
+   * @returns {string} XML
+   */
+  sitemap(pages) {
+    const e = value => this.escapeHtml(value);
+    const urls = pages.map(page => {
+      const lastmod = this.formatDate(page.lastmod);
+      return `  <url>
+    <loc>${e(`${this.siteUrl}/${page.path}`)}</loc>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </url>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+  }
+
+  /**
+   * Atom feed of new collections
+   * @param {Object[]} entries - [{ title, author, path, summary, category, published, updated }] newest first
+   * @param {string} updated - Feed update timestamp
+   * @returns {string} XML
+   */
+  feed(entries, updated) {
+    const e = value => this.escapeHtml(value);
+    const items = entries.map(entry => {
+      const url = `${this.siteUrl}/${entry.path}`;
+      return `  <entry>
+    <title>${e(entry.title)}</title>
+    <link href="${e(url)}" />
+    <id>${e(url)}</id>
+    <published>${e(entry.published)}</published>
+    <updated>${e(entry.updated)}</updated>
+    <author><name>${e(entry.author)}</name></author>
+${entry.category ? `    <category term="${e(entry.category)}" />\n` : ''}    <summary>${e(entry.summary)}</summary>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${e(`${this.siteName} – New Collections`)}</title>
+  <link href="${e(`${this.siteUrl}/`)}" />
+  <link rel="self" href="${e(`${this.siteUrl}/feed.xml`)}" />
+  <id>${e(`${this.siteUrl}/feed.xml`)}</id>
+  <updated>${e(updated)}</updated>
+${items.join('\n')}
+</feed>
+`;
+  }
+
+  /**
+   * Xrm API profile section
+   * @param {Object} apiProfile - Command API profile
+   * @returns {string} HTML
+   */
+  apiProfileSection(apiProfile) {
+    const e = value => this.escapeHtml(value);
+    const profile = apiProfile || { access: 'read-only', apis: [], webApi: [], deprecated: [], unresolved: [] };
+    const rows = (profile.apis || []).map(usage =>
+      `                <tr><td class="py-1 pr-4 font-mono">${e(usage.api)}</td><td class="py-1 pr-4">${e(usage.access)}</td>` +
+      `<td class="py-1">${e((usage.lines || []).join(', '))}</td></tr>`);
+    (profile.webApi || []).forEach(request => {
+      rows.push(`                <tr><td class="py-1 pr-4 font-mono">Web API ${e(request.method)}</td><td class="py-1 pr-4">` +
+        `${e(request.access)}</td><td class="py-1">${e(request.line)}</td></tr>`);
+    });
+    (profile.unresolved || []).forEach(call => {
+      rows.push(`                <tr><td class="py-1 pr-4 font-mono">.${e(call.method)}() on an unresolved object</td>` +
+        `<td class="py-1 pr-4">${e(call.access)}</td><td class="py-1">${e(call.line)}</td></tr>`);
+    });
+
+    const deprecated = (profile.deprecated || []).map(item =>
+      `            <li><span class="font-mono">${e(item.api)}</span> (line ${e(item.line)}) → use <span class="font-mono">${e(item.replacement)}</span></li>`);
+
+    return `        <p class="mt-3 text-sm font-semibold">${e(ACCESS_LABELS[profile.access] || profile.access)}</p>
+${rows.length > 0 ? `        <table class="mt-3 text-sm">
+            <thead><tr class="text-left text-gray-500"><th class="pr-4">API</th><th class="pr-4">Access</th><th>Lines</th></tr></thead>
+            <tbody>
+${rows.join('\n')}
+            </tbody>
+        </table>` : '        <p class="mt-3 text-sm text-gray-500">No Xrm APIs detected.</p>'}
+${deprecated.length > 0 ? `        <h3 class="mt-4 font-semibold">Deprecated APIs</h3>
+        <ul class="mt-2 text-sm list-disc pl-5">
+${deprecated.join('\n')}
+        </ul>` : ''}`;
+  }
+
+  /**
+   * Warning for a deprecated collection
+   * @param {Object} deprecation - Collection deprecation
+   * @param {string} replacementHref - Link to the replacement, relative to the page
+   * @returns {string} HTML
+   */
+  deprecationNotice(deprecation, replacementHref) {
+    const e = value => this.escapeHtml(value);
+    const { reason, replacement } = deprecation || {};
+    const use = replacement && replacementHref
+      ? `\n            <p class="mt-1">Use <a class="font-semibold underline" href="${e(replacementHref)}">${e(replacement.url || `${replacement.name} by ${replacement.username}`)}</a> instead.</p>`
+      : '';
+    return `        <div class="mt-4 px-4 py-3 rounded-lg bg-amber-50 border border-amber-300 text-sm text-amber-800" role="note">
+            <p class="font-semibold">⚠️ Deprecated</p>
+            <p class="mt-1">${e(reason || 'This collection is no longer maintained.')}</p>${use}
+        </div>
+`;
+  }
+
+  /**
+   * Smoke test summary
+   * @param {Object} smokeTest - Command smokeTest
+   * @returns {string} Label
+   */
+  smokeTestLabel(smokeTest) {
+    const label = SMOKE_TEST_LABELS[smokeTest.status] || smokeTest.status;
+    const tested = this.formatDate(smokeTest.testedAt);
+    return tested ? `${label} on ${tested}` : label;
+  }
+}
+
+module.exports = SiteTemplates;
@@ -0,0 +1,227 @@
+/**
+ * Submission Intake
+ * Reads a collection submitted as files in a pull request instead of an issue: a directory with a
+ * Level Up export JSON, or with command .js files carrying the header the organizer writes.
+ * The files are rendered into the issue form body and parsed by CollectionIssueParser, so the
+ * result has the same structure and validation as an issue submission and CollectionOrganizer
+ * publishes it unchanged.
+ *
+ *   submissions/<collection>/submission.json   Collection details (optional for exports)
+ *   submissions/<collection>/<export>.json     Level Up export, or
+ *   submissions/<collection>/*.js              One file per command
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ImportValidator = require('./import-validator');
+const CommandFileHeader = require('./command-file-header');
+
+const DETAILS_FILE = 'submission.json';
+
+class SubmissionIntake {
+  /**
+   * @param {Object} options - Passed to ImportValidator (template, schemas)
+   */
+  constructor(options = {}) {
+    this.validator = new ImportValidator(options);
+    this.commandHeader = new CommandFileHeader();
+  }
+
+  /**
+   * Parse submitted files into collection data
+   * @param {string[]} paths - Submission directories and/or individual files
+   * @param {Object} context - Pull request the files came from
+   * @param {number} context.number - Pull request number
+   * @param {string} context.url - Pull request URL
+   * @param {string} context.submittedAt - ISO date of the submission
+   * @param {string} context.submittedBy - GitHub username of the pull request author
+   * @returns {Object} Parsed collection data, as CollectionIssueParser.parseIssue returns it
+   */
+  parseSubmission(paths, context = {}) {
+    const submission = this.readFiles(paths);
+    const details = { ...submission.details };
+    if (context.submittedBy) {
+      // The pull request author is the verified submitter; the details file cannot override it
+      details.username = context.submittedBy;
+    }
+
+    const values = this.validator.issueValues(submission.exportData, details);
+    values['safety-checklist'] = this.confirmedChecklist(details.safetyChecklist);
+    const issue = this.validator.buildIssue(values);
+
+    return this.validator.parser.parseIssue({
+      number: context.number || null,
+      title: issue.title,
+      body: issue.body,
+      html_url: context.url || null,
+      created_at: context.submittedAt || new Date().toISOString(),
+      user: { login: values['contact-info'] || undefined }
+    });
+  }
+
+  /**
+   * Collect the details file, export and command files from the given paths
+   * @param {string[]} paths - Directories and/or files
+   * @returns {Object} { details, exportData, files }
+   */
+  readFiles(paths) {
+    const files = paths.flatMap(target => {
+      if (!fs.existsSync(target)) {
+        throw new Error(`Submission path not found: ${target}`);
+      }
+      if (!fs.statSync(target).isDirectory()) return [target];
+
+      return fs.readdirSync(target)
+        .filter(name => !name.startsWith('.'))
+        .sort()
+        .map(name => path.join(target, name))
+        .filter(filePath => fs.statSync(filePath).isFile());
+    });
+
+    const detailsFiles = files.filter(filePath => path.basename(filePath) === DETAILS_FILE);
+    const exportFiles = files.filter(filePath => filePath.endsWith('.json') && !detailsFiles.includes(filePath));
+    const commandFiles = files.filter(filePath => filePath.endsWith('.js'));
+
+    if (detailsFiles.length > 1) {
+      throw new Error(`Expected one ${DETAILS_FILE}, found ${detailsFiles.length}`);
+    }
+    if (exportFiles.length > 1) {
+      throw new Error(`Expected one Level Up export, found ${exportFiles.length}: ${exportFiles.join(', ')}`);
+    }
+    if (exportFiles.length > 0 && commandFiles.length > 0) {
+      throw new Error('A submission contains either a Level Up export or command .js files, not both');
+    }
+    if (exportFiles.length === 0 && commandFiles.length === 0) {
+      throw new Error('No Level Up export or command .js files found');
+    }
+
+    const details = detailsFiles.length > 0 ? this.readJson(detailsFiles[0]) : {};
+    const exportData = exportFiles.length > 0
+      ? this.validator.parseExport(fs.readFileSync(exportFiles[0], 'utf8'))
+      : this.exportFromCommandFiles(commandFiles, details);
+
+    return { details: this.detailsWithDefaults(details, exportData), exportData, files };
+  }
+
+  /**
+   * Build a Level Up export from command files
+   * @param {string[]} commandFiles - Paths of .js files
+   * @param {Object} details - Collection details
+   * @returns {Object} Level Up export
+   */
+  exportFromCommandFiles(commandFiles, details) {
+    const contents = commandFiles.map(filePath => fs.readFileSync(filePath, 'utf8'));
+    const headers = contents.map(content => this.commandHeader.parse(content).header);
+    const fromHeaders = key => (headers.find(header => header[key]) || {})[key];
+    const collection = {
+      name: details.name || fromHeaders('collection') || '',
+      description: details.description || ''
+    };
+
+    // Files downloaded from a published collection keep updating it
+    if (fromHeaders('collectionId')) {
+      collection.id = fromHeaders('collectionId');
+    }
+
+    return {
+      version: '1.0.0',
+      exportedAt: Date.now(),
+      collection,
+      commands: contents.map(content => this.commandHeader.toCommand(content))
+    };
+  }
+
+  /**
+   * Fill details the export or command headers already carry
+   * @param {Object} details - Contents of submission.json
+   * @param {Object} exportData - Level Up export
+   * @returns {Object} Details for ImportValidator.issueValues
+   */
+  detailsWithDefaults(details, exportData) {
+    const commands = this.validator.exportCommands(exportData);
+    const collection = exportData.collection || {};
+    const firstWith = key => (commands.find(command => command && command[key]) || {})[key];
+
+    return {
+      ...details,
+      name: details.name || collection.name || '',
+      description: details.description || collection.description || '',
+      category: details.category || firstWith('category') || null,
+      tags: Array.isArray(details.tags) ? details.tags : String(details.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+      author: details.author || collection.author || firstWith('author') || '',
+      collectionId: details.collectionId || collection.id || ''
+    };
+  }
+
+  /**
+   * Safety checklist items the submitter confirmed in submission.json
+   * @param {boolean|string[]} confirmed - true for every item, or the confirmed labels
+   * @returns {string[]} Confirmed labels
+   */
+  confirmedChecklist(confirmed) {
+    const field = this.validator.parser.formParser.fields.find(item => item.id === 'safety-checklist');
+    const labels = field ? field.options.map(option => option.label) : [];
+    if (confirmed === true) return labels;
+    return Array.isArray(confirmed) ? confirmed.filter(label => labels.includes(label)) : [];
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} filePath - File path
+   * @returns {Object} Parsed JSON
+   */
+  readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const context = {
+    number: parseInt(option('--number'), 10) || null,
+    url: option('--url'),
+    submittedAt: option('--submitted-at'),
+    submittedBy: option('--username')
+  };
+
+  if (args.length === 0) {
+    console.error('Usage: node submission-intake.js <submission-dir|files...> [--username] [--number] [--url] [--submitted-at]');
+    process.exit(1);
+  }
+
+  try {
+    const parser = new SubmissionIntake();
+    const collection = parser.parseSubmission(args, context);
+
+    // Output JSON for workflow consumption, in the same shape as parse-collection-issue.js
+    console.log(JSON.stringify(collection, null, 2));
+
+    // Log summary to stderr for human readability
+    console.error('\n📦 Submission Parsed:');
+    console.error(parser.validator.parser.generateSummary(collection));
+
+    if (collection.validation.errors.length > 0) {
+      console.error('\n❌ Validation Errors:');
+      collection.validation.errors.forEach(error => console.error(`  • ${error}`));
+    }
+
+    if (collection.validation.warnings.length > 0) {
+      console.error('\n⚠️  Validation Warnings:');
+      collection.validation.warnings.forEach(warning => console.error(`  • ${warning}`));
+    }
+  } catch (error) {
+    console.error('❌ Submission intake failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = SubmissionIntake;
@@ -0,0 +1,294 @@
+/**
+ * Usage Stats
+ * Rolls up how often commands are exported from the gallery and how collections are voted on,
+ * and writes the totals into the stats of every command, collection and author profile.
+ *
+ *   stats/reactions/*.json   Issues exported from the GitHub API. `reactions` is either the
+ *                            summary the issues API returns, or the list from the reactions API.
+ *   stats/events/*.jsonl     Copy and download events logged by the gallery, one JSON per line.
+ *
+ * Totals are recomputed from all data files on every run, so running it twice changes nothing.
+ * Reactions are votes on the collection submitted in that issue or pull request: 👍 ❤️ 🎉 🚀 count
+ * as positive and 👎 😕 as negative; the rating is the positive share on a 0-5 scale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CollectionOrganizer = require('./organize-collection');
+const LevelUpBundle = require('../docs/js/levelup-bundle');
+
+const POSITIVE_REACTIONS = ['+1', 'heart', 'hooray', 'rocket'];
+const NEGATIVE_REACTIONS = ['-1', 'confused'];
+const MAX_RATING = 5;
+const EVENT_TYPES = ['copy', 'download'];
+
+class UsageStats {
+  constructor() {
+    this.organizer = new CollectionOrganizer();
+  }
+
+  /**
+   * Read reaction and event files
+   * @param {string} dataDir - Directory with reactions/ and events/
+   * @returns {Object} { issues: Map<number, votes>, events: Object[], skippedEvents: number }
+   */
+  readData(dataDir) {
+    const issues = new Map();
+    this.listFiles(path.join(dataDir, 'reactions'), '.json').forEach(filePath => {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      // Files are read in name order, so a newer export of the same issue replaces an older one
+      (Array.isArray(data) ? data : [data]).forEach(issue => {
+        if (issue && Number.isInteger(issue.number)) issues.set(issue.number, issue);
+      });
+    });
+
+    const events = new Map();
+    let skippedEvents = 0;
+    this.listFiles(path.join(dataDir, 'events'), '.jsonl').forEach(filePath => {
+      fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim()).forEach((line, index) => {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          event = null;
+        }
+        if (!this.isValidEvent(event)) {
+          skippedEvents++;
+          return;
+        }
+        // The same event delivered twice is counted once
+        const key = event.id || `${path.basename(filePath)}:${index}`;
+        if (!events.has(key)) events.set(key, event);
+      });
+    });
+
+    return { issues, events: [...events.values()], skippedEvents };
+  }
+
+  /**
+   * Files with an extension in a directory, sorted by name
+   * @param {string} dir - Directory
+   * @param {string} extension - File extension
+   * @returns {string[]} File paths
+   */
+  listFiles(dir, extension) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith(extension))
+      .sort()
+      .map(name => path.join(dir, name));
+  }
+
+  /**
+   * Check the shape of a gallery event
+   * @param {Object} event - { id, type: copy|download, source, at, commands: [{ username, collectionId, fileName, commandId }] }
+   * @returns {boolean} True if it can be counted
+   */
+  isValidEvent(event) {
+    return Boolean(event) &&
+      EVENT_TYPES.includes(event.type) &&
+      Array.isArray(event.commands) &&
+      event.commands.every(command => command && typeof command.commandId === 'string' &&
+        (typeof command.collectionId === 'string' || (typeof command.username === 'string' && typeof command.fileName === 'string')));
+  }
+
+  /**
+   * Positive and negative votes on an issue
+   * @param {Object} issue - Exported issue
+   * @param {string} submitter - Username whose reactions are not counted, when the export lists users
+   * @returns {Object} { positive, negative }
+   */
+  countVotes(issue, submitter) {
+    const reactions = issue.reactions || {};
+
+    if (!Array.isArray(reactions)) {
+      const sum = contents => contents.reduce((total, content) => total + (Number(reactions[content]) || 0), 0);
+      return { positive: sum(POSITIVE_REACTIONS), negative: sum(NEGATIVE_REACTIONS) };
+    }
+
+    // One vote per user; a user who reacted both ways does not count
+    const users = new Map();
+    reactions.forEach(reaction => {
+      const login = reaction.user && reaction.user.login;
+      if (!login || (submitter && login.toLowerCase() === submitter.toLowerCase())) return;
+      const vote = users.get(login) || { positive: false, negative: false };
+      if (POSITIVE_REACTIONS.includes(reaction.content)) vote.positive = true;
+      if (NEGATIVE_REACTIONS.includes(reaction.content)) vote.negative = true;
+      users.set(login, vote);
+    });
+
+    const votes = [...users.values()];
+    return {
+      positive: votes.filter(vote => vote.positive && !vote.negative).length,
+      negative: votes.filter(vote => vote.negative && !vote.positive).length
+    };
+  }
+
+  /**
+   * Rating from vote counts
+   * @param {Object} votes - { positive, negative }
+   * @returns {number} 0-5 with one decimal, 0 without votes
+   */
+  rating(votes) {
+    const total = votes.positive + votes.negative;
+    return total > 0 ? Math.round((MAX_RATING * votes.positive / total) * 10) / 10 : 0;
+  }
+
+  /**
+   * Read every published collection
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @returns {Object[]} [{ username, profilePath, profile, collections: [{ ref, filePath, data }] }]
+   */
+  readCollections(collectionsBaseDir) {
+    return fs.readdirSync(collectionsBaseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('_') && !entry.name.startsWith('.'))
+      .map(entry => path.join(collectionsBaseDir, entry.name, 'profile.json'))
+      .filter(profilePath => fs.existsSync(profilePath))
+      .map(profilePath => {
+        const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+        const collections = profile.collections
+          .map(ref => {
+            const filePath = path.join(path.dirname(profilePath), 'collections', ref.fileName);
+            return fs.existsSync(filePath)
+              ? { ref, filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) }
+              : null;
+          })
+          .filter(Boolean);
+        return { username: profile.username, profilePath, profile, collections };
+      });
+  }
+
+  /**
+   * Count exports and votes per command and collection
+   * @param {Object[]} authors - From readCollections
+   * @param {Object} data - From readData
+   * @returns {Object} { collections: Map<collection, { downloads, votes, commandDownloads }>, unmatchedCommands }
+   */
+  rollUp(authors, data) {
+    const totals = new Map();
+    const byId = new Map();
+    const byLocation = new Map();
+
+    authors.forEach(author => author.collections.forEach(collection => {
+      totals.set(collection, {
+        downloads: 0,
+        votes: { positive: 0, negative: 0 },
+        commandDownloads: (collection.data.commands || []).map(() => 0)
+      });
+      if (collection.data.id) byId.set(collection.data.id, collection);
+      byLocation.set(`${author.username}/${collection.ref.fileName}`, collection);
+    }));
+
+    let unmatchedCommands = 0;
+    data.events.forEach(event => {
+      const exported = new Set();
+      event.commands.forEach(command => {
+        const collection = byId.get(command.collectionId) || byLocation.get(`${command.username}/${command.fileName}`);
+        const index = collection
+          ? (collection.data.commands || []).findIndex((candidate, candidateIndex) =>
+            LevelUpBundle.commandId(candidate, command.username, command.fileName, candidateIndex) === command.commandId)
+          : -1;
+        if (index < 0) {
+          unmatchedCommands++;
+          return;
+        }
+        totals.get(collection).commandDownloads[index]++;
+        exported.add(collection);
+      });
+      // A collection counts once per export, however many of its commands were picked
+      exported.forEach(collection => totals.get(collection).downloads++);
+    });
+
+    totals.forEach((total, collection) => {
+      const issueNumber = collection.data.source && collection.data.source.issueNumber;
+      const issue = issueNumber ? data.issues.get(issueNumber) : null;
+      if (issue) total.votes = this.countVotes(issue, collection.data.submittedBy);
+    });
+
+    return { collections: totals, unmatchedCommands };
+  }
+
+  /**
+   * Update the stats of every command, collection and profile, then the index
+   * @param {string} collectionsBaseDir - Base collections directory
+   * @param {string} dataDir - Directory with reactions/ and events/
+   * @returns {Object} { events, skippedEvents, unmatchedCommands, issues, updatedFiles: string[] }
+   */
+  update(collectionsBaseDir, dataDir) {
+    const data = this.readData(dataDir);
+
+    return this.organizer.transact(collectionsBaseDir, () => {
+      const authors = this.readCollections(collectionsBaseDir);
+      const { collections: totals, unmatchedCommands } = this.rollUp(authors, data);
+      const updatedFiles = [];
+
+      authors.forEach(author => {
+        author.collections.forEach(collection => {
+          const total = totals.get(collection);
+          const updated = {
+            ...collection.data,
+            stats: {
+              downloads: total.downloads,
+              rating: this.rating(total.votes),
+              votes: total.votes.positive + total.votes.negative
+            },
+            commands: (collection.data.commands || []).map((command, index) => ({
+              ...command,
+              stats: { downloads: total.commandDownloads[index] }
+            }))
+          };
+          if (this.organizer.writeJsonFile(collection.filePath, updated, 'collection')) {
+            updatedFiles.push(collection.filePath);
+          }
+        });
+
+        // Profile totals, collection references and badges follow the collection files
+        this.organizer.refreshProfile(author.profile, path.dirname(author.profilePath));
+        if (this.organizer.writeJsonFile(author.profilePath, author.profile, 'profile')) {
+          updatedFiles.push(author.profilePath);
+        }
+      });
+
+      if (updatedFiles.length > 0) {
+        this.organizer.updateCollectionsIndex(collectionsBaseDir);
+      }
+
+      return {
+        events: data.events.length,
+        skippedEvents: data.skippedEvents,
+        unmatchedCommands,
+        issues: data.issues.size,
+        updatedFiles
+      };
+    });
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const dataDir = option('--data') || './stats';
+  const collectionsDir = args[0] || './collections';
+
+  try {
+    const result = new UsageStats().update(collectionsDir, dataDir);
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify(result, null, 2));
+
+    // Log summary to stderr for human readability
+    console.error('\n📈 Usage Stats Updated:');
+    console.error(`Events: ${result.events} counted, ${result.skippedEvents} malformed, ${result.unmatchedCommands} unknown command(s)`);
+    console.error(`Issues with reactions: ${result.issues}`);
+    console.error(`Files updated: ${result.updatedFiles.length}`);
+  } catch (error) {
+    console.error('❌ Usage stats update failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = UsageStats;
@@ -0,0 +1,206 @@
+/**
+ * Collection Schema Validator
+ * Validates collection, profile, index, catalog, search index, file name map and Level Up import files against the JSON Schemas
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_VERSION = 'v1';
+
+const SCHEMA_FILES = {
+  collection: 'collection.schema.json',
+  profile: 'profile.schema.json',
+  index: 'index.schema.json',
+  'catalog-manifest': 'catalog-manifest.schema.json',
+  'catalog-shard': 'catalog-shard.schema.json',
+  'search-index': 'search-index.schema.json',
+  'file-names': 'file-names.schema.json',
+  'audit-log': 'audit-log.schema.json',
+  'similar-commands': 'similar-commands.schema.json',
+  'levelup-import': 'levelup-import.schema.json'
+};
+
+class CollectionSchemaValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {Object} options.schemas - Schema name to loaded schema. Used instead of reading every
+   *   schema file, e.g. by the browser bundle built from scripts/import-validator-browser.js
+   */
+  constructor(options = {}) {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+
+    const schemas = options.schemas || this.loadSchemaFiles();
+    Object.entries(schemas).forEach(([name, schema]) => {
+      this.ajv.addSchema(schema, name);
+    });
+  }
+
+  /**
+   * Read every schema in schemas/{version}
+   * @returns {Object} Schema name to schema
+   */
+  loadSchemaFiles() {
+    const schemasDir = path.join(__dirname, '..', 'schemas', SCHEMA_VERSION);
+    return Object.fromEntries(Object.entries(SCHEMA_FILES).map(([name, fileName]) => [
+      name,
+      JSON.parse(fs.readFileSync(path.join(schemasDir, fileName), 'utf8'))
+    ]));
+  }
+
+  /**
+   * Validate data against a named schema
+   * @param {string} schemaName - collection | profile | index | catalog-manifest | catalog-shard | search-index | file-names | audit-log | similar-commands | levelup-import
+   * @param {Object} data - Data to validate
+   * @returns {Object} { valid, errors: [{ pointer, message }] }
+   */
+  validate(schemaName, data) {
+    const validateFn = this.ajv.getSchema(schemaName);
+    if (!validateFn) {
+      throw new Error(`Unknown schema: ${schemaName}`);
+    }
+
+    const valid = validateFn(data);
+    const errors = (validateFn.errors || []).map(error => ({
+      pointer: `#${error.instancePath}`,
+      message: this.formatError(error)
+    }));
+
+    return { valid, errors };
+  }
+
+  /**
+   * Throw if data does not match its schema
+   * @param {string} schemaName - Schema name
+   * @param {Object} data - Data to validate
+   * @param {string} label - File or object name used in the error message
+   */
+  assertValid(schemaName, data, label) {
+    const result = this.validate(schemaName, data);
+    if (!result.valid) {
+      const details = result.errors.map(error => `${error.pointer} ${error.message}`).join('; ');
+      throw new Error(`${label} does not match the ${schemaName} schema: ${details}`);
+    }
+  }
+
+  /**
+   * Turn an Ajv error into a readable message
+   * @param {Object} error - Ajv error object
+   * @returns {string} Message
+   */
+  formatError(error) {
+    if (error.keyword === 'additionalProperties') {
+      return `has unexpected property "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'enum') {
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return error.message;
+  }
+
+  /**
+   * Determine which schema applies to a file inside the collections directory
+   * @param {string} relativePath - Path relative to the collections directory
+   * @returns {string|null} Schema name, or null if the file is not a known format
+   */
+  detectSchema(relativePath) {
+    const parts = relativePath.split(path.sep);
+
+    if (parts.length === 1 && parts[0] === 'index.json') return 'index';
+    if (parts.length === 1 && parts[0] === 'search-index.json') return 'search-index';
+    if (parts.length === 1 && parts[0] === 'audit-log.json') return 'audit-log';
+    if (parts.length === 2 && parts[0] === '_catalog') {
+      if (parts[1] === 'manifest.json') return 'catalog-manifest';
+      return parts[1].startsWith('similar-commands.') ? 'similar-commands' : 'catalog-shard';
+    }
+    if (parts.length === 2 && parts[1] === 'profile.json') return 'profile';
+    if (parts.length === 2 && parts[1] === 'file-names.json') return 'file-names';
+    if (parts.length === 3 && parts[1] === 'collections' && parts[2].endsWith('.json')) {
+      return parts[2].endsWith('-levelup.json') ? 'levelup-import' : 'collection';
+    }
+    return null;
+  }
+
+  /**
+   * Validate every known file in a collections directory
+   * @param {string} collectionsDir - Base collections directory
+   * @returns {Object[]} Results: { file, schema, valid, errors }
+   */
+  validateDirectory(collectionsDir) {
+    return this.listJsonFiles(collectionsDir).map(filePath => {
+      const relativePath = path.relative(collectionsDir, filePath);
+      const schema = this.detectSchema(relativePath);
+      const file = path.join(collectionsDir, relativePath);
+
+      if (!schema) {
+        return { file, schema: null, valid: true, errors: [] };
+      }
+
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        return { file, schema, valid: false, errors: [{ pointer: '#', message: error.message }] };
+      }
+
+      return { file, schema, ...this.validate(schema, data) };
+    });
+  }
+
+  /**
+   * Recursively list JSON files
+   * @param {string} dir - Directory to scan
+   * @returns {string[]} File paths, sorted
+   */
+  listJsonFiles(dir) {
+    const files = [];
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(dirent => {
+      const fullPath = path.join(dir, dirent.name);
+      // Skips .git and the journal of a running organizer (.transaction)
+      if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+        files.push(...this.listJsonFiles(fullPath));
+      } else if (dirent.isFile() && dirent.name.endsWith('.json')) {
+        files.push(fullPath);
+      }
+    });
+
+    return files.sort();
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionsDir = process.argv[2] || './collections';
+
+  if (!fs.existsSync(collectionsDir)) {
+    console.error(`Collections directory not found: ${collectionsDir}`);
+    console.error('Usage: node validate-collections.js [collections-dir]');
+    process.exit(1);
+  }
+
+  const validator = new CollectionSchemaValidator();
+  const results = validator.validateDirectory(collectionsDir);
+  let violations = 0;
+
+  results.forEach(result => {
+    if (!result.schema) {
+      console.log('⏭️ ', result.file, '(no schema)');
+    } else if (result.valid) {
+      console.log('✅', result.file, `(${result.schema})`);
+    } else {
+      result.errors.forEach(error => {
+        console.error('❌', `${result.file}${error.pointer}`, error.message);
+      });
+      violations += result.errors.length;
+    }
+  });
+
+  if (violations > 0) {
+    console.error(`\n${violations} schema violation(s) found`);
+    process.exit(1);
+  }
+}
+
+module.exports = CollectionSchemaValidator;
@@ -0,0 +1,549 @@
+/**
+ * Xrm API Profiler
+ * Inventories the Xrm client APIs and Web API calls used by command code,
+ * classifies their data access and flags deprecated client APIs
+ */
+
+const fs = require('fs');
+const walk = require('acorn-walk');
+const {
+  parseCode,
+  staticValue,
+  staticPrefix,
+  propertyName,
+  memberPath,
+  normalizeGlobalPath
+} = require('./ast-utils');
+
+// Ordered from least to most impactful; code that cannot be parsed could do anything
+const ACCESS_LEVELS = ['read-only', 'write', 'destructive', 'unknown'];
+
+const WEB_API_OPERATIONS = {
+  retrieveRecord: 'read-only',
+  retrieveMultipleRecords: 'read-only',
+  isAvailableOffline: 'read-only',
+  createRecord: 'write',
+  updateRecord: 'destructive',
+  deleteRecord: 'destructive',
+  execute: 'destructive',
+  executeMultiple: 'destructive'
+};
+
+const HTTP_METHOD_ACCESS = {
+  GET: 'read-only',
+  HEAD: 'read-only',
+  POST: 'write',
+  PUT: 'destructive',
+  PATCH: 'destructive',
+  DELETE: 'destructive'
+};
+
+// Form context methods that change record data
+const FORM_WRITE_METHODS = ['setValue', 'save'];
+
+// Methods that change data when called on an Xrm object; on a receiver that cannot be
+// resolved they make the access unknown instead of read-only
+const WRITE_METHODS = ['setValue', 'save', 'deleteRecord', 'updateRecord', 'execute'];
+
+// Array and Xrm collection methods whose callback receives each item as its first parameter
+const ITERATOR_METHODS = [
+  'forEach', 'map', 'filter', 'find', 'findIndex', 'some', 'every', 'flatMap'
+];
+
+// Promise continuations are not part of the API being called
+const PROMISE_METHODS = ['then()', 'catch()', 'finally()'];
+
+// Calls whose result is another Xrm object worth tracking through a variable
+const OBJECT_RETURNING_CALLS = [
+  'getGlobalContext()',
+  'getFormContext()',
+  'getAttribute()',
+  'getControl()'
+];
+
+// Checked in order; the first matching entry wins
+const DEPRECATED_APIS = [
+  { pattern: /^Xrm\.Page\.context(\.|$)/, replacement: 'Xrm.Utility.getGlobalContext()' },
+  { pattern: /^Xrm\.Page(\.|$)/, replacement: 'formContext (executionContext.getFormContext())' },
+  { pattern: /^Xrm\.Utility\.alertDialog$/, replacement: 'Xrm.Navigation.openAlertDialog' },
+  { pattern: /^Xrm\.Utility\.confirmDialog$/, replacement: 'Xrm.Navigation.openConfirmDialog' },
+  { pattern: /^Xrm\.Utility\.openEntityForm$/, replacement: 'Xrm.Navigation.openForm' },
+  { pattern: /^Xrm\.Utility\.openQuickCreate$/, replacement: 'Xrm.Navigation.openForm' },
+  { pattern: /^Xrm\.Utility\.openWebResource$/, replacement: 'Xrm.Navigation.openWebResource' },
+  { pattern: /^Xrm\.Utility\.isActivityType$/, replacement: 'Xrm.Utility.getEntityMetadata' },
+  { pattern: /^Xrm\.Mobile\.offline(\.|$)/, replacement: 'Xrm.WebApi.offline' }
+];
+
+// Deprecated members of the global context object
+const DEPRECATED_CONTEXT_METHODS = {
+  getUserId: 'userSettings.userId',
+  getUserName: 'userSettings.userName',
+  getUserRoles: 'userSettings.securityRoles',
+  getUserLcid: 'userSettings.languageId',
+  getOrgLcid: 'organizationSettings.languageId',
+  getOrgUniqueName: 'organizationSettings.uniqueName',
+  getServerUrl: 'getClientUrl()',
+  getIsAutoSaveEnabled: 'organizationSettings.isAutoSaveEnabled',
+  getTimeZoneOffsetMinutes: 'userSettings.getTimeZoneOffsetMinutes()',
+  getQueryStringParameters: 'formContext.data.attributes'
+};
+
+class XrmApiProfiler {
+  /**
+   * Profile the Xrm and Web API usage of a piece of command code
+   * @param {string} code - Command JavaScript code
+   * @returns {Object} API profile
+   */
+  profileCode(code) {
+    const { ast, error } = parseCode(code);
+
+    if (error) {
+      return { ...this.emptyProfile(), access: 'unknown', parseError: error.message };
+    }
+
+    const aliases = this.collectAliases(ast);
+    const usages = new Map();
+    const webApi = [];
+    const deprecated = [];
+    const unresolved = [];
+
+    walk.fullAncestor(ast, (node, state, ancestors, type) => {
+      if (type === 'CallExpression') {
+        this.collectWebApiRequest(node, webApi);
+        this.collectUnresolvedWrite(node, aliases, unresolved);
+      }
+
+      if ((type === 'MemberExpression' || type === 'CallExpression') && this.isChainEnd(ancestors)) {
+        const api = this.resolveApi(node, aliases);
+        if (api) {
+          this.recordUsage(usages, api, node);
+          this.collectDeprecation(api, node, deprecated);
+        }
+      }
+    });
+
+    const apis = [...usages.values()].sort((a, b) => a.api.localeCompare(b.api));
+    const namespaces = [...new Set(apis.map(usage => usage.namespace))].sort();
+    const access = this.highestAccess([
+      ...apis.map(usage => usage.access),
+      ...webApi.map(request => request.access),
+      ...unresolved.map(call => call.access)
+    ]);
+
+    return { access, namespaces, apis, webApi, deprecated, unresolved };
+  }
+
+  /**
+   * Profile every command of a collection and roll the results up
+   * @param {Object[]} commands - Commands with code
+   * @returns {Object} { commands: profile[], summary }
+   */
+  profileCommands(commands) {
+    const profiles = (commands || []).map(command => this.profileCode(command.code || ''));
+    return { commands: profiles, summary: this.summarize(profiles) };
+  }
+
+  /**
+   * Roll up command profiles into a collection-level summary
+   * @param {Object[]} profiles - Command profiles
+   * @returns {Object} Collection profile summary
+   */
+  summarize(profiles) {
+    return {
+      access: this.highestAccess(profiles.map(profile => profile.access)),
+      namespaces: [...new Set(profiles.flatMap(profile => profile.namespaces))].sort(),
+      writeCommands: profiles.filter(profile => profile.access !== 'read-only').length,
+      destructiveCommands: profiles.filter(profile => profile.access === 'destructive').length,
+      deprecatedApis: profiles.reduce((sum, profile) => sum + profile.deprecated.length, 0)
+    };
+  }
+
+  /**
+   * Profile returned when the code cannot be analyzed
+   * @returns {Object} Empty profile
+   */
+  emptyProfile() {
+    return {
+      access: 'read-only',
+      namespaces: [],
+      apis: [],
+      webApi: [],
+      deprecated: [],
+      unresolved: []
+    };
+  }
+
+  /**
+   * Find variables that hold Xrm objects, e.g. `const formContext = Xrm.Page;`,
+   * `const { WebApi } = Xrm;` or the `a` of `attributes.forEach(a => ...)`
+   * @param {Object} ast - Program AST
+   * @returns {Map<string, string[]>} Variable name to resolved Xrm path
+   */
+  collectAliases(ast) {
+    const aliases = new Map();
+
+    walk.simple(ast, {
+      VariableDeclarator: node => {
+        if (node.init) {
+          this.addPatternAlias(aliases, node.id, node.init);
+        }
+      },
+      AssignmentExpression: node => {
+        this.addPatternAlias(aliases, node.left, node.right);
+      },
+      CallExpression: node => {
+        this.addIteratorAlias(aliases, node);
+      }
+    });
+
+    return aliases;
+  }
+
+  /**
+   * Register aliases for an identifier or a destructuring pattern
+   * @param {Map} aliases - Alias map
+   * @param {Object} pattern - Identifier or ObjectPattern being assigned
+   * @param {Object} expression - Assigned expression
+   */
+  addPatternAlias(aliases, pattern, expression) {
+    if (pattern.type === 'Identifier') {
+      this.addAlias(aliases, pattern.name, expression);
+      return;
+    }
+    if (pattern.type !== 'ObjectPattern') return;
+
+    let target = expression;
+    if (target.type === 'AwaitExpression') target = target.argument;
+    const path = this.expandPath(normalizeGlobalPath(memberPath(target)), aliases);
+    if (path) this.addDestructuredAliases(aliases, pattern, path);
+  }
+
+  /**
+   * Register the properties of `const { WebApi, Page: { data } } = Xrm;` as aliases
+   * @param {Map} aliases - Alias map
+   * @param {Object} pattern - ObjectPattern node
+   * @param {string[]} path - Path of the destructured object
+   */
+  addDestructuredAliases(aliases, pattern, path) {
+    if (path[0] !== 'Xrm' && path[0] !== 'formContext') return;
+
+    pattern.properties.forEach(property => {
+      if (property.type !== 'Property') return;
+
+      const key = property.computed ? staticValue(property.key) : property.key.name;
+      if (key !== undefined) {
+        this.setPatternAlias(aliases, property.value, [...path, String(key)]);
+      }
+    });
+  }
+
+  /**
+   * Register the item parameter of an iterator callback over an Xrm collection,
+   * e.g. `a` in `formContext.data.entity.attributes.forEach(a => a.setValue(null))`
+   * @param {Map} aliases - Alias map
+   * @param {Object} node - CallExpression node
+   */
+  addIteratorAlias(aliases, node) {
+    const { callee } = node;
+    const callback = node.arguments[0];
+    const iterates =
+      callee.type === 'MemberExpression' && ITERATOR_METHODS.includes(propertyName(callee));
+    if (!iterates || !callback || !/FunctionExpression$/.test(callback.type)) return;
+
+    const path = this.expandPath(normalizeGlobalPath(memberPath(callee.object)), aliases);
+    if (!path || (path[0] !== 'Xrm' && path[0] !== 'formContext')) return;
+
+    // attributes.forEach and attributes.get().forEach both iterate what attributes.get() returns
+    const itemPath = path[path.length - 1].endsWith('()') ? path : [...path, 'get()'];
+    if (callback.params.length > 0) {
+      this.setPatternAlias(aliases, callback.params[0], itemPath);
+    }
+  }
+
+  /**
+   * Point an identifier, or every property of an object pattern, at an Xrm path
+   * @param {Map} aliases - Alias map
+   * @param {Object} pattern - Identifier, ObjectPattern or AssignmentPattern node
+   * @param {string[]} path - Xrm path of the value
+   */
+  setPatternAlias(aliases, pattern, path) {
+    const target = pattern.type === 'AssignmentPattern' ? pattern.left : pattern;
+    if (target.type === 'Identifier') {
+      aliases.set(target.name, path);
+    } else if (target.type === 'ObjectPattern') {
+      this.addDestructuredAliases(aliases, target, path);
+    }
+  }
+
+  /**
+   * Register an alias if the expression resolves to an Xrm path
+   * @param {Map} aliases - Alias map
+   * @param {string} name - Variable name
+   * @param {Object} expression - Assigned expression
+   */
+  addAlias(aliases, name, expression) {
+    let target = expression;
+    if (target.type === 'AwaitExpression') target = target.argument;
+
+    const path = this.expandPath(normalizeGlobalPath(memberPath(target)), aliases);
+    if (!path) return;
+
+    const last = path[path.length - 1];
+    if (last === 'getFormContext()') {
+      aliases.set(name, ['formContext']);
+    } else if (path[0] === 'Xrm' || path[0] === 'formContext') {
+      if (!last.endsWith('()') || OBJECT_RETURNING_CALLS.includes(last)) {
+        aliases.set(name, path);
+      }
+    }
+  }
+
+  /**
+   * Replace a leading alias with the Xrm path it stands for
+   * @param {string[]|null} path - Member path
+   * @param {Map} aliases - Alias map
+   * @returns {string[]|null} Expanded path
+   */
+  expandPath(path, aliases) {
+    if (!path) return null;
+    const alias = aliases.get(path[0]);
+    return alias ? [...alias, ...path.slice(1)] : path;
+  }
+
+  /**
+   * Whether the current node is the outermost part of a member/call chain
+   * @param {Object[]} ancestors - Ancestor nodes, current node last
+   * @returns {boolean} True if no enclosing chain continues from this node
+   */
+  isChainEnd(ancestors) {
+    const node = ancestors[ancestors.length - 1];
+    const parent = ancestors[ancestors.length - 2];
+    if (!parent) return true;
+
+    if (parent.type === 'MemberExpression' && parent.object === node) return false;
+    if (parent.type === 'CallExpression' && parent.callee === node) return false;
+    if (parent.type === 'ChainExpression') return false;
+    return true;
+  }
+
+  /**
+   * Resolve a chain to an Xrm or form context API description
+   * @param {Object} node - Outermost chain node
+   * @param {Map} aliases - Alias map
+   * @returns {Object|null} { api, namespace, access }
+   */
+  resolveApi(node, aliases) {
+    const path = this.expandPath(normalizeGlobalPath(memberPath(node)), aliases);
+    if (!path || (path[0] !== 'Xrm' && path[0] !== 'formContext')) return null;
+
+    while (path.length > 1 && PROMISE_METHODS.includes(path[path.length - 1])) {
+      path.pop();
+    }
+
+    const segments = path.map(segment => segment.replace(/\(\)$/, ''));
+    const api = segments.join('.');
+    const namespace = path[0] === 'Xrm' ? segments.slice(0, 2).join('.') : 'formContext';
+
+    return { api, namespace, access: this.classifyApi(segments) };
+  }
+
+  /**
+   * Classify the data access of an API path
+   * @param {string[]} segments - API path segments without call markers
+   * @returns {string} Access level
+   */
+  classifyApi(segments) {
+    if (segments[1] === 'WebApi') {
+      const operation = segments[segments.length - 1];
+      return WEB_API_OPERATIONS[operation] || 'read-only';
+    }
+
+    const method = segments[segments.length - 1];
+    return FORM_WRITE_METHODS.includes(method) ? 'write' : 'read-only';
+  }
+
+  /**
+   * Record one API usage, merging repeated calls
+   * @param {Map} usages - Usage map keyed by API
+   * @param {Object} api - Resolved API
+   * @param {Object} node - AST node
+   */
+  recordUsage(usages, api, node) {
+    if (!usages.has(api.api)) {
+      usages.set(api.api, { ...api, count: 0, lines: [] });
+    }
+    const usage = usages.get(api.api);
+    usage.count++;
+    if (!usage.lines.includes(node.loc.start.line)) {
+      usage.lines.push(node.loc.start.line);
+    }
+  }
+
+  /**
+   * Record a deprecated API usage with its suggested replacement
+   * @param {Object} api - Resolved API
+   * @param {Object} node - AST node
+   * @param {Object[]} deprecated - Deprecation list
+   */
+  collectDeprecation(api, node, deprecated) {
+    let replacement = null;
+
+    const match = DEPRECATED_APIS.find(entry => entry.pattern.test(api.api));
+    if (match) {
+      replacement = match.replacement;
+    } else {
+      const segments = api.api.split('.');
+      const method = segments[segments.length - 1];
+      const isContext = segments.includes('getGlobalContext') || segments.includes('context');
+      if (isContext && DEPRECATED_CONTEXT_METHODS[method]) {
+        replacement = `Xrm.Utility.getGlobalContext().${DEPRECATED_CONTEXT_METHODS[method]}`;
+      }
+    }
+
+    if (replacement) {
+      deprecated.push({
+        api: api.api,
+        replacement,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1
+      });
+    }
+  }
+
+  /**
+   * Record a call to a data-changing method on a receiver that cannot be resolved to an Xrm
+   * object, e.g. `getAttribute(name).setValue(null)` through a helper function
+   * @param {Object} node - CallExpression node
+   * @param {Map} aliases - Alias map
+   * @param {Object[]} unresolved - Unresolved call list
+   */
+  collectUnresolvedWrite(node, aliases, unresolved) {
+    if (node.callee.type !== 'MemberExpression') return;
+
+    const method = propertyName(node.callee);
+    if (!WRITE_METHODS.includes(method) || this.resolveApi(node, aliases)) return;
+
+    unresolved.push({
+      method,
+      access: 'unknown',
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1
+    });
+  }
+
+  /**
+   * Detect raw Web API requests made with fetch() or XMLHttpRequest
+   * @param {Object} node - CallExpression node
+   * @param {Object[]} webApi - Web API request list
+   */
+  collectWebApiRequest(node, webApi) {
+    const path = normalizeGlobalPath(memberPath(node.callee)) || [];
+    const name = path[path.length - 1];
+    let method = null;
+    let urlNode = null;
+
+    if (path.length === 1 && name === 'fetch') {
+      urlNode = node.arguments[0];
+      method = this.fetchMethod(node.arguments[1]);
+    } else if (name === 'open' && node.arguments.length >= 2) {
+      const value = staticValue(node.arguments[0]);
+      if (typeof value !== 'string' || !HTTP_METHOD_ACCESS[value.toUpperCase()]) return;
+      method = value.toUpperCase();
+      urlNode = node.arguments[1];
+    } else {
+      return;
+    }
+
+    if (!this.isWebApiUrl(urlNode)) return;
+
+    webApi.push({
+      method: method || 'UNKNOWN',
+      access: HTTP_METHOD_ACCESS[method] || 'destructive',
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1
+    });
+  }
+
+  /**
+   * Read the HTTP method from a fetch() init object
+   * @param {Object} init - Init argument
+   * @returns {string|null} Upper-case method, GET by default, null if dynamic
+   */
+  fetchMethod(init) {
+    if (!init) return 'GET';
+    if (init.type !== 'ObjectExpression') return null;
+
+    const property = init.properties.find(
+      prop => prop.type === 'Property' && !prop.computed && prop.key.name === 'method'
+    );
+    if (!property) return 'GET';
+
+    const value = staticValue(property.value);
+    return typeof value === 'string' ? value.toUpperCase() : null;
+  }
+
+  /**
+   * Whether a URL expression targets the Dataverse Web API
+   * @param {Object} node - URL expression
+   * @returns {boolean} True for /api/data/ URLs
+   */
+  isWebApiUrl(node) {
+    if (!node) return false;
+
+    const text = [];
+    walk.simple(node, {
+      Literal: literal => typeof literal.value === 'string' && text.push(literal.value),
+      TemplateElement: element => text.push(element.value.cooked)
+    });
+    text.push(staticPrefix(node));
+
+    return text.some(part => part.includes('/api/data/'));
+  }
+
+  /**
+   * Pick the most impactful access level
+   * @param {string[]} levels - Access levels
+   * @returns {string} Highest access level
+   */
+  highestAccess(levels) {
+    return levels.reduce(
+      (highest, level) =>
+        ACCESS_LEVELS.indexOf(level) > ACCESS_LEVELS.indexOf(highest) ? level : highest,
+      'read-only'
+    );
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const collectionPath = process.argv[2];
+
+  if (!collectionPath) {
+    console.error('Usage: node xrm-api-profiler.js <collection.json>');
+    process.exit(1);
+  }
+
+  try {
+    const collection = JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+    const commands = Array.isArray(collection) ? collection : collection.commands || [];
+    const profiler = new XrmApiProfiler();
+    const result = profiler.profileCommands(commands);
+
+    // Output JSON for workflow consumption
+    console.log(JSON.stringify(result, null, 2));
+
+    // Log summary to stderr for human readability
+    console.error('\n🧭 Xrm API Profile:');
+    result.commands.forEach((profile, index) => {
+      console.error(`  ${commands[index].name}: ${profile.access}`);
+      profile.deprecated.forEach(item => {
+        console.error(`    ⚠️  ${item.api} (line ${item.line}) → use ${item.replacement}`);
+      });
+    });
+  } catch (error) {
+    console.error('❌ Profiling failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = XrmApiProfiler;
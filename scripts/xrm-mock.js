@@ -0,0 +1,537 @@
+/**
+ * Xrm Mock
+ * Scriptable mock of the Dynamics 365 client API backed by fixture data
+ */
+
+const crypto = require('crypto');
+
+class XrmMock {
+  /**
+   * @param {Object} fixture - Form, user and record fixture (see fixtures/xrm)
+   * @param {SandboxRecorder} recorder - Recorder for calls and dialogs
+   */
+  constructor(fixture, recorder) {
+    this.fixture = fixture;
+    this.recorder = recorder;
+    this.records = JSON.parse(JSON.stringify(fixture.records || {}));
+    this.changes = {
+      attributes: {},
+      saves: 0,
+      notifications: [],
+      records: { created: [], updated: [], deleted: [] }
+    };
+    this.globalContext = this.createGlobalContext();
+    this.formContext = this.createFormContext();
+  }
+
+  /**
+   * Build the Xrm namespace
+   * @returns {Object} Mocked Xrm object
+   */
+  createXrm() {
+    const track = this.recorder.track.bind(this.recorder);
+
+    return track({
+      Page: this.formContext,
+      Navigation: this.createNavigation(),
+      WebApi: this.createWebApi(),
+      Utility: this.createUtility()
+    }, 'Xrm');
+  }
+
+  /**
+   * Build the global context returned by Xrm.Utility.getGlobalContext()
+   * @returns {Object} Global context
+   */
+  createGlobalContext() {
+    const track = this.recorder.track.bind(this.recorder);
+    const user = this.fixture.user || {};
+    const organization = this.fixture.organization || {};
+    const clientUrl = this.fixture.clientUrl || 'https://sandbox.crm.dynamics.com';
+    const app = this.fixture.app || { appId: null, displayName: 'Sandbox App', uniqueName: 'sandbox_app' };
+
+    return track({
+      getClientUrl: () => clientUrl,
+      getCurrentAppUrl: () => `${clientUrl}/main.aspx`,
+      getCurrentAppName: () => Promise.resolve(app.displayName),
+      getCurrentAppProperties: () => Promise.resolve({ ...app }),
+      getVersion: () => this.fixture.version || '9.2.0.0',
+      getUserId: () => user.id,
+      getUserName: () => user.name,
+      getUserLcid: () => user.languageId || 1033,
+      userSettings: track({
+        userId: user.id,
+        userName: user.name,
+        languageId: user.languageId || 1033,
+        securityRoles: user.securityRoles || [],
+        getTimeZoneOffsetMinutes: () => 0
+      }, 'globalContext.userSettings'),
+      organizationSettings: track({
+        organizationId: organization.id,
+        uniqueName: organization.uniqueName,
+        baseCurrencyId: organization.baseCurrencyId,
+        languageId: user.languageId || 1033
+      }, 'globalContext.organizationSettings'),
+      client: track({
+        getClient: () => 'Web',
+        getClientState: () => 'Online',
+        getFormFactor: () => 1
+      }, 'globalContext.client')
+    }, 'globalContext');
+  }
+
+  /**
+   * Build the form context used for Xrm.Page and formContext
+   * @returns {Object} Form context
+   */
+  createFormContext() {
+    const track = this.recorder.track.bind(this.recorder);
+    const form = this.fixture.form || {};
+    const controlList = (form.attributes || []).map(definition => this.createControl(definition));
+    const attributeList = (form.attributes || []).map((definition, index) =>
+      this.createAttribute(definition, controlList[index])
+    );
+    const attributes = this.createCollection(attributeList, 'formContext.data.entity.attributes');
+    const controls = this.createCollection(controlList, 'formContext.ui.controls');
+    const tabs = this.createCollection((form.tabs || []).map(tab => this.createTab(tab)), 'formContext.ui.tabs');
+    const save = () => {
+      this.changes.saves++;
+      return Promise.resolve();
+    };
+
+    const entity = track({
+      attributes,
+      getId: () => form.id || '',
+      getEntityName: () => form.entityName || '',
+      getEntityReference: () => ({ id: form.id, entityType: form.entityName, name: this.primaryValue(attributeList) }),
+      getPrimaryAttributeValue: () => this.primaryValue(attributeList),
+      getIsDirty: () => this.recorder.untracked(() => attributeList.some(attribute => attribute.getIsDirty())),
+      getDataXml: () => '',
+      addOnSave: () => {},
+      removeOnSave: () => {},
+      save
+    }, 'formContext.data.entity');
+
+    const formContext = track({
+      data: track({
+        entity,
+        save,
+        refresh: () => Promise.resolve(),
+        isValid: () => true
+      }, 'formContext.data'),
+      ui: track({
+        controls,
+        tabs,
+        getFormType: () => form.formType || 2,
+        setFormNotification: (message, level, uniqueId) => {
+          this.changes.notifications.push({ message, level, uniqueId });
+          return true;
+        },
+        clearFormNotification: uniqueId => {
+          this.changes.notifications = this.changes.notifications.filter(item => item.uniqueId !== uniqueId);
+          return true;
+        },
+        close: () => {},
+        refreshRibbon: () => {},
+        formSelector: track({
+          getCurrentItem: () => ({ getId: () => form.formId || '', getLabel: () => form.formName || '' })
+        }, 'formContext.ui.formSelector')
+      }, 'formContext.ui'),
+      context: this.globalContext,
+      getAttribute: name => this.lookup(attributeList, name),
+      getControl: name => this.lookup(controlList, name)
+    }, 'formContext');
+
+    return formContext;
+  }
+
+  /**
+   * Build a form attribute
+   * @param {Object} definition - Attribute fixture { name, type, value, requiredLevel, label, options }
+   * @param {Object} control - Control bound to the attribute
+   * @returns {Object} Attribute
+   */
+  createAttribute(definition, control) {
+    const path = `formContext.getAttribute("${definition.name}")`;
+    const original = definition.value === undefined ? null : definition.value;
+    const handlers = [];
+    let value = original;
+    let requiredLevel = definition.requiredLevel || 'none';
+    let submitMode = 'dirty';
+
+    const attribute = {
+      getName: () => definition.name,
+      getAttributeType: () => definition.type || 'string',
+      getFormat: () => definition.format || null,
+      getValue: () => value,
+      setValue: newValue => {
+        value = newValue;
+        this.changes.attributes[definition.name] = { from: original, to: newValue };
+      },
+      getText: () => {
+        const option = (definition.options || []).find(item => item.value === value);
+        return option ? option.text : null;
+      },
+      getOptions: () => definition.options || [],
+      getIsDirty: () => JSON.stringify(value) !== JSON.stringify(original),
+      getRequiredLevel: () => requiredLevel,
+      setRequiredLevel: level => {
+        requiredLevel = level;
+      },
+      getSubmitMode: () => submitMode,
+      setSubmitMode: mode => {
+        submitMode = mode;
+      },
+      addOnChange: handler => handlers.push(handler),
+      removeOnChange: handler => {
+        const index = handlers.indexOf(handler);
+        if (index >= 0) handlers.splice(index, 1);
+      },
+      fireOnChange: () => handlers.forEach(handler => handler({ getFormContext: () => this.formContext }))
+    };
+
+    attribute.controls = this.createCollection([control], `${path}.controls`);
+    return this.recorder.track(attribute, path);
+  }
+
+  /**
+   * Build a form control
+   * @param {Object} definition - Attribute fixture the control is bound to
+   * @returns {Object} Control
+   */
+  createControl(definition) {
+    let visible = definition.visible !== false;
+    let disabled = Boolean(definition.disabled);
+    let label = definition.label || definition.name;
+    const notifications = {};
+
+    return this.recorder.track({
+      getName: () => definition.name,
+      getControlType: () => definition.type === 'optionset' ? 'optionset' : 'standard',
+      getVisible: () => visible,
+      setVisible: state => {
+        visible = Boolean(state);
+      },
+      getDisabled: () => disabled,
+      setDisabled: state => {
+        disabled = Boolean(state);
+      },
+      getLabel: () => label,
+      setLabel: text => {
+        label = text;
+      },
+      setFocus: () => {},
+      setNotification: (message, uniqueId) => {
+        notifications[uniqueId || 'default'] = message;
+        return true;
+      },
+      clearNotification: uniqueId => {
+        delete notifications[uniqueId || 'default'];
+        return true;
+      }
+    }, `formContext.getControl("${definition.name}")`);
+  }
+
+  /**
+   * Build a form tab with its sections
+   * @param {Object} definition - Tab fixture { name, label, sections }
+   * @returns {Object} Tab
+   */
+  createTab(definition) {
+    const path = `formContext.ui.tabs.get("${definition.name}")`;
+    let visible = true;
+    let displayState = 'expanded';
+    const sections = (definition.sections || []).map(name => {
+      let sectionVisible = true;
+      return this.recorder.track({
+        getName: () => name,
+        getVisible: () => sectionVisible,
+        setVisible: state => {
+          sectionVisible = Boolean(state);
+        }
+      }, `${path}.sections.get("${name}")`);
+    });
+
+    return this.recorder.track({
+      getName: () => definition.name,
+      getLabel: () => definition.label || definition.name,
+      getVisible: () => visible,
+      setVisible: state => {
+        visible = Boolean(state);
+      },
+      getDisplayState: () => displayState,
+      setDisplayState: state => {
+        displayState = state;
+      },
+      setFocus: () => {},
+      sections: this.createCollection(sections, `${path}.sections`)
+    }, path);
+  }
+
+  /**
+   * Build an Xrm collection (attributes, controls, tabs, sections)
+   * @param {Object[]} items - Collection items, each with getName()
+   * @param {string} path - API path of the collection
+   * @returns {Object} Collection
+   */
+  createCollection(items, path) {
+    return this.recorder.track({
+      get: key => {
+        if (key === undefined) return items.slice();
+        if (typeof key === 'function') return items.filter((item, index) => key(item, index));
+        return this.lookup(items, key);
+      },
+      forEach: callback => items.forEach((item, index) => callback(item, index)),
+      getLength: () => items.length
+    }, path);
+  }
+
+  /**
+   * Find a collection item by name or index, or return all items when no key is given
+   * @param {Object[]} items - Items with getName()
+   * @param {string|number} key - Name or index
+   * @returns {Object|Object[]|null} Item, all items or null
+   */
+  lookup(items, key) {
+    if (key === undefined) return items.slice();
+    if (typeof key === 'number') return items[key] || null;
+    return this.recorder.untracked(() => items.find(item => item.getName() === key) || null);
+  }
+
+  /**
+   * Value of the first string attribute, used as the record's primary name
+   * @param {Object[]} attributes - Attributes
+   * @returns {string|null} Primary attribute value
+   */
+  primaryValue(attributes) {
+    return this.recorder.untracked(() => {
+      const primary = attributes.find(attribute => attribute.getAttributeType() === 'string');
+      return primary ? primary.getValue() : null;
+    });
+  }
+
+  /**
+   * Build Xrm.Navigation. Dialogs resolve immediately using the fixture's dialog answers.
+   * @returns {Object} Navigation namespace
+   */
+  createNavigation() {
+    const answers = this.fixture.dialogs || {};
+
+    return this.recorder.track({
+      openAlertDialog: alertStrings => {
+        this.recorder.dialog('alert', this.dialogText(alertStrings));
+        return Promise.resolve();
+      },
+      openConfirmDialog: confirmStrings => {
+        const confirmed = answers.confirm !== false;
+        this.recorder.dialog('confirm', { ...this.dialogText(confirmStrings), confirmed });
+        return Promise.resolve({ confirmed });
+      },
+      openErrorDialog: errorOptions => {
+        this.recorder.dialog('error', { text: errorOptions && (errorOptions.message || errorOptions.details) });
+        return Promise.resolve();
+      },
+      openForm: () => Promise.resolve({ savedEntityReference: [] }),
+      openUrl: () => {},
+      openWebResource: () => {},
+      openFile: () => {},
+      navigateTo: () => Promise.resolve()
+    }, 'Xrm.Navigation');
+  }
+
+  /**
+   * Normalize the strings object passed to alert and confirm dialogs
+   * @param {Object|string} strings - Dialog strings
+   * @returns {Object} { title, text }
+   */
+  dialogText(strings) {
+    if (typeof strings === 'string') return { title: null, text: strings };
+    return { title: (strings && strings.title) || null, text: (strings && (strings.text || strings.subtitle)) || '' };
+  }
+
+  /**
+   * Build Xrm.WebApi over the fixture records. Changes are applied in memory only.
+   * @returns {Object} WebApi namespace
+   */
+  createWebApi() {
+    const webApi = {
+      retrieveRecord: (entityName, id, options) => {
+        const record = this.findRecord(entityName, id);
+        if (!record) {
+          return Promise.reject(this.webApiError(`${entityName} With Id = ${id} Does Not Exist`));
+        }
+        return Promise.resolve(this.select(record, this.parseOptions(options).select));
+      },
+      retrieveMultipleRecords: (entityName, options, maxPageSize) => {
+        const query = this.parseOptions(options);
+        const top = query.top || maxPageSize || 5000;
+        const entities = this.getRecords(entityName)
+          .filter(record => this.matchesFilter(record, query.filter))
+          .slice(0, top)
+          .map(record => this.select(record, query.select));
+        return Promise.resolve({ entities });
+      },
+      createRecord: (entityName, data) => {
+        const id = crypto.randomUUID();
+        this.getRecords(entityName).push({ ...data, [`${entityName}id`]: id });
+        this.changes.records.created.push({ entityType: entityName, id });
+        return Promise.resolve({ entityType: entityName, id });
+      },
+      updateRecord: (entityName, id, data) => {
+        const record = this.findRecord(entityName, id);
+        if (!record) {
+          return Promise.reject(this.webApiError(`${entityName} With Id = ${id} Does Not Exist`));
+        }
+        Object.assign(record, data);
+        this.changes.records.updated.push({ entityType: entityName, id, fields: Object.keys(data || {}) });
+        return Promise.resolve({ entityType: entityName, id });
+      },
+      deleteRecord: (entityName, id) => {
+        const records = this.getRecords(entityName);
+        const record = this.findRecord(entityName, id);
+        if (!record) {
+          return Promise.reject(this.webApiError(`${entityName} With Id = ${id} Does Not Exist`));
+        }
+        records.splice(records.indexOf(record), 1);
+        this.changes.records.deleted.push({ entityType: entityName, id });
+        return Promise.resolve({ entityType: entityName, id });
+      },
+      execute: () => Promise.resolve({ ok: true, status: 204, json: () => Promise.resolve({}) }),
+      executeMultiple: requests => Promise.resolve((requests || []).map(() => ({ ok: true, status: 204 })))
+    };
+
+    webApi.online = this.recorder.track({ ...webApi }, 'Xrm.WebApi.online');
+    return this.recorder.track(webApi, 'Xrm.WebApi');
+  }
+
+  /**
+   * Build Xrm.Utility
+   * @returns {Object} Utility namespace
+   */
+  createUtility() {
+    const form = this.fixture.form || {};
+
+    return this.recorder.track({
+      getGlobalContext: () => this.globalContext,
+      showProgressIndicator: () => {},
+      closeProgressIndicator: () => {},
+      alertDialog: (message, callback) => {
+        this.recorder.dialog('alert', { title: null, text: message });
+        if (typeof callback === 'function') callback();
+      },
+      confirmDialog: (message, yesCallback, noCallback) => {
+        const confirmed = (this.fixture.dialogs || {}).confirm !== false;
+        this.recorder.dialog('confirm', { title: null, text: message, confirmed });
+        const callback = confirmed ? yesCallback : noCallback;
+        if (typeof callback === 'function') callback();
+      },
+      lookupObjects: () => {
+        this.recorder.dialog('lookup', {});
+        return Promise.resolve([]);
+      },
+      getEntityMetadata: entityName => Promise.resolve({
+        LogicalName: entityName,
+        EntitySetName: entityName === form.entityName && form.entitySetName ? form.entitySetName : `${entityName}s`,
+        PrimaryIdAttribute: `${entityName}id`,
+        PrimaryNameAttribute: 'name'
+      }),
+      getResourceString: (webResourceName, key) => key
+    }, 'Xrm.Utility');
+  }
+
+  /**
+   * Fixture records for an entity
+   * @param {string} entityName - Entity logical name
+   * @returns {Object[]} Records (mutable)
+   */
+  getRecords(entityName) {
+    if (!this.records[entityName]) this.records[entityName] = [];
+    return this.records[entityName];
+  }
+
+  /**
+   * Find a record by primary key, ignoring braces and case
+   * @param {string} entityName - Entity logical name
+   * @param {string} id - Record id
+   * @returns {Object|undefined} Record
+   */
+  findRecord(entityName, id) {
+    const normalize = value => String(value || '').replace(/[{}]/g, '').toLowerCase();
+    return this.getRecords(entityName).find(record => normalize(record[`${entityName}id`]) === normalize(id));
+  }
+
+  /**
+   * Parse the OData options string accepted by the Web API methods
+   * @param {string} options - e.g. ?$select=name&$top=5&$filter=statecode eq 0
+   * @returns {Object} { select, top, filter }
+   */
+  parseOptions(options) {
+    const query = { select: null, top: null, filter: [] };
+    (options || '').replace(/^\?/, '').split('&').filter(Boolean).forEach(part => {
+      const separator = part.indexOf('=');
+      const key = part.substring(0, separator);
+      const value = decodeURIComponent(part.substring(separator + 1));
+
+      if (key === '$select') query.select = value.split(',').map(field => field.trim());
+      if (key === '$top') query.top = parseInt(value, 10) || null;
+      if (key === '$filter') {
+        // Only simple "field eq value" conditions joined by "and" are evaluated
+        value.split(/\s+and\s+/i).forEach(condition => {
+          const match = /^\s*(\w+)\s+eq\s+(.+?)\s*$/i.exec(condition);
+          if (match) query.filter.push({ field: match[1], value: this.parseLiteral(match[2]) });
+        });
+      }
+    });
+    return query;
+  }
+
+  /**
+   * Convert an OData literal to a JavaScript value
+   * @param {string} literal - OData literal
+   * @returns {*} Value
+   */
+  parseLiteral(literal) {
+    if (/^'.*'$/.test(literal)) return literal.slice(1, -1).replace(/''/g, '\'');
+    if (literal === 'null') return null;
+    if (literal === 'true' || literal === 'false') return literal === 'true';
+    return isNaN(Number(literal)) ? literal : Number(literal);
+  }
+
+  /**
+   * Check a record against parsed filter conditions
+   * @param {Object} record - Record
+   * @param {Object[]} filter - Conditions
+   * @returns {boolean} True if all conditions match
+   */
+  matchesFilter(record, filter) {
+    return filter.every(condition => record[condition.field] === condition.value);
+  }
+
+  /**
+   * Apply $select to a record
+   * @param {Object} record - Record
+   * @param {string[]|null} fields - Selected fields
+   * @returns {Object} Copy of the record
+   */
+  select(record, fields) {
+    if (!fields) return { ...record };
+    const copy = {};
+    fields.forEach(field => {
+      if (field in record) copy[field] = record[field];
+    });
+    return copy;
+  }
+
+  /**
+   * Error object in the shape the Web API rejects with
+   * @param {string} message - Error message
+   * @returns {Error} Error with errorCode
+   */
+  webApiError(message) {
+    const error = new Error(message);
+    error.errorCode = 2147746327;
+    return error;
+  }
+}
+
+module.exports = XrmMock;
@@ -0,0 +1,393 @@
+/**
+ * Xrm Sandbox
+ * Runs command code offline against a mocked Dynamics 365 form and records what it does.
+ * Every global the command sees is created inside its VM context (see sandbox-runtime.js), and
+ * this file only exchanges strings with it, so no function of this realm (and through its
+ * constructor, Function and process) is reachable from command code. Commands are still
+ * statically analyzed before they get here, each run happens in a worker thread that is
+ * terminated when it exceeds the time limit, and the workflows run it in a read-only job.
+ */
+
+// Strict mode keeps the functions of this file out of the call sites a command can inspect
+// through Error.prepareStackTrace
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'xrm', 'account-form.json');
+const DEFAULT_TIMEOUT = 5000;
+
+// Extra time the worker gets to start up and report before it is terminated
+const WORKER_GRACE_PERIOD = 1000;
+
+// How often pending promises and timers of a running command are checked
+const POLL_INTERVAL = 10;
+
+// Compiled inside the command's context, in this order
+const CONTEXT_MODULES = ['sandbox-recorder', 'xrm-mock', 'sandbox-runtime'];
+
+// Fields of each kind of recorded event that a result keeps
+const RESULT_FIELDS = {
+  call: ['api', 'args'],
+  dialog: ['type', 'title', 'text', 'confirmed'],
+  network: ['type', 'blocked', 'url', 'method'],
+  console: ['level', 'message']
+};
+
+class XrmSandbox {
+  /**
+   * @param {Object} options - Sandbox options
+   * @param {Object} options.fixture - Form and record fixture
+   * @param {string} options.fixturePath - Path to a fixture JSON file
+   * @param {number} options.timeout - Time limit per command in milliseconds
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.fixture = options.fixture ||
+      JSON.parse(fs.readFileSync(options.fixturePath || DEFAULT_FIXTURE_PATH, 'utf8'));
+  }
+
+  /**
+   * Run one command in a worker thread
+   * @param {Object} command - Command with name and code
+   * @returns {Promise<Object>} Sandbox result
+   */
+  runCommand(command) {
+    return new Promise(resolve => {
+      const events = [];
+      const started = Date.now();
+      const worker = new Worker(__filename, {
+        workerData: { xrmSandbox: true, code: command.code || '', fixture: this.fixture, timeout: this.timeout },
+        resourceLimits: { maxOldGenerationSizeMb: 128 }
+      });
+      let finished = false;
+
+      const finish = outcome => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(this.buildResult(command, events, outcome, Date.now() - started));
+      };
+
+      const timer = setTimeout(() => finish({
+        status: 'timeout',
+        error: { message: `Command did not finish within ${this.timeout} ms` }
+      }), this.timeout + WORKER_GRACE_PERIOD);
+
+      worker.on('message', message => {
+        if (message.type === 'event') events.push(message.event);
+        if (message.type === 'done') finish(message);
+      });
+      worker.on('error', error => finish({ status: 'failed', error: { message: error.message } }));
+      worker.on('exit', code => finish({ status: 'failed', error: { message: `Sandbox exited with code ${code}` } }));
+    });
+  }
+
+  /**
+   * Run every command of a collection, one at a time
+   * @param {Object[]} commands - Commands with name and code
+   * @returns {Promise<Object[]>} Sandbox results
+   */
+  async runCommands(commands) {
+    const results = [];
+    for (const command of commands || []) {
+      results.push(await this.runCommand(command));
+    }
+    return results;
+  }
+
+  /**
+   * Execute command code in a VM context in the current thread.
+   * Completes when the command's promise settles and no timers are pending. A timer callback that
+   * never returns blocks the thread; runCommand terminates the worker in that case.
+   * @param {string} code - Command code
+   * @param {Function} onEvent - Optional listener called with every recorded event
+   * @returns {Promise<Object>} { status, error, changes }
+   */
+  execute(code, onEvent) {
+    return new Promise(resolve => {
+      let control = null;
+      let done = false;
+      let poll = null;
+
+      // The context answers with JSON; anything else means the command tampered with it
+      const ask = method => {
+        const json = control[method]();
+        if (typeof json !== 'string') throw new Error('The sandbox state was modified by the command');
+        return JSON.parse(json);
+      };
+      const flush = () => {
+        const events = ask('drain');
+        if (onEvent && Array.isArray(events)) events.forEach(event => onEvent(event));
+      };
+
+      const finish = (status, error) => {
+        if (done) return;
+        done = true;
+        clearTimeout(deadline);
+        clearTimeout(poll);
+
+        let changes = null;
+        if (control) {
+          try {
+            flush();
+            changes = ask('changes');
+          } catch (failure) {
+            error = error || this.describeError(failure);
+          }
+        }
+        resolve({ status, error, changes });
+      };
+
+      const tick = () => {
+        let state;
+        try {
+          state = ask('step');
+          flush();
+        } catch (error) {
+          finish('failed', this.describeError(error));
+          return;
+        }
+
+        if (state.settled && state.pending === 0) {
+          finish(state.failure ? 'failed' : 'passed', state.failure || null);
+        } else {
+          poll = setTimeout(tick, state.pending > 0 ? Math.min(state.nextDelay, POLL_INTERVAL) : POLL_INTERVAL);
+        }
+      };
+
+      const deadline = setTimeout(() => finish('timeout', {
+        message: `Command did not finish within ${this.timeout} ms`
+      }), this.timeout);
+
+      try {
+        const sandbox = this.createContext();
+        control = sandbox.control;
+
+        // Level Up runs commands as a function body, so top-level return and await are allowed
+        const script = new vm.Script(`(async function () {\n${code}\n})()`, {
+          filename: 'command.js',
+          lineOffset: -1
+        });
+        control.watch(script.runInContext(sandbox.context, { timeout: this.timeout }));
+        poll = setTimeout(tick, 0);
+      } catch (error) {
+        const timedOut = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+        finish(timedOut ? 'timeout' : 'failed', this.describeError(error));
+      }
+    });
+  }
+
+  /**
+   * Create the VM context of a run. Its global object has no prototype from this realm, and the
+   * recorder, the Xrm mock and the runtime are compiled inside it from source.
+   * @returns {Object} { context, control } where control is from SandboxRuntime.start
+   */
+  createContext() {
+    const context = vm.createContext(Object.create(null), {
+      name: 'xrm-sandbox',
+      codeGeneration: { strings: false, wasm: false }
+    });
+    const start = new vm.Script(contextLoader(), { filename: 'sandbox-context.js' }).runInContext(context);
+
+    return { context, control: start(JSON.stringify(this.fixture)) };
+  }
+
+  /**
+   * Convert a thrown value into a plain error description
+   * @param {*} error - Thrown value
+   * @returns {Object} { name, message, line }
+   */
+  describeError(error) {
+    if (!error || typeof error !== 'object') {
+      return { name: 'Error', message: String(error), line: null };
+    }
+
+    const stackLine = /command\.js:(\d+)/.exec(String(error.stack || ''));
+    return {
+      name: String(error.name || 'Error'),
+      message: String(error.message || error),
+      line: stackLine ? Number(stackLine[1]) : null
+    };
+  }
+
+  /**
+   * Combine worker events and outcome into a result
+   * @param {Object} command - Command that was run
+   * @param {Object[]} events - Recorded events
+   * @param {Object} outcome - { status, error, changes }
+   * @param {number} durationMs - Wall-clock duration
+   * @returns {Object} Sandbox result
+   */
+  buildResult(command, events, outcome, durationMs) {
+    const ofKind = kind => events
+      .filter(event => event.kind === kind)
+      .map(event => {
+        const fields = {};
+        RESULT_FIELDS[kind].filter(field => field in event).forEach(field => {
+          fields[field] = event[field];
+        });
+        return fields;
+      });
+    const unsupported = events.filter(event => event.kind === 'unsupported').map(event => event.api);
+
+    return {
+      name: command.name || 'Unnamed command',
+      status: outcome.status,
+      durationMs,
+      error: outcome.error || null,
+      calls: ofKind('call'),
+      dialogs: ofKind('dialog'),
+      network: ofKind('network'),
+      console: ofKind('console'),
+      unsupported: [...new Set(unsupported)],
+      changes: outcome.changes || null
+    };
+  }
+
+  /**
+   * Compact smoke-test summary stored with each published command
+   * @param {Object} result - Sandbox result
+   * @param {string} testedAt - ISO timestamp
+   * @returns {Object} Smoke test summary
+   */
+  toSmokeTest(result, testedAt) {
+    return {
+      status: result.status,
+      testedAt,
+      durationMs: result.durationMs,
+      apiCalls: result.calls.length,
+      dialogs: result.dialogs.length,
+      networkAttempts: result.network.length,
+      unsupported: result.unsupported,
+      error: result.error ? result.error.message : null
+    };
+  }
+}
+
+let loaderSource = null;
+
+/**
+ * Source that defines the context modules inside a VM context, with a minimal require for them
+ * @returns {string} Script source evaluating to SandboxRuntime.start
+ */
+function contextLoader() {
+  if (loaderSource) return loaderSource;
+
+  const factories = CONTEXT_MODULES.map(name => {
+    const source = fs.readFileSync(path.join(__dirname, `${name}.js`), 'utf8');
+    return `${JSON.stringify(`./${name}`)}: function (module, exports, require) {\n${source}\n}`;
+  });
+
+  loaderSource = `(function () {
+  const factories = {
+${factories.join(',\n')}
+  };
+  const cache = {};
+  // The Xrm mock only needs random ids
+  const crypto = {
+    randomUUID: () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const random = Math.floor(Math.random() * 16);
+      return (c === 'x' ? random : 8 + (random % 4)).toString(16);
+    })
+  };
+  const require = name => {
+    if (name === 'crypto') return crypto;
+    if (!cache[name]) {
+      cache[name] = { exports: {} };
+      factories[name](cache[name], cache[name].exports, require);
+    }
+    return cache[name].exports;
+  };
+  return require('./sandbox-runtime').start;
+})()`;
+  return loaderSource;
+}
+
+// Worker thread entry point used by runCommand
+if (!isMainThread && workerData && workerData.xrmSandbox) {
+  const sandbox = new XrmSandbox({ fixture: workerData.fixture, timeout: workerData.timeout });
+
+  sandbox.execute(workerData.code, event => parentPort.postMessage({ type: 'event', event })).then(outcome => {
+    parentPort.postMessage({ type: 'done', ...outcome });
+  });
+}
+
+// CLI usage
+if (isMainThread && require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : null;
+  };
+  const strictIndex = args.indexOf('--strict');
+  const strict = strictIndex >= 0 && Boolean(args.splice(strictIndex, 1));
+  const fixturePath = option('--fixture');
+  const timeout = parseInt(option('--timeout'), 10) || undefined;
+  const outputPath = option('--output');
+  const attachPath = option('--attach');
+  const inputPath = args[0];
+
+  if (!inputPath) {
+    console.error('Usage: node xrm-sandbox.js <command.js|collection.json> [--fixture file] [--timeout ms] [--output file] [--strict]');
+    console.error('       node xrm-sandbox.js <collection.json> --attach tested.json [--output file]');
+    process.exit(1);
+  }
+
+  const input = fs.readFileSync(inputPath, 'utf8');
+  const data = inputPath.endsWith('.js') ? { commands: [{ name: path.basename(inputPath), code: input }] } : JSON.parse(input);
+  if (attachPath) {
+    // Copy the smoke tests of an earlier --output run, so that a job with write access never
+    // runs submitted code (see process-collection.yml)
+    const tested = JSON.parse(fs.readFileSync(attachPath, 'utf8')).commands || [];
+    let attached = 0;
+    (data.commands || []).forEach((command, index) => {
+      const match = tested[index];
+      if (match && match.name === command.name && match.code === command.code && match.smokeTest) {
+        command.smokeTest = match.smokeTest;
+        attached++;
+      }
+    });
+    fs.writeFileSync(outputPath || inputPath, JSON.stringify(data, null, 2), 'utf8');
+    console.error(`🧪 Attached ${attached} of ${(data.commands || []).length} smoke test(s) from ${attachPath}`);
+    process.exit(0);
+  }
+
+  const sandbox = new XrmSandbox({ fixturePath, timeout });
+  sandbox.runCommands(data.commands || [])
+    .then(results => {
+      const testedAt = new Date().toISOString();
+
+      if (outputPath) {
+        // Attach the summaries to the input so the organizer can publish them
+        (data.commands || []).forEach((command, index) => {
+          command.smokeTest = sandbox.toSmokeTest(results[index], testedAt);
+        });
+        fs.writeFileSync(outputPath, JSON.stringify(data, null, 2), 'utf8');
+      } else {
+        console.log(JSON.stringify(results, null, 2));
+      }
+
+      console.error('\n🧪 Sandbox Results:');
+      results.forEach(result => {
+        const icon = result.status === 'passed' ? '✅' : result.status === 'timeout' ? '⏱️' : '❌';
+        const error = result.error ? ` - ${result.error.message}` : '';
+        console.error(`${icon} ${result.name}: ${result.calls.length} API calls, ${result.dialogs.length} dialogs, ` +
+          `${result.network.length} network attempts${error}`);
+      });
+
+      if (strict && results.some(result => result.status !== 'passed')) {
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Sandbox run failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = XrmSandbox;
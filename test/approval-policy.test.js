@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CollectionIssueParser = require('../scripts/parse-collection-issue');
+const ApprovalPolicy = require('../scripts/approval-policy');
+
+const COMMANDS = {
+  commands: [
+    { name: 'Show Record Id', description: 'Shows the id of the open record', code: 'alert(Xrm.Page.data.entity.getId());' },
+    { name: 'Show Entity Name', description: 'Shows the table of the open record', code: 'alert(Xrm.Page.data.entity.getEntityName());' }
+  ]
+};
+
+// An issue as GitHub renders the share-command-collection form
+function createIssue(contactInfo, login) {
+  const fields = [
+    ['Collection Name', 'Record Info'],
+    ['Existing Collection ID (Updates Only)', '_No response_'],
+    ['Collection Description', 'Shows details of the record that is open on the form'],
+    ['Primary Category', 'Development Tools'],
+    ['Tags', 'record, info'],
+    ['Commands JSON Export', '```json\n' + JSON.stringify(COMMANDS, null, 2) + '\n```'],
+    ['Number of Commands', '2'],
+    ['Dynamics 365 Version', 'Dynamics 365 Online'],
+    ['Safety & Quality Checklist', [
+      'All commands have been tested and work correctly together',
+      'No commands contain sensitive data (URLs, passwords, personal info)',
+      'All code follows JavaScript best practices with helpful comments',
+      'Destructive operations have appropriate user confirmations',
+      'I understand this will be shared publicly under the MIT license'
+    ].map(label => `- [X] ${label}`).join('\n')],
+    ['Author Attribution (Optional)', '_No response_'],
+    ['GitHub Username (Required)', contactInfo]
+  ];
+
+  return {
+    number: 42,
+    title: '[COLLECTION] Record Info',
+    body: fields.map(([label, value]) => `### ${label}\n\n${value}`).join('\n\n'),
+    user: { login },
+    created_at: '2025-08-03T12:00:00Z',
+    html_url: 'https://github.com/example/repo/issues/42'
+  };
+}
+
+function createProfile(username) {
+  return {
+    username,
+    joinedAt: '2024-01-01T00:00:00Z',
+    collections: [{ fileName: 'a.json' }, { fileName: 'b.json' }],
+    stats: { totalCommands: 4 },
+    badges: []
+  };
+}
+
+const AI_REPORT = {
+  safetyScore: 95,
+  riskLevel: 'LOW',
+  autoApprove: true,
+  commands: COMMANDS.commands.map(command => ({ name: command.name, status: 'reviewed' }))
+};
+const NOW = new Date('2025-08-04T00:00:00Z');
+
+test('reads the validation result of the issue parser', () => {
+  const issueData = new CollectionIssueParser().parseIssue(createIssue('alice', 'alice'));
+  assert.strictEqual(issueData.validation.valid, true, JSON.stringify(issueData.validation.errors));
+
+  const policy = new ApprovalPolicy();
+  const facts = policy.buildFacts({ issueData, aiReport: AI_REPORT, profile: null, now: NOW });
+  const report = policy.evaluate({ issueData, aiReport: AI_REPORT, profile: null, now: NOW });
+
+  assert.strictEqual(facts.validation.isValid, true);
+  assert.strictEqual(report.recommendation, 'APPROVE', report.feedback);
+});
+
+test('takes trust from the issue author, not the contact info', () => {
+  const policy = new ApprovalPolicy();
+  const issueData = new CollectionIssueParser().parseIssue(createIssue('alice', 'Mallory'));
+
+  // The workflow reads the profile of the issue author; another account's profile is ignored
+  const facts = policy.buildFacts({ issueData, aiReport: AI_REPORT, profile: createProfile('alice'), now: NOW });
+  assert.strictEqual(facts.author.username, 'mallory');
+  assert.strictEqual(facts.author.known, false);
+  assert.strictEqual(facts.author.trusted, false);
+
+  const report = policy.evaluate({ issueData, aiReport: AI_REPORT, profile: createProfile('alice'), now: NOW });
+  assert.strictEqual(report.recommendation, 'REJECT');
+  assert.ok(report.reasons.some(reason => reason.includes('[contact-not-issue-author]')), report.feedback);
+});
+
+test('trusts an established author who submits under their own account', () => {
+  const issueData = new CollectionIssueParser().parseIssue(createIssue('alice', 'Alice'));
+  const facts = new ApprovalPolicy().buildFacts({ issueData, aiReport: AI_REPORT, profile: createProfile('alice'), now: NOW });
+
+  assert.strictEqual(facts.author.matchesContactInfo, true);
+  assert.strictEqual(facts.author.known, true);
+  assert.strictEqual(facts.author.trusted, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CollectionDiff = require('../scripts/collection-diff');
+
+const differ = new CollectionDiff();
+
+function render(ops) {
+  return ops.map(op => `${op.type}${op.text}`);
+}
+
+function collection(code) {
+  return { id: 'tools', name: 'Tools', commands: [{ id: 'cmd-1', name: 'Show Id', code }] };
+}
+
+test('lists removed lines before added lines when a line is replaced', () => {
+  assert.deepStrictEqual(
+    render(differ.diffLines('a\nb\nc', 'a\nx\nc')),
+    [' a', '-b', '+x', ' c']
+  );
+  assert.deepStrictEqual(
+    render(differ.diffLines('one\ntwo\nthree\nfour', 'one\n2\n3\nfour')),
+    [' one', '-two', '-three', '+2', '+3', ' four']
+  );
+});
+
+test('keeps common lines in the middle of a change', () => {
+  assert.deepStrictEqual(
+    render(differ.diffLines('a\nb\nkeep\nc\nd', 'a\nB\nkeep\nC\nd')),
+    [' a', '-b', '+B', ' keep', '-c', '+C', ' d']
+  );
+});
+
+test('groups changes into hunks with context lines', () => {
+  const before = Array.from({ length: 20 }, (value, index) => `line ${index + 1}`);
+  const after = before.slice();
+  after[1] = 'changed 2';
+  after[17] = 'changed 18';
+
+  const hunks = differ.buildHunks(differ.diffLines(before.join('\n'), after.join('\n')));
+
+  assert.deepStrictEqual(
+    hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines]),
+    [[1, 5, 1, 5], [15, 6, 15, 6]]
+  );
+  assert.deepStrictEqual(render(hunks[0].lines), [' line 1', '-line 2', '+changed 2', ' line 3', ' line 4', ' line 5']);
+});
+
+test('numbers a hunk that only adds lines from the line before it', () => {
+  const hunks = new CollectionDiff({ contextLines: 0 }).buildHunks(differ.diffLines('a\nb', 'a\nnew\nb'));
+
+  assert.deepStrictEqual(
+    hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines]),
+    [[1, 0, 2, 1]]
+  );
+});
+
+test('keeps the diff marker on lines with new findings and names the rule after the text', () => {
+  const report = differ.compare(
+    collection('const id = Xrm.Page.data.entity.getId();\nalert(id);'),
+    collection('const id = Xrm.Page.data.entity.getId();\neval(id);')
+  );
+  const markdown = differ.toMarkdown(report);
+
+  assert.strictEqual(report.summary.newFindings, 1);
+  assert.match(markdown, /^-alert\(id\);$/m);
+  assert.match(markdown, /^\+eval\(id\); {2}\/\/ ⚠️ no-eval$/m);
+  assert.doesNotMatch(markdown, /^!/m);
+});
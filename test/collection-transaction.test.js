@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const CollectionTransaction = require('../scripts/collection-transaction');
+
+const STALE_LOCK_MS = 30 * 1000;
+
+// A collections folder with one user, as the organizer leaves it
+function createTree() {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'levelup-transaction-'));
+  fs.mkdirSync(path.join(baseDir, 'alice', 'collections'), { recursive: true });
+  fs.writeFileSync(path.join(baseDir, 'index.json'), '{"version":1}');
+  fs.writeFileSync(path.join(baseDir, 'alice', 'profile.json'), '{"username":"alice"}');
+  fs.writeFileSync(path.join(baseDir, 'alice', 'collections', 'tools.json'), '{"id":"tools"}');
+  return baseDir;
+}
+
+function readTree(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.name !== CollectionTransaction.TRANSACTION_DIR)
+    .flatMap(entry => {
+      const relative = path.posix.join(prefix, entry.name);
+      return entry.isDirectory()
+        ? readTree(path.join(dir, entry.name), relative)
+        : [[relative, fs.readFileSync(path.join(dir, entry.name), 'utf8')]];
+    })
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+const MODULE_PATH = require.resolve('../scripts/collection-transaction');
+
+// Runs a transaction in another process that exits without committing, like a killed runner
+function crashDuringRun(baseDir) {
+  const script = `
+    const path = require('path');
+    const CollectionTransaction = require(${JSON.stringify(MODULE_PATH)});
+    const baseDir = ${JSON.stringify(baseDir)};
+    const transaction = new CollectionTransaction(baseDir);
+    transaction.begin();
+    transaction.write(path.join(baseDir, 'index.json'), '{"version":2}');
+    transaction.remove(path.join(baseDir, 'alice', 'collections', 'tools.json'));
+    transaction.write(path.join(baseDir, 'bob', 'profile.json'), '{"username":"bob"}');
+    process.exit(0);
+  `;
+  const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+}
+
+test('recover rolls back a run that stopped before it committed', () => {
+  const baseDir = createTree();
+  try {
+    const before = readTree(baseDir);
+    crashDuringRun(baseDir);
+
+    assert.notDeepStrictEqual(readTree(baseDir), before);
+    assert.ok(fs.existsSync(path.join(baseDir, '.transaction', 'lock')));
+
+    // The crashed process is gone, so its lock is broken without waiting
+    const transaction = new CollectionTransaction(baseDir, { lockTimeoutMs: 1000 });
+    transaction.lock();
+    const result = transaction.recover();
+    transaction.unlock();
+
+    assert.deepStrictEqual(result, { recovered: true, restored: 4 });
+    assert.deepStrictEqual(readTree(baseDir), before);
+    assert.ok(!fs.existsSync(path.join(baseDir, '.transaction')));
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+test('begin recovers an interrupted run and ignores a journal line cut off by the crash', () => {
+  const baseDir = createTree();
+  try {
+    const before = readTree(baseDir);
+    crashDuringRun(baseDir);
+    fs.appendFileSync(path.join(baseDir, '.transaction', 'journal.jsonl'), '{"path":"alice/pro');
+
+    const transaction = new CollectionTransaction(baseDir, { lockTimeoutMs: 1000 });
+    assert.deepStrictEqual(transaction.begin(), { recovered: true, restored: 4 });
+    assert.deepStrictEqual(readTree(baseDir), before);
+    transaction.commit();
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+test('rollback undoes writes, deletes and new folders', () => {
+  const baseDir = createTree();
+  try {
+    const before = readTree(baseDir);
+    const transaction = new CollectionTransaction(baseDir);
+    transaction.begin();
+    transaction.write(path.join(baseDir, 'alice', 'profile.json'), '{"username":"alice","bio":"x"}');
+    transaction.move(path.join(baseDir, 'alice', 'collections'), path.join(baseDir, 'alice', 'archive'));
+    transaction.write(path.join(baseDir, 'carol', 'collections', 'new.json'), '{}');
+
+    transaction.rollback();
+    assert.deepStrictEqual(readTree(baseDir), before);
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+test('commit keeps the changes and a later run has nothing to recover', () => {
+  const baseDir = createTree();
+  try {
+    const transaction = new CollectionTransaction(baseDir);
+    transaction.begin();
+    transaction.write(path.join(baseDir, 'index.json'), '{"version":2}');
+    transaction.commit();
+
+    const next = new CollectionTransaction(baseDir);
+    assert.deepStrictEqual(next.begin(), { recovered: false, restored: 0 });
+    next.commit();
+    assert.strictEqual(fs.readFileSync(path.join(baseDir, 'index.json'), 'utf8'), '{"version":2}');
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+test('waits for a live lock and breaks one older than staleLockMs', () => {
+  const baseDir = createTree();
+  try {
+    const lockPath = path.join(baseDir, '.transaction', 'lock');
+    fs.mkdirSync(path.dirname(lockPath));
+    // This process is alive, so only the age can make the lock stale
+    const owner = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+    fs.writeFileSync(lockPath, JSON.stringify(owner));
+
+    const waiting = new CollectionTransaction(baseDir, { lockTimeoutMs: 500 });
+    assert.throws(() => waiting.lock(), /is locked by another run/);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')), owner);
+
+    const oldOwner = { ...owner, acquiredAt: new Date(Date.now() - 2 * STALE_LOCK_MS).toISOString() };
+    fs.writeFileSync(lockPath, JSON.stringify(oldOwner));
+
+    const takeover = new CollectionTransaction(baseDir, { staleLockMs: STALE_LOCK_MS });
+    takeover.lock();
+    assert.ok(takeover.holdsLock());
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(lockPath)), ['lock']);
+    takeover.unlock();
+    assert.ok(!fs.existsSync(lockPath));
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+test('a run whose lock was taken over cannot commit or remove the new lock', () => {
+  const baseDir = createTree();
+  try {
+    const transaction = new CollectionTransaction(baseDir);
+    transaction.begin();
+    transaction.write(path.join(baseDir, 'index.json'), '{"version":2}');
+
+    const lockPath = path.join(baseDir, '.transaction', 'lock');
+    const other = JSON.stringify({ pid: 1, hostname: 'other-runner', acquiredAt: new Date().toISOString() });
+    fs.writeFileSync(lockPath, other);
+
+    assert.throws(() => transaction.commit(), /Lost the lock/);
+    transaction.rollback();
+    assert.strictEqual(fs.readFileSync(lockPath, 'utf8'), other);
+    assert.strictEqual(fs.readFileSync(path.join(baseDir, 'index.json'), 'utf8'), '{"version":1}');
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CommandSearch = require('../docs/js/command-search');
+
+const RECORD_ID = {
+  name: 'Show Record Id',
+  description: 'Shows the id of the open record',
+  code: 'alert(Xrm.Page.data.entity.getId());'
+};
+const INSPECTOR = {
+  name: 'Class Inspector',
+  description: 'Logs the constructor of the form context',
+  code: 'console.log(formContext.constructor.name);'
+};
+
+// Round-trips through JSON like collections/search-index.json loaded by the gallery
+function createIndex(documents) {
+  const index = CommandSearch.buildIndex(documents.map((fields, commandIndex) => ({
+    ref: { name: fields.name, commandIndex },
+    fields
+  })));
+  return JSON.parse(JSON.stringify(index));
+}
+
+test('ignores query terms that are only inherited object keys', () => {
+  const index = createIndex([RECORD_ID]);
+
+  ['constructor', 'hasOwnProperty', 'toString', 'valueOf', '__proto__'].forEach(query => {
+    assert.deepStrictEqual(CommandSearch.search(index, query), [], query);
+  });
+});
+
+test('finds commands that contain a term named like an object key', () => {
+  const results = CommandSearch.search(createIndex([RECORD_ID, INSPECTOR]), 'constructor');
+
+  assert.deepStrictEqual(results.map(result => result.ref.name), ['Class Inspector']);
+});
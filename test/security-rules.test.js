@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SecurityAnalyzer = require('../scripts/security-analyzer');
+
+const analyzer = new SecurityAnalyzer();
+
+function findings(code, ruleId) {
+  return analyzer.analyzeCode(code).findings.filter(finding => finding.ruleId === ruleId);
+}
+
+function severities(code) {
+  return findings(code, 'no-new-function').map(finding => finding.severity);
+}
+
+test('flags every reference to the Function constructor', () => {
+  assert.deepStrictEqual(severities('new Function("alert(1)")()'), ['CRITICAL']);
+  assert.deepStrictEqual(severities('const F = Function; F("alert(1)")()'), ['CRITICAL']);
+  assert.deepStrictEqual(severities('Reflect.construct(Function, ["alert(1)"])()'), ['CRITICAL']);
+  assert.deepStrictEqual(severities('window.Function("alert(1)")()'), ['CRITICAL']);
+});
+
+test('flags calls through a computed key that cannot be resolved', () => {
+  assert.deepStrictEqual(severities('const k = "constructor"; (() => 0)[k]("alert(1)")()'), ['CRITICAL']);
+  assert.deepStrictEqual(
+    severities('console.log[["con", "structor"].map(s => s).join("")]("alert(1)")()'),
+    ['CRITICAL']
+  );
+});
+
+test('flags unresolved computed lookups whatever their root', () => {
+  assert.deepStrictEqual(severities('function f() {} const C = f[k]; C("alert(1)")()'), ['HIGH']);
+  assert.deepStrictEqual(severities('const C = [].map[k]; C("alert(1)")()'), ['HIGH']);
+  assert.deepStrictEqual(severities('const C = document.querySelector[k]; C("alert(1)")()'), ['HIGH']);
+  assert.deepStrictEqual(severities('const C = Object[k]; C("alert(1)")()'), ['CRITICAL']);
+
+  const analysis = analyzer.analyzeCode('const C = [].map[k];');
+  assert.ok(analysis.findings.some(finding => analyzer.isBlocking(finding.severity)));
+});
+
+test('flags .constructor() calls', () => {
+  assert.deepStrictEqual(severities('this.constructor.constructor("return process")()'), ['CRITICAL']);
+});
+
+test('allows static keys, numeric indexes and writes', () => {
+  assert.deepStrictEqual(severities('const o = { Function: 1 }; o.Function; o["name"];'), []);
+  assert.deepStrictEqual(severities('const a = [1, 2]; a[0]; a[a.length - 1]; let i = 0; a[i++];'), []);
+  assert.deepStrictEqual(severities('const values = {}; values[key] = 1;'), []);
+  assert.deepStrictEqual(severities('alert(Xrm.Page.data.entity.getId());'), []);
+});
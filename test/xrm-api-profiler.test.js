@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XrmApiProfiler = require('../scripts/xrm-api-profiler');
+
+const profiler = new XrmApiProfiler();
+
+function apis(profile) {
+  return profile.apis.map(usage => `${usage.api}:${usage.access}`);
+}
+
+test('classifies reads and writes through aliases', () => {
+  assert.strictEqual(profiler.profileCode('alert(Xrm.Page.data.entity.getId());').access, 'read-only');
+
+  const profile = profiler.profileCode('const formContext = Xrm.Page; formContext.getAttribute("name").setValue(null);');
+  assert.strictEqual(profile.access, 'write');
+  assert.ok(apis(profile).includes('Xrm.Page.getAttribute.setValue:write'));
+});
+
+test('resolves destructured Xrm objects', () => {
+  const profile = profiler.profileCode('const { WebApi } = Xrm; WebApi.deleteRecord("account", "1");');
+  assert.strictEqual(profile.access, 'destructive');
+  assert.deepStrictEqual(apis(profile), ['Xrm.WebApi.deleteRecord:destructive']);
+
+  const renamed = profiler.profileCode('const { WebApi: api } = window.Xrm; api.retrieveRecord("account", "1");');
+  assert.strictEqual(renamed.access, 'read-only');
+  assert.ok(apis(renamed).includes('Xrm.WebApi.retrieveRecord:read-only'));
+
+  const nested = profiler.profileCode('const { Page: { data } } = Xrm; data.save();');
+  assert.deepStrictEqual(apis(nested), ['Xrm.Page.data.save:write']);
+});
+
+test('resolves the item parameter of iterator callbacks', () => {
+  const profile = profiler.profileCode('Xrm.Page.data.entity.attributes.forEach(a => a.setValue(null));');
+  assert.strictEqual(profile.access, 'write');
+  assert.ok(apis(profile).includes('Xrm.Page.data.entity.attributes.get.setValue:write'));
+
+  const viaGet = profiler.profileCode(
+    'const fc = Xrm.Page; fc.data.entity.attributes.get().forEach(function (attribute) { attribute.setValue(null); });'
+  );
+  assert.strictEqual(viaGet.access, 'write');
+
+  const plain = profiler.profileCode('[1, 2].forEach(n => console.log(n));');
+  assert.strictEqual(plain.access, 'read-only');
+});
+
+test('treats data-changing calls on unresolved receivers as unknown', () => {
+  const profile = profiler.profileCode('function clear(attribute) { attribute.setValue(null); }');
+  assert.strictEqual(profile.access, 'unknown');
+  assert.deepStrictEqual(profile.unresolved.map(call => call.method), ['setValue']);
+
+  ['save()', 'deleteRecord("account", id)', 'updateRecord("account", id, {})', 'execute(request)'].forEach(call => {
+    assert.strictEqual(profiler.profileCode(`getApi().${call};`).access, 'unknown', call);
+  });
+});
+
+test('rolls command profiles up into a summary', () => {
+  const { summary } = profiler.profileCommands([
+    { code: 'alert(Xrm.Page.data.entity.getId());' },
+    { code: 'Xrm.WebApi.deleteRecord("account", "1");' },
+    { code: 'helper().save();' }
+  ]);
+  assert.strictEqual(summary.access, 'unknown');
+  assert.strictEqual(summary.writeCommands, 2);
+  assert.strictEqual(summary.destructiveCommands, 1);
+});